@@ -1,24 +1,46 @@
 /**
  * api/auth.js
- * Per-store login endpoint.
+ * Per-store login — trades a host secret for a short-lived session token.
  *
  * POST /api/auth
  * Body: { secret: string }
+ *   Returns: { ok: true, role: 'admin'|'host', location: null|<location name>,
+ *              token, expiresAt }
+ *   or 401 on failure.
  *
- * Returns: { ok: true, role: 'admin'|'host', location: null|'Main Street'|'Exchange'|'H2O' }
- * or 401 on failure.
+ * POST /api/auth   Authorization: Bearer <token>
+ * Body: { action: 'refresh' }
+ *   Returns a fresh token for the same role/location (same shape as login).
+ *
+ * Body: { action: 'logout' }
+ *   Rotates the signing key for the caller's scope — every session for that
+ *   store (or every admin session) is signed out.
+ *
+ * Body: { action: 'revoke', scope: 'admin'|'<location>' }   (admin only)
+ *   Rotates the signing key for any scope, e.g. after a store secret leaks.
  *
  * Env vars:
  *   HOST_SECRET         — admin login (all locations, full access)
- *   MAIN_STREET_SECRET  — Main Street host login
- *   EXCHANGE_SECRET     — Exchange host login
- *   H2O_SECRET          — H2O host login
+ *   AUTH_SIGNING_KEY, AUTH_TOKEN_TTL_MINUTES — see lib/auth.js
+ * Store host keys are set per location — see lib/locations.js.
  */
 
+const {
+  resolveSecret, issueToken, rotateSigningKey, scopeOf, getPrincipal, isAdmin,
+} = require('../lib/auth');
+const { allLocations } = require('../lib/locations');
+
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+async function sessionResponse(res, principal) {
+  const { token, expiresAt } = await issueToken(principal);
+  return res.status(200).json({
+    ok: true, role: principal.role, location: principal.location, token, expiresAt,
+  });
 }
 
 module.exports = async function handler(req, res) {
@@ -26,28 +48,47 @@ module.exports = async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const { secret } = req.body || {};
-  if (!secret || typeof secret !== 'string') {
-    return res.status(400).json({ error: 'secret is required' });
-  }
+  const { secret, action, scope } = req.body || {};
 
-  const s = secret.trim();
+  try {
+    // ── Session actions (token required) ─────────────────────────────────────
+    if (action) {
+      const principal = await getPrincipal(req);
+      if (!principal) return res.status(401).json({ error: 'Session expired or invalid' });
 
-  // Admin — full access, picks their own location
-  if (process.env.HOST_SECRET && s === process.env.HOST_SECRET) {
-    return res.status(200).json({ ok: true, role: 'admin', location: null });
-  }
+      if (action === 'refresh') return await sessionResponse(res, principal);
 
-  // Per-store host logins
-  if (process.env.MAIN_STREET_SECRET && s === process.env.MAIN_STREET_SECRET) {
-    return res.status(200).json({ ok: true, role: 'host', location: 'Main Street' });
-  }
-  if (process.env.EXCHANGE_SECRET && s === process.env.EXCHANGE_SECRET) {
-    return res.status(200).json({ ok: true, role: 'host', location: 'Exchange' });
-  }
-  if (process.env.H2O_SECRET && s === process.env.H2O_SECRET) {
-    return res.status(200).json({ ok: true, role: 'host', location: 'H2O' });
-  }
+      if (action === 'logout') {
+        await rotateSigningKey(scopeOf(principal));
+        return res.status(200).json({ ok: true });
+      }
+
+      if (action === 'revoke') {
+        if (!isAdmin(principal)) return res.status(403).json({ error: 'Forbidden — admin only' });
+        const validScopes = ['admin', ...(await allLocations()).map((l) => l.name)];
+        if (!validScopes.includes(scope)) {
+          return res.status(400).json({ error: `scope must be one of: ${validScopes.join(', ')}` });
+        }
+        await rotateSigningKey(scope);
+        return res.status(200).json({ ok: true, revoked: scope });
+      }
+
+      return res.status(400).json({ error: 'action must be one of: refresh, logout, revoke' });
+    }
 
-  return res.status(401).json({ error: 'Invalid secret' });
+    // ── Login ────────────────────────────────────────────────────────────────
+    if (!secret || typeof secret !== 'string') {
+      return res.status(400).json({ error: 'secret is required' });
+    }
+
+    // Admin — full access, picks their own location.
+    // Store hosts — locked to their location.
+    const principal = await resolveSecret(secret);
+    if (principal) return await sessionResponse(res, principal);
+
+    return res.status(401).json({ error: 'Invalid secret' });
+  } catch (err) {
+    console.error('[auth] error:', err.message);
+    return res.status(500).json({ error: 'Authentication failed', details: err.message });
+  }
 };
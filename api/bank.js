@@ -0,0 +1,220 @@
+/**
+ * api/bank.js
+ * Question bank — search every question the league has generated, flag or
+ * retire bad ones, and pull unused ones into a night instead of generating.
+ *
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts don't see other stores' location-specific (round2) questions.
+ *
+ * GET /api/bank
+ *   Query params (all optional):
+ *     round       — 'round1' | 'round2' | 'round3' | 'lightning' | 'lastcall'
+ *     category    — substring match, case-insensitive
+ *     location    — round2 questions for that location, or questions asked there
+ *     week        — questions asked in that week
+ *     difficulty  — 'easy' | 'medium' | 'hard'
+ *     tags        — comma-separated; every tag must match
+ *     status      — 'active' (default) | 'flagged' | 'retired' | 'all'
+ *     used        — 'true' (asked at least once) | 'false' (never asked)
+ *     q           — text search in question and answer
+ *     limit       — default 100, max 500
+ *     offset      — for paging
+ *   Returns: { questions: [{ questionId, round, category, location, question,
+ *              answer, alternates, note, difficulty, tags, status, statusNote,
+ *              source, createdAt, updatedAt, reservedBy, reservedAt,
+ *              usage: { timesAsked, locations, weeks, lastAskedAt } }],
+ *              total }
+ *
+ * PATCH /api/bank?questionId=X
+ *   Body: any of { status, statusNote, difficulty, tags, category, alternates, note }
+ *   alternates — accepted alternate answers, as an array or ' | '-separated
+ *   Any host can flag a question ('flagged'); only admins can retire one or
+ *   bring it back to 'active'.
+ *
+ * POST /api/bank
+ *   Body: { action: 'pull', round, count?, category?, difficulty?, tags?, location? }
+ *     Pulls `count` (default: the round's question count) active questions
+ *     that have never been asked, oldest first, skipping any another pull or
+ *     draft night has reserved. The pulled ones are held for a day, or until
+ *     they're saved in a night (see lib/questionBank.js). Returns a round in
+ *     the same shape /api/trivia does, plus { fromBank: true, available }.
+ *     409 with { available } when there aren't enough.
+ *
+ *   Body: { action: 'import' }   (admin only)
+ *     Adds every QuestionLog question that isn't in the bank yet
+ *     (source: 'log'), so questions printed before the bank existed count.
+ *     Returns: { success: true, imported }
+ *
+ * Sheet columns (A–Q):
+ *   QuestionID | Round | Category | Location | Question | Answer | Difficulty |
+ *   Tags | Status | StatusNote | Source | CreatedAt | UpdatedAt | Alternates |
+ *   Note | ReservedBy | ReservedAt
+ */
+
+const { questionBank } = require('../lib/storage');
+const { getPrincipal, isAdmin, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { ROUND_META } = require('../lib/rounds');
+const {
+  STATUSES, DIFFICULTIES, parseTags, searchBank, pullFromBank, importFromLog,
+} = require('../lib/questionBank');
+const { cleanAlternates, cleanNote } = require('../lib/roundSchema');
+
+const ROUNDS = ['round1', 'round2', 'round3', 'lightning', 'lastcall'];
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Validate the filter/edit fields present in `fields`.
+ * Returns an error message, or null when everything present is valid.
+ */
+function validateFields(fields, { allowAllStatus = false } = {}) {
+  if (fields.round && !ROUNDS.includes(fields.round)) {
+    return `round must be one of: ${ROUNDS.join(', ')}`;
+  }
+  const statuses = allowAllStatus ? [...STATUSES, 'all'] : STATUSES;
+  if (fields.status !== undefined && !statuses.includes(fields.status)) {
+    return `status must be one of: ${statuses.join(', ')}`;
+  }
+  if (fields.difficulty && !DIFFICULTIES.includes(fields.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// GET — search
+// ---------------------------------------------------------------------------
+async function handleGet(req, res, principal) {
+  const { round, category, location, week, difficulty, tags, status, used, q } = req.query;
+
+  const invalid = validateFields({ round, status, difficulty }, { allowAllStatus: true });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const matches = await searchBank({
+    round, category, location, week, difficulty, tags, text: q,
+    status: status || 'active',
+    used: used === 'true' ? true : used === 'false' ? false : undefined,
+    visibleTo: principal.location || undefined,
+  });
+
+  return res.status(200).json({ questions: matches.slice(offset, offset + limit), total: matches.length });
+}
+
+// ---------------------------------------------------------------------------
+// PATCH — flag / retire / tag / edit the answer key
+// ---------------------------------------------------------------------------
+const EDITABLE_FIELDS = ['status', 'statusNote', 'difficulty', 'tags', 'category', 'alternates', 'note'];
+
+async function handlePatch(req, res, principal) {
+  const body = req.body || {};
+  const questionId = req.query.questionId || body.questionId;
+  if (!questionId) return res.status(400).json({ error: 'questionId is required' });
+
+  const patch = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) patch[field] = body[field];
+  }
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+  }
+
+  const invalid = validateFields(patch);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const existing = await questionBank.get(questionId);
+  if (!existing) return res.status(404).json({ error: 'Question not found' });
+  if (existing.location && !canAccessLocation(principal, existing.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (patch.status && patch.status !== 'flagged' && patch.status !== existing.status && !isAdmin(principal)) {
+    return res.status(403).json({ error: 'Forbidden — only admins can retire or reinstate questions' });
+  }
+
+  if (patch.tags !== undefined) patch.tags = parseTags(patch.tags);
+  if (patch.statusNote !== undefined) patch.statusNote = String(patch.statusNote).trim();
+  if (patch.category !== undefined) patch.category = String(patch.category).trim();
+  if (patch.alternates !== undefined) patch.alternates = cleanAlternates(patch.alternates, existing.answer);
+  if (patch.note !== undefined) patch.note = cleanNote(String(patch.note));
+
+  const question = await questionBank.update(questionId, patch);
+  return res.status(200).json({ success: true, question });
+}
+
+// ---------------------------------------------------------------------------
+// POST — pull unused questions / import from the log
+// ---------------------------------------------------------------------------
+async function handlePull(req, res, principal) {
+  const { round, category, difficulty, tags } = req.body || {};
+  const location = req.body?.location || principal.location || '';
+
+  if (!ROUNDS.includes(round)) return res.status(400).json({ error: `round must be one of: ${ROUNDS.join(', ')}` });
+  const invalid = validateFields({ difficulty });
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (round === 'round2' && !location) {
+    return res.status(400).json({ error: 'location is required for round2' });
+  }
+  if (location && !canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const count = parseInt(req.body?.count, 10) || ROUND_META[round].questionCount;
+  const { questions, available } = await pullFromBank(round, { count, category, location, difficulty, tags });
+  if (!questions.length) {
+    return res.status(409).json({
+      error: `Only ${available} unused ${ROUND_META[round].title} question${available === 1 ? '' : 's'} in the bank`,
+      available,
+    });
+  }
+
+  return res.status(200).json({
+    round,
+    title: ROUND_META[round].title,
+    category: category || 'From the question bank',
+    pointsEach: ROUND_META[round].pointsEach,
+    questionCount: questions.length,
+    questions,
+    ...(round === 'round2' ? { location } : {}),
+    fromBank: true,
+    available,
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+async function handleImport(req, res, principal) {
+  if (!isAdmin(principal)) return res.status(403).json({ error: 'Forbidden — admin only' });
+
+  const imported = await importFromLog();
+  return res.status(200).json({ success: true, imported });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') return await handleGet(req, res, principal);
+    if (req.method === 'PATCH') return await handlePatch(req, res, principal);
+    if (req.method === 'POST') {
+      const action = req.body?.action;
+      if (action === 'pull') return await handlePull(req, res, principal);
+      if (action === 'import') return await handleImport(req, res, principal);
+      return res.status(400).json({ error: 'action must be one of: pull, import' });
+    }
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[bank] error:', err.message);
+    return res.status(500).json({ error: 'Question bank request failed', details: err.message });
+  }
+};
@@ -0,0 +1,251 @@
+/**
+ * api/disputes.js
+ * Answer disputes — a team challenges a question after the round, the host
+ * logs it, then accepts or rejects it. Accepting one rescores the night.
+ *
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts only see and resolve disputes for their own location.
+ *
+ * GET /api/disputes
+ *   Query params (all optional): location, week, status ('open' | 'accepted'
+ *   | 'rejected'), logId, teamId
+ *   Returns: { disputes: [...] } newest first
+ *
+ * POST /api/disputes — log a challenge
+ *   Body: { logId, teamId, teamName?, claimedAnswer, reason?, raisedBy? }
+ *     logId          — the QuestionLog row being challenged
+ *     claimedAnswer  — what the team wrote down
+ *   Returns 201 { success: true, dispute }
+ *
+ * PATCH /api/disputes?disputeId=X — resolve it
+ *   Body: { status: 'accepted' | 'rejected', credit?, alternate?, teamIds?,
+ *           resolvedBy?, note? }
+ *   credit (required when accepting):
+ *     'team'      — credit only the team that raised the dispute
+ *     'everyone'  — accept `alternate` (default: the claimed answer) as a
+ *                   correct answer: it's added to the question's alternates
+ *                   in the QuestionLog and question bank, and the team that
+ *                   raised it is credited, along with every team that sent
+ *                   that answer from their phone (found from the night's
+ *                   submissions) and every team in `teamIds`. Answers
+ *                   written on paper aren't stored, so teams that played
+ *                   on paper must be listed in `teamIds`
+ *   Crediting adds the question's points to that round on each team's Scores
+ *   row for the night (Last Call: an 'incorrect' outcome becomes 'correct'),
+ *   recorded in the ScoreAudit trail, then refreshes that season's cached
+ *   standings. Teams whose score can't be changed are listed in `skipped` —
+ *   including ones the trail shows this dispute already credited, so two
+ *   accepts at once never credit a team twice.
+ *   Returns: { success: true, dispute, credited: [{ scoreId, teamId, teamName,
+ *              points, changes, score }], skipped: [{ teamId, reason }] }
+ *   409 if the dispute has already been resolved.
+ *
+ * Sheet columns (A–V):
+ *   DisputeID | LogID | Location | Week | Round | Q# | Question | Answer |
+ *   TeamID | TeamName | ClaimedAnswer | Reason | Status | Resolution |
+ *   Alternate | Credited | RaisedBy | RaisedAt | ResolvedBy | ResolvedAt |
+ *   ResolutionNote | SeasonID
+ */
+
+const {
+  disputes: disputesRepo, questionLog, questionBank, teams,
+} = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { ROUND_META } = require('../lib/rounds');
+const { creditTeams, phoneTeamsAnswering } = require('../lib/disputes');
+const { refreshStandingsFor } = require('../lib/standings');
+const { cleanAlternates } = require('../lib/roundSchema');
+
+const STATUSES = ['open', 'accepted', 'rejected'];
+const CREDIT_MODES = ['team', 'everyone'];
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function generateDisputeId() {
+  return `dispute_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ---------------------------------------------------------------------------
+// GET — list
+// ---------------------------------------------------------------------------
+async function handleGet(req, res, principal) {
+  const { week, status, logId, teamId } = req.query;
+  const location = principal.location || req.query.location;
+
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+
+  let list = await disputesRepo.list();
+  if (location) list = list.filter((d) => d.location === location);
+  if (week) list = list.filter((d) => d.week === String(week));
+  if (status) list = list.filter((d) => d.status === status);
+  if (logId) list = list.filter((d) => d.logId === logId);
+  if (teamId) list = list.filter((d) => d.teamId === teamId);
+
+  return res.status(200).json({ disputes: list.reverse() });
+}
+
+// ---------------------------------------------------------------------------
+// POST — log a challenge
+// ---------------------------------------------------------------------------
+async function handlePost(req, res, principal) {
+  const { logId, teamId, teamName, claimedAnswer, reason, raisedBy } = req.body || {};
+
+  const missing = ['logId', 'teamId', 'claimedAnswer'].filter((f) => !req.body?.[f]);
+  if (missing.length) {
+    return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+  }
+
+  const entry = await questionLog.get(logId);
+  if (!entry) return res.status(404).json({ error: 'Logged question not found' });
+  if (!canAccessLocation(principal, entry.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const team = (await teams.list()).find((t) => t.teamId === teamId);
+
+  const dispute = {
+    disputeId: generateDisputeId(),
+    logId,
+    location: entry.location,
+    week: entry.week,
+    round: entry.round,
+    number: entry.number === '' ? null : Number(entry.number),
+    question: entry.question,
+    answer: entry.answer,
+    teamId,
+    teamName: teamName || team?.teamName || '',
+    claimedAnswer: String(claimedAnswer).trim(),
+    reason: reason ? String(reason).trim() : '',
+    status: 'open',
+    resolution: '',
+    alternate: '',
+    credited: [],
+    raisedBy: raisedBy || '',
+    raisedAt: new Date().toISOString(),
+    resolvedBy: '',
+    resolvedAt: '',
+    resolutionNote: '',
+    seasonId: entry.seasonId || '',
+  };
+
+  await disputesRepo.create(dispute);
+  return res.status(201).json({ success: true, dispute });
+}
+
+// ---------------------------------------------------------------------------
+// PATCH — accept or reject
+// ---------------------------------------------------------------------------
+
+/** Add an accepted alternate to the logged question and its bank question. */
+async function acceptAlternate(entry, alternate) {
+  const alternates = cleanAlternates([...entry.alternates, alternate], entry.answer);
+  await questionLog.update(entry.logId, { alternates });
+  if (entry.questionId) {
+    const banked = await questionBank.get(entry.questionId);
+    if (banked) {
+      await questionBank.update(entry.questionId, {
+        alternates: cleanAlternates([...banked.alternates, alternate], banked.answer),
+      });
+    }
+  }
+}
+
+async function handlePatch(req, res, principal) {
+  const body = req.body || {};
+  const disputeId = req.query.disputeId || body.disputeId;
+  if (!disputeId) return res.status(400).json({ error: 'disputeId is required' });
+
+  const { status, credit, resolvedBy, note } = body;
+  if (status !== 'accepted' && status !== 'rejected') {
+    return res.status(400).json({ error: "status must be 'accepted' or 'rejected'" });
+  }
+  if (status === 'accepted' && !CREDIT_MODES.includes(credit)) {
+    return res.status(400).json({ error: `credit must be one of: ${CREDIT_MODES.join(', ')}` });
+  }
+  if (body.teamIds !== undefined && !Array.isArray(body.teamIds)) {
+    return res.status(400).json({ error: 'teamIds must be an array of team IDs' });
+  }
+
+  const dispute = await disputesRepo.get(disputeId);
+  if (!dispute) return res.status(404).json({ error: 'Dispute not found' });
+  if (!canAccessLocation(principal, dispute.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (dispute.status !== 'open') {
+    return res.status(409).json({ error: `Dispute has already been ${dispute.status}` });
+  }
+
+  const resolved = {
+    status,
+    resolvedBy: resolvedBy || '',
+    resolvedAt: new Date().toISOString(),
+    resolutionNote: note ? String(note).trim() : '',
+  };
+
+  if (status === 'rejected') {
+    const updated = await disputesRepo.update(disputeId, resolved);
+    return res.status(200).json({ success: true, dispute: updated, credited: [], skipped: [] });
+  }
+
+  const entry = await questionLog.get(dispute.logId);
+  if (!entry) return res.status(404).json({ error: 'Logged question not found' });
+
+  const alternate = credit === 'everyone' ? String(body.alternate || dispute.claimedAnswer).trim() : '';
+  const teamIds = credit === 'everyone'
+    ? [dispute.teamId, ...await phoneTeamsAnswering(entry, alternate), ...(body.teamIds || []).map(String)]
+    : [dispute.teamId];
+
+  if (alternate) await acceptAlternate(entry, alternate);
+
+  const label = `${ROUND_META[dispute.round]?.title || dispute.round} Q${dispute.number}`;
+  const { credited, skipped } = await creditTeams(entry, teamIds, {
+    disputeId,
+    changedBy: resolvedBy,
+    reason: `${label}: "${alternate || dispute.claimedAnswer}"${resolved.resolutionNote ? ` (${resolved.resolutionNote})` : ''}`,
+  });
+
+  // An accept racing this one may have written its credits already — keep them
+  const earlier = (await disputesRepo.get(disputeId)).credited
+    .filter((c) => !credited.some((n) => n.scoreId === c.scoreId));
+  const updated = await disputesRepo.update(disputeId, {
+    ...resolved,
+    resolution: credit,
+    alternate,
+    credited: [...earlier, ...credited.map(({ scoreId, teamId, teamName, points }) => ({ scoreId, teamId, teamName, points }))],
+  });
+
+  try {
+    await refreshStandingsFor(credited.map(({ score }) => score));
+  } catch (err) {
+    // Scores are the source of truth — /api/standings recomputes from them anyway
+    console.error('[disputes] standings refresh failed:', err.message);
+  }
+
+  return res.status(200).json({ success: true, dispute: updated, credited, skipped });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') return await handleGet(req, res, principal);
+    if (req.method === 'POST') return await handlePost(req, res, principal);
+    if (req.method === 'PATCH') return await handlePatch(req, res, principal);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[disputes] error:', err.message);
+    return res.status(500).json({ error: 'Disputes request failed', details: err.message });
+  }
+};
@@ -0,0 +1,386 @@
+/**
+ * api/games.js
+ * Game nights, host side — start tonight's game, walk it round by round
+ * (which drives the live board, see api/live.js), enter paper teams' round
+ * scores, grade answers sent from phones (see api/play.js), and post the
+ * totals to Scores.
+ *
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts only see and run games at their own location.
+ *
+ * GET /api/games
+ *   Query params (optional): location, status ('open' | 'finished')
+ *   Returns: { games: [...] } newest first
+ *
+ * GET /api/games?gameId=X — everything the grading view needs (the
+ *   presentation slides, public/present.html, read the same game's rounds)
+ *   Returns: { game, teams: [{ teamId, teamName, joinedAt, scoreId, onPhone }],
+ *              submissions: [...],
+ *              sheets: [{ teamId, teamName, breakdown, errors, pending }],
+ *              board: <the live board, as api/live.js returns it> }
+ *   teams are the phone teams plus any the host has scored on paper;
+ *   onPhone is true while a phone holds the team (see api/play.js).
+ *   Each submission's answers are [{ number, answer, match, verdict }] — see
+ *   lib/grading.js for how answers are auto-matched.
+ *
+ * POST /api/games — start a game
+ *   Body: { action: 'create', location, week, date, rounds?, createdBy? }
+ *     rounds — the generator's rounds: [{ round, category?, questions?:
+ *              [{ question, answer, alternates? }] }]. Rounds without
+ *              questions are scored on paper; leave rounds out entirely for
+ *              a paper night of all five.
+ *   Returns 201 { success: true, game } — game.joinCode is what teams type in.
+ *   409 if the location already has an open game.
+ *
+ * POST /api/games — finish a game and post scores
+ *   Body: { action: 'finish', gameId, submittedBy? }
+ *   Closes every round and posts each team's totals to Scores (tagged with
+ *   the season the game started in). Posting again after regrading corrects
+ *   the same Scores rows, with an audit entry.
+ *   Returns: { success: true, game, posted: [{ teamId, teamName, scoreId,
+ *              total, updated }], skipped: [{ teamId, teamName, reason }] }
+ *   409 with `pending` while any answer still needs a verdict.
+ *
+ * POST /api/games — let a phone team rejoin, e.g. from a new phone
+ *   Body: { action: 'allowRejoin', gameId, teamId }
+ *   The next phone to join as the team takes it over; until then the old
+ *   phone keeps working.
+ *   Returns: { success: true }
+ *
+ * PATCH /api/games?gameId=X — move the night along
+ *   Body: { advance: 'next' | 'back' }
+ *   Steps through lib/games.js stepsFor: each round (opened for phones,
+ *   the one before it closed), a 'beforeLastCall' standings pause, Last
+ *   Call, then 'final' (the live board reveals Last Call).
+ *
+ * PATCH /api/games?gameId=X — open or close one round by hand
+ *   Body: { round, status: 'waiting' | 'open' | 'closed' }
+ *
+ * PATCH /api/games?gameId=X — a paper team's round score
+ *   Body: { tally: { teamId, round, points } }          — fixed-value rounds
+ *         { tally: { teamId, round: 'lastcall', wager, outcome } }
+ *   points: null (or outcome: null) clears it. Phone answers for the round,
+ *   if any, take precedence.
+ *   Returns: { success: true, game }
+ *
+ * PATCH /api/games?submissionId=X — grade a team's round
+ *   Body: { verdicts?: { [number]: 'correct' | 'incorrect' }, wager?, gradedBy? }
+ *   Returns: { success: true, submission }
+ *
+ * Sheet columns:
+ *   Games (A–O):       GameID | Location | Date | Week | JoinCode | Status |
+ *                      Rounds | CreatedBy | CreatedAt | FinishedAt | SeasonID |
+ *                      CurrentRound | Showing | Tally | UpdatedAt
+ *   GameTeams (A–H):   EntryID | GameID | TeamID | TeamName | JoinedAt |
+ *                      ScoreID | PostedAt | DeviceKey
+ *   Submissions (A–J): SubmissionID | GameID | TeamID | TeamName | Round |
+ *                      Answers | Wager | SubmittedAt | GradedBy | GradedAt
+ */
+
+const {
+  games: gamesRepo, gameTeams, submissions: submissionsRepo, seasons, teams: teamsRepo,
+} = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { locationNames } = require('../lib/locations');
+const { scoreSheet, checkWeek, LAST_CALL_OUTCOMES } = require('../lib/scoring');
+const {
+  ROUND_ORDER, ROUND_STATUSES, generateJoinCode, buildRounds, stepsFor, stepIndex, applyStep,
+  teamsFor, sheetFor, liveBoard, postScores,
+} = require('../lib/games');
+
+const GAME_STATUSES = ['open', 'finished'];
+const GRADES = ['correct', 'incorrect'];
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function generateGameId() {
+  return `game_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ---------------------------------------------------------------------------
+// GET — list, or one game with its teams and submissions
+// ---------------------------------------------------------------------------
+async function handleGet(req, res, principal) {
+  const { gameId, status } = req.query;
+
+  if (gameId) {
+    const game = await gamesRepo.get(gameId);
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    if (!canAccessLocation(principal, game.location)) {
+      return res.status(403).json({ error: locationForbidden(principal) });
+    }
+    const teams = teamsFor(game, await gameTeams.forGame(gameId))
+      .map(({ deviceKey, ...team }) => ({ ...team, onPhone: Boolean(deviceKey) }));
+    const submissions = await submissionsRepo.forGame(gameId);
+    const sheets = teams.map(({ teamId, teamName }) => {
+      const { sheet, pending } = sheetFor(game, submissions, teamId);
+      const { errors, breakdown } = scoreSheet(sheet);
+      return { teamId, teamName, breakdown, errors, pending };
+    });
+    const board = liveBoard(game, teams, submissions);
+    return res.status(200).json({ game, teams, submissions, sheets, board });
+  }
+
+  if (status && !GAME_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${GAME_STATUSES.join(', ')}` });
+  }
+  const location = principal.location || req.query.location;
+  let list = await gamesRepo.list();
+  if (location) list = list.filter((g) => g.location === location);
+  if (status) list = list.filter((g) => g.status === status);
+  return res.status(200).json({ games: list.reverse() });
+}
+
+// ---------------------------------------------------------------------------
+// POST — create / finish / allowRejoin
+// ---------------------------------------------------------------------------
+async function handleCreate(req, res, principal) {
+  const { location, week, date, createdBy } = req.body;
+
+  const missing = ['location', 'week', 'date'].filter((f) => !req.body[f]);
+  if (missing.length) {
+    return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+  }
+  const names = await locationNames();
+  if (!names.includes(location)) {
+    return res.status(400).json({ error: `Invalid location. Must be one of: ${names.join(', ')}` });
+  }
+  if (!canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD format' });
+  }
+  const season = await seasons.active();
+  const badWeek = checkWeek(season, week);
+  if (badWeek) return res.status(400).json({ error: badWeek });
+
+  const { rounds, error } = buildRounds(req.body.rounds || ROUND_ORDER.map((round) => ({ round })));
+  if (error) return res.status(400).json({ error });
+
+  const open = (await gamesRepo.list()).filter((g) => g.status === 'open');
+  const running = open.find((g) => g.location === location);
+  if (running) {
+    return res.status(409).json({ error: `${location} already has an open game (code ${running.joinCode}) — finish it first`, gameId: running.gameId });
+  }
+
+  const game = {
+    gameId: generateGameId(),
+    location,
+    date,
+    week: String(week),
+    joinCode: generateJoinCode(new Set(open.map((g) => g.joinCode))),
+    status: 'open',
+    rounds,
+    createdBy: createdBy || '',
+    createdAt: new Date().toISOString(),
+    finishedAt: '',
+    seasonId: season?.seasonId || '',
+    currentRound: '',
+    showing: '',
+    tally: {},
+  };
+  game.updatedAt = game.createdAt;
+  await gamesRepo.create(game);
+  return res.status(201).json({ success: true, game });
+}
+
+async function handleAllowRejoin(req, res, principal) {
+  const { gameId, teamId } = req.body;
+  if (!gameId || !teamId) return res.status(400).json({ error: 'gameId and teamId are required' });
+
+  const game = await gamesRepo.get(gameId);
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  if (!canAccessLocation(principal, game.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  const entry = (await gameTeams.forGame(gameId)).find((t) => t.teamId === teamId);
+  if (!entry) return res.status(404).json({ error: "That team hasn't joined this game" });
+
+  await gameTeams.update(entry.entryId, { deviceKey: '' });
+  return res.status(200).json({ success: true });
+}
+
+async function handleFinish(req, res, principal) {
+  const { gameId, submittedBy } = req.body;
+  if (!gameId) return res.status(400).json({ error: 'gameId is required' });
+
+  let game = await gamesRepo.get(gameId);
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  if (!canAccessLocation(principal, game.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const teams = teamsFor(game, await gameTeams.forGame(gameId));
+  const submissions = await submissionsRepo.forGame(gameId);
+  const { rounds } = applyStep(game, { currentRound: '', showing: 'final' });
+
+  const pending = teams
+    .map(({ teamId, teamName }) => ({ teamId, teamName, rounds: sheetFor({ ...game, rounds }, submissions, teamId).pending }))
+    .filter((p) => p.rounds.length);
+  if (pending.length) {
+    return res.status(409).json({ error: 'Some answers still need a verdict', pending });
+  }
+
+  const now = new Date().toISOString();
+  game = await gamesRepo.update(gameId, {
+    rounds,
+    currentRound: '',
+    showing: 'final',
+    status: 'finished',
+    finishedAt: game.finishedAt || now,
+    updatedAt: now,
+  });
+  const { posted, skipped } = await postScores(game, teams, submissions, { submittedBy });
+  return res.status(200).json({ success: true, game, posted, skipped });
+}
+
+// ---------------------------------------------------------------------------
+// PATCH — steps, round status, paper scores, grading
+// ---------------------------------------------------------------------------
+/** Patch for a { advance: 'next' | 'back' } step, or { status, error }. */
+function advancePatch(game, advance) {
+  if (advance !== 'next' && advance !== 'back') {
+    return { status: 400, error: "advance must be 'next' or 'back'" };
+  }
+  const steps = stepsFor(game);
+  const next = stepIndex(game) + (advance === 'next' ? 1 : -1);
+  if (next < 0 || next >= steps.length) {
+    return { status: 409, error: advance === 'next' ? 'The night is already on its final step' : 'The night has not started yet' };
+  }
+  return { patch: applyStep(game, steps[next]) };
+}
+
+/** Patch for opening or closing one round, or { status, error }. */
+function roundStatusPatch(game, { round, status }) {
+  if (!ROUND_STATUSES.includes(status)) {
+    return { status: 400, error: `status must be one of: ${ROUND_STATUSES.join(', ')}` };
+  }
+  if (!game.rounds.some((r) => r.round === round)) {
+    return { status: 400, error: `This game has no round "${round}"` };
+  }
+  return { patch: { rounds: game.rounds.map((r) => (r.round === round ? { ...r, status } : r)) } };
+}
+
+/** Patch for a paper team's round score, or { status, error }. */
+async function tallyPatch(game, { teamId, round, points, wager, outcome } = {}) {
+  if (!game.rounds.some((r) => r.round === round)) {
+    return { status: 400, error: `This game has no round "${round}"` };
+  }
+  const team = (await teamsRepo.list()).find((t) => t.teamId === teamId);
+  if (!team || team.location !== game.location) {
+    return { status: 400, error: `That team isn't registered at ${game.location}` };
+  }
+
+  const key = round === 'lastcall' ? 'lastCall' : round;
+  let value = null;
+  if (round === 'lastcall' && outcome !== null && outcome !== undefined) {
+    if (!LAST_CALL_OUTCOMES.includes(outcome)) {
+      return { status: 400, error: `outcome must be one of: ${LAST_CALL_OUTCOMES.join(', ')}` };
+    }
+    if (outcome !== 'nocard' && (!Number.isInteger(Number(wager)) || wager === null || wager === '' || Number(wager) < 0)) {
+      return { status: 400, error: 'wager must be a whole number of 0 or more' };
+    }
+    value = outcome === 'nocard' ? { outcome } : { wager: Number(wager), outcome };
+  } else if (round !== 'lastcall' && points !== null && points !== undefined) {
+    const { errors } = scoreSheet({ [round]: points });
+    if (errors.length) return { status: 400, error: `Invalid score: ${errors.join('; ')}` };
+    value = Number(points);
+  }
+
+  const entry = { ...game.tally[teamId], teamName: team.teamName };
+  if (value === null) delete entry[key];
+  else entry[key] = value;
+
+  const tally = { ...game.tally };
+  if (Object.keys(entry).some((k) => k !== 'teamName')) tally[teamId] = entry;
+  else delete tally[teamId];
+  return { patch: { tally } };
+}
+
+async function handleGameUpdate(req, res, principal) {
+  const body = req.body || {};
+
+  const game = await gamesRepo.get(req.query.gameId);
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  if (!canAccessLocation(principal, game.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (game.status !== 'open') return res.status(409).json({ error: 'Game has already finished' });
+
+  const { patch, status, error } = body.advance !== undefined ? advancePatch(game, body.advance)
+    : body.tally !== undefined ? await tallyPatch(game, body.tally)
+      : roundStatusPatch(game, body);
+  if (error) return res.status(status).json({ error });
+
+  const updated = await gamesRepo.update(game.gameId, { ...patch, updatedAt: new Date().toISOString() });
+  return res.status(200).json({ success: true, game: updated });
+}
+
+async function handleGrade(req, res, principal) {
+  const { verdicts = {}, wager, gradedBy } = req.body || {};
+  if (verdicts === null || typeof verdicts !== 'object' || Array.isArray(verdicts)) {
+    return res.status(400).json({ error: 'verdicts must be an object of { [number]: verdict }' });
+  }
+  const bad = Object.entries(verdicts).find(([, v]) => !GRADES.includes(v));
+  if (bad) return res.status(400).json({ error: `verdict for question ${bad[0]} must be one of: ${GRADES.join(', ')}` });
+
+  const submission = await submissionsRepo.get(req.query.submissionId);
+  if (!submission) return res.status(404).json({ error: 'Submission not found' });
+  const game = await gamesRepo.get(submission.gameId);
+  if (!canAccessLocation(principal, game?.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const patch = {
+    answers: submission.answers.map((a) => (verdicts[a.number] ? { ...a, verdict: verdicts[a.number] } : a)),
+    gradedBy: gradedBy || '',
+    gradedAt: new Date().toISOString(),
+  };
+  if (wager !== undefined) {
+    if (submission.round !== 'lastcall') return res.status(400).json({ error: 'Only Last Call has a wager' });
+    if (!Number.isInteger(Number(wager)) || Number(wager) < 0) {
+      return res.status(400).json({ error: 'wager must be a whole number of 0 or more' });
+    }
+    patch.wager = Number(wager);
+  }
+
+  const updated = await submissionsRepo.update(submission.submissionId, patch);
+  // A regrade can change the live board
+  await gamesRepo.update(game.gameId, { updatedAt: patch.gradedAt });
+  return res.status(200).json({ success: true, submission: updated });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') return await handleGet(req, res, principal);
+    if (req.method === 'POST') {
+      const action = req.body?.action;
+      if (action === 'create') return await handleCreate(req, res, principal);
+      if (action === 'finish') return await handleFinish(req, res, principal);
+      if (action === 'allowRejoin') return await handleAllowRejoin(req, res, principal);
+      return res.status(400).json({ error: 'action must be one of: create, finish, allowRejoin' });
+    }
+    if (req.method === 'PATCH') {
+      if (req.query.gameId) return await handleGameUpdate(req, res, principal);
+      if (req.query.submissionId) return await handleGrade(req, res, principal);
+      return res.status(400).json({ error: 'gameId or submissionId is required' });
+    }
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[games] error:', err.message);
+    return res.status(500).json({ error: 'Games request failed', details: err.message });
+  }
+};
@@ -9,19 +9,23 @@
  *   location  (optional) — filter to a specific location
  *   round     (optional) — filter to a specific round key (e.g. 'round3')
  *   limit     (optional) — max questions to return (default 200, max 500)
+ *   seasonId  (optional) — a season's questions; 'all' for every season.
+ *                          Defaults to the active season (every question if
+ *                          no season has been started).
  *
- * Requires: Authorization: Bearer <HOST_SECRET>
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts only see their own location's history (location defaults
+ *   to theirs; asking for another location is a 403).
  *
  * Returns: { questions: string[], count: number }
- *   questions — flat array of question text strings (for pasting into avoidList)
+ *   questions — flat array of question text strings (for pasting into avoidList),
+ *               newest first. Reworded copies of the same question are
+ *               collapsed to one (see lib/similarity.js).
  */
 
-const { readRange } = require('../lib/sheets');
-const { isValidHostSecret } = require('../lib/auth');
-
-// QuestionLog column indices (0-based)
-// LogID(0) Week(1) SavedAt(2) Location(3) Round(4) RoundTitle(5) Category(6) Q#(7) Question(8) Answer(9)
-const COL = { location: 3, round: 4, question: 8 };
+const { questionLog, seasons } = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { distinctQuestions } = require('../lib/similarity');
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -34,16 +38,23 @@ module.exports = async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-  if (!isValidHostSecret(req.headers['authorization'])) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { round, seasonId, limit: limitParam } = req.query || {};
+    const location = req.query?.location || principal.location;
+    if (location && !canAccessLocation(principal, location)) {
+      return res.status(403).json({ error: locationForbidden(principal) });
+    }
+    const limit = Math.min(parseInt(limitParam, 10) || 200, 500);
 
-  const { location, round, limit: limitParam } = req.query || {};
-  const limit = Math.min(parseInt(limitParam, 10) || 200, 500);
+    const season = await seasons.resolve(seasonId);
+    if (season === undefined) return res.status(404).json({ error: 'Season not found' });
 
-  try {
-    // Read all data rows (skip header row 1)
-    const rows = await readRange('QuestionLog!A2:J');
+    const rows = await questionLog.list();
 
     if (!rows || rows.length === 0) {
       return res.status(200).json({ questions: [], count: 0 });
@@ -51,27 +62,23 @@ module.exports = async function handler(req, res) {
 
     let filtered = rows;
 
+    if (season) {
+      filtered = filtered.filter(r => seasons.contains(season, { seasonId: r.seasonId, date: (r.savedAt || '').slice(0, 10) }));
+    }
+
     if (location) {
       const loc = location.trim().toLowerCase();
-      filtered = filtered.filter(r => (r[COL.location] || '').toLowerCase() === loc);
+      filtered = filtered.filter(r => (r.location || '').toLowerCase() === loc);
     }
 
     if (round) {
       const rnd = round.trim().toLowerCase();
-      filtered = filtered.filter(r => (r[COL.round] || '').toLowerCase() === rnd);
+      filtered = filtered.filter(r => (r.round || '').toLowerCase() === rnd);
     }
 
-    // Extract question text, deduplicate, trim
-    const seen = new Set();
-    const questions = [];
-    for (const row of filtered) {
-      const q = (row[COL.question] || '').trim();
-      if (q && !seen.has(q)) {
-        seen.add(q);
-        questions.push(q);
-        if (questions.length >= limit) break;
-      }
-    }
+    // Newest first, so a capped avoid list keeps the most recent questions
+    const texts = [...new Set(filtered.map(r => (r.question || '').trim()).filter(Boolean))].reverse();
+    const questions = distinctQuestions(texts).slice(0, limit);
 
     return res.status(200).json({ questions, count: questions.length });
 
@@ -0,0 +1,114 @@
+/**
+ * api/live.js
+ * The live scoreboard for the bar TV (public/live.html) — public, read-only.
+ *
+ * GET /api/live
+ *   Returns: { games: [{ gameId, location, date, week, currentRound, showing,
+ *              status }] } — tonight's open games, plus any finished in the
+ *              last few hours (so the TV keeps showing the final board)
+ *
+ * GET /api/live?location=X
+ *   Query params (optional):
+ *     since — the `version` from the last response; the request is held
+ *             until the board changes (long-polling)
+ *     wait  — seconds to hold, default and max 25
+ *   Returns: { live: true, version, game: { …, currentTitle }, board: [{ rank,
+ *              teamId, teamName, rounds, preLastCall, lastCall, total }] }
+ *            or { live: false } when there's no game at that location.
+ *   An unchanged board after `wait` seconds comes back with the same version —
+ *   just ask again. See lib/games.js liveBoard for what the board counts.
+ *
+ * Every TV polls, so the games list is cached for a few seconds per
+ * instance — a change can take that long to show up.
+ */
+
+const { games: gamesRepo, gameTeams, submissions: submissionsRepo } = require('../lib/storage');
+const { publicGame, teamsFor, liveBoard } = require('../lib/games');
+
+const MAX_WAIT_SECONDS = 25;            // well inside the function time limit
+const POLL_INTERVAL_MS = 1500;
+const FINISHED_VISIBLE_MS = 6 * 60 * 60 * 1000;
+const GAMES_CACHE_MS = 5 * 1000;
+let gamesCache = null;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+/** Every game, read at most once per GAMES_CACHE_MS however many TVs are waiting. */
+function allGames() {
+  if (!gamesCache || Date.now() - gamesCache.fetchedAt >= GAMES_CACHE_MS) {
+    const games = gamesRepo.list();
+    gamesCache = { games, fetchedAt: Date.now() };
+    games.catch(() => { if (gamesCache?.games === games) gamesCache = null; });
+  }
+  return gamesCache.games;
+}
+
+/** Games worth showing: open ones, and ones finished recently. */
+async function liveGames() {
+  const cutoff = Date.now() - FINISHED_VISIBLE_MS;
+  return (await allGames()).filter((g) => g.status === 'open'
+    || (g.finishedAt && new Date(g.finishedAt).getTime() > cutoff));
+}
+
+/** The newest live game at a location, or null. */
+async function gameAt(location) {
+  const games = (await liveGames()).filter((g) => g.location === location);
+  return games.find((g) => g.status === 'open') || games[games.length - 1] || null;
+}
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+async function snapshot(game) {
+  const teams = teamsFor(game, await gameTeams.forGame(game.gameId));
+  const submissions = await submissionsRepo.forGame(game.gameId);
+  const current = game.rounds.find((r) => r.round === game.currentRound);
+  return {
+    live: true,
+    version: game.updatedAt,
+    game: { ...publicGame(game), currentTitle: current?.title || '' },
+    board: liveBoard(game, teams, submissions),
+  };
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { location, since } = req.query;
+
+    if (!location) {
+      const games = (await liveGames()).map((g) => ({
+        gameId: g.gameId,
+        location: g.location,
+        date: g.date,
+        week: g.week,
+        currentRound: g.currentRound,
+        showing: g.showing,
+        status: g.status,
+      }));
+      return res.status(200).json({ games });
+    }
+
+    const wait = Math.min(Math.max(parseInt(req.query.wait, 10) || MAX_WAIT_SECONDS, 0), MAX_WAIT_SECONDS);
+    const deadline = Date.now() + wait * 1000;
+    let game = await gameAt(location);
+
+    // Long-poll: hold the request until something on the board changes
+    while (since && Date.now() < deadline && (game?.updatedAt || '') === since) {
+      await sleep(POLL_INTERVAL_MS);
+      game = await gameAt(location);
+    }
+
+    if (!game) return res.status(200).json({ live: false });
+    return res.status(200).json(await snapshot(game));
+  } catch (err) {
+    console.error('[live] error:', err.message);
+    return res.status(500).json({ error: 'Live board failed', details: err.message });
+  }
+};
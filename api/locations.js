@@ -0,0 +1,187 @@
+/**
+ * api/locations.js
+ * League locations — read by every page that shows a location picker, and
+ * managed by admins so a new Grain location is a data change.
+ *
+ * GET /api/locations
+ * GET /api/locations?includeInactive=true
+ *   Returns: { locations: [{ slug, name, city, gameNight, capacity, active }] }
+ *   Active locations only unless includeInactive=true. Host keys are never
+ *   returned.
+ *
+ * POST /api/locations   (admin only)
+ * Authorization: Bearer <admin session token from /api/auth>
+ * Body: { name, city?, gameNight?, capacity?, hostKey? , hostSecretEnv? }
+ *   Adds a location. The slug is derived from the name. hostKey is stored
+ *   hashed; hostSecretEnv names an env var holding the key instead.
+ *   Returns: 201 { success: true, location }
+ *
+ * PATCH /api/locations?slug=X   (admin only)
+ * Body: any of { city, gameNight, capacity, hostKey, hostSecretEnv, active }
+ *   A location's name can't change — scores, teams and question logs refer
+ *   to it. Setting a new hostKey, or deactivating the location, signs out
+ *   that store's existing sessions.
+ *   Returns: { success: true, location }
+ *
+ * gameNight is a weekday name ('Monday' … 'Sunday'); capacity is the max
+ * number of teams per game night (blank/null for no limit).
+ *
+ * Sheet columns (A–I):
+ *   Slug | Name | City | GameNight | Capacity | HostKeyHash | HostSecretEnv |
+ *   Active | CreatedAt
+ */
+
+const { locations: locationsRepo } = require('../lib/storage');
+const { getPrincipal, isAdmin, rotateSigningKey } = require('../lib/auth');
+const {
+  allLocations, seedDefaultLocations, clearLocationCache, publicLocation, slugify, hashHostKey,
+} = require('../lib/locations');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MIN_HOST_KEY_LENGTH = 8;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Validate the editable fields present in `fields`.
+ * Returns an error message, or null when everything present is valid.
+ */
+function validateFields(fields) {
+  if (fields.gameNight !== undefined && fields.gameNight !== '' && !WEEKDAYS.includes(fields.gameNight)) {
+    return `gameNight must be one of: ${WEEKDAYS.join(', ')}`;
+  }
+  if (fields.capacity !== undefined && fields.capacity !== null && fields.capacity !== '') {
+    const n = Number(fields.capacity);
+    if (!Number.isInteger(n) || n < 1) return 'capacity must be a whole number of 1 or more';
+  }
+  if (fields.hostKey !== undefined && String(fields.hostKey).trim().length < MIN_HOST_KEY_LENGTH) {
+    return `hostKey must be at least ${MIN_HOST_KEY_LENGTH} characters`;
+  }
+  if (fields.hostSecretEnv && !/^[A-Z][A-Z0-9_]*$/.test(fields.hostSecretEnv)) {
+    return 'hostSecretEnv must be an env var name like FOURTH_STREET_SECRET';
+  }
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+    return 'active must be true or false';
+  }
+  return null;
+}
+
+/** Turn validated request fields into stored location fields. */
+function toStored(fields) {
+  const stored = {};
+  if (fields.city !== undefined) stored.city = String(fields.city).trim();
+  if (fields.gameNight !== undefined) stored.gameNight = fields.gameNight;
+  if (fields.capacity !== undefined) {
+    stored.capacity = fields.capacity === null || fields.capacity === '' ? null : Number(fields.capacity);
+  }
+  if (fields.hostKey !== undefined) {
+    stored.hostKeyHash = hashHostKey(String(fields.hostKey).trim());
+    stored.hostSecretEnv = '';
+  } else if (fields.hostSecretEnv !== undefined) {
+    stored.hostSecretEnv = fields.hostSecretEnv;
+    stored.hostKeyHash = '';
+  }
+  if (fields.active !== undefined) stored.active = fields.active;
+  return stored;
+}
+
+async function handleGet(req, res) {
+  const includeInactive = req.query?.includeInactive === 'true';
+  const all = await allLocations();
+  const locations = (includeInactive ? all : all.filter((l) => l.active)).map(publicLocation);
+  return res.status(200).json({ locations });
+}
+
+async function handlePost(req, res) {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'name is required' });
+
+  const invalid = validateFields(body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const slug = slugify(name);
+  if (!slug) return res.status(400).json({ error: 'name must contain letters or numbers' });
+
+  await seedDefaultLocations();
+  const existing = await locationsRepo.list();
+  if (existing.some((l) => l.slug === slug || l.name.toLowerCase() === name.toLowerCase())) {
+    return res.status(409).json({ error: 'A location with this name already exists' });
+  }
+
+  const location = {
+    slug,
+    name,
+    city: '',
+    gameNight: '',
+    capacity: null,
+    hostKeyHash: '',
+    hostSecretEnv: '',
+    active: true,
+    createdAt: new Date().toISOString(),
+    ...toStored(body),
+  };
+  await locationsRepo.create(location);
+  clearLocationCache();
+
+  return res.status(201).json({ success: true, location: publicLocation(location) });
+}
+
+async function handlePatch(req, res) {
+  const body = req.body || {};
+  const slug = req.query?.slug || body.slug;
+  if (!slug) return res.status(400).json({ error: 'slug is required' });
+  if (body.name !== undefined) {
+    return res.status(400).json({ error: "A location's name can't be changed" });
+  }
+
+  const invalid = validateFields(body);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const patch = toStored(body);
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({
+      error: 'Nothing to update. Editable fields: city, gameNight, capacity, hostKey, hostSecretEnv, active',
+    });
+  }
+
+  await seedDefaultLocations();
+  const location = await locationsRepo.update(slug, patch);
+  if (!location) return res.status(404).json({ error: 'Location not found' });
+  clearLocationCache();
+
+  // A new key should lock out anyone still holding a session from the old
+  // one, and a deactivated store's hosts shouldn't keep theirs
+  if (body.hostKey !== undefined || body.hostSecretEnv !== undefined || (patch.active !== undefined && !location.active)) {
+    await rotateSigningKey(location.name);
+  }
+
+  return res.status(200).json({ success: true, location: publicLocation(location) });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') return await handleGet(req, res);
+
+    if (req.method !== 'POST' && req.method !== 'PATCH') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const principal = await getPrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+    if (!isAdmin(principal)) return res.status(403).json({ error: 'Forbidden — admin only' });
+
+    if (req.method === 'POST') return await handlePost(req, res);
+    return await handlePatch(req, res);
+  } catch (err) {
+    console.error('[locations] error:', err.message);
+    return res.status(500).json({ error: 'Locations request failed', details: err.message });
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * api/nights.js
+ * Saved nights — the question generator's rounds kept as drafts for a
+ * location and week, so hosts can prepare nights days ahead and a browser
+ * refresh doesn't lose them. A draft is written to QuestionLog only when it's
+ * marked played. See lib/nights.js. Bank questions in a draft are reserved
+ * for it until it's played or discarded (see lib/questionBank.js).
+ *
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts only see and save nights for their own location.
+ *
+ * GET /api/nights
+ *   Query params (optional): location, week, status ('draft' | 'played' |
+ *                            'discarded'; default drafts and played nights)
+ *   Returns: { nights: [{ nightId, location, week, title, status, createdBy,
+ *              createdAt, updatedAt, playedAt, rounds: [{ round, title,
+ *              category, questionCount }] }] } newest first
+ *
+ * GET /api/nights?nightId=X
+ *   Returns: { night } with every round's questions
+ *
+ * POST /api/nights — save a new draft
+ *   Body: { action: 'create', location?, week, title?, rounds, createdBy? }
+ *     location — defaults to the store host's own
+ *     rounds   — the generator's cards: [{ round, title?, category?,
+ *                location?, questions: [{ question, answer, questionId?,
+ *                alternates?, note?, difficulty? }], opts? }]
+ *   Returns 201 { success: true, night }
+ *
+ * PATCH /api/nights?nightId=X — edit a draft
+ *   Body: { rounds?, week?, title?, updatedBy? } — rounds replace the draft's
+ *   Returns: { success: true, night }
+ *   409 once the night has been played or discarded.
+ *
+ * POST /api/nights — mark a draft played
+ *   Body: { action: 'play', nightId, playedBy? }
+ *   Writes every question to QuestionLog (tagged with the active season and
+ *   the nightId), so it counts toward repeat checks and bank usage from now
+ *   on. Log rows are unique by nightId, round and question number: if two
+ *   hosts press Play at once, the second logs nothing new (logged: 0), and
+ *   should both appends land, the log still reads each question once.
+ *   Returns: { success: true, night, logged } — logged is how many rows
+ *   this request wrote
+ *   409 if it was already played.
+ *
+ * DELETE /api/nights?nightId=X — discard a draft (the row is kept)
+ *   Returns: { success: true, night }
+ *
+ * Sheet columns:
+ *   Nights (A–M): NightID | Location | Week | Title | Status | Rounds |
+ *                 CreatedBy | CreatedAt | UpdatedBy | UpdatedAt | PlayedBy |
+ *                 PlayedAt | SeasonID
+ */
+
+const { nights: nightsRepo, questionLog, seasons } = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { locationNames } = require('../lib/locations');
+const { checkWeek } = require('../lib/scoring');
+const {
+  NIGHT_STATUSES, generateNightId, buildNightRounds, logEntries,
+} = require('../lib/nights');
+const { reserveForNight } = require('../lib/questionBank');
+
+const MAX_TITLE_LENGTH = 100;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function summary(night) {
+  const { rounds, ...rest } = night;
+  return {
+    ...rest,
+    rounds: rounds.map(({ round, title, category, questions }) => ({
+      round, title, category, questionCount: questions.length,
+    })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// GET — list, or one night
+// ---------------------------------------------------------------------------
+async function handleGet(req, res, principal) {
+  const { nightId, week, status } = req.query;
+
+  if (nightId) {
+    const night = await nightsRepo.get(nightId);
+    if (!night) return res.status(404).json({ error: 'Night not found' });
+    if (!canAccessLocation(principal, night.location)) {
+      return res.status(403).json({ error: locationForbidden(principal) });
+    }
+    return res.status(200).json({ night });
+  }
+
+  if (status && !NIGHT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${NIGHT_STATUSES.join(', ')}` });
+  }
+  const location = principal.location || req.query.location;
+  let list = await nightsRepo.list();
+  if (location) list = list.filter((n) => n.location === location);
+  if (week) list = list.filter((n) => String(n.week) === String(week));
+  list = status ? list.filter((n) => n.status === status) : list.filter((n) => n.status !== 'discarded');
+  return res.status(200).json({ nights: list.reverse().map(summary) });
+}
+
+/** Keep a draft's bank questions out of other pulls; the draft is saved either way. */
+async function reserveBankQuestions(nightId, rounds) {
+  try {
+    await reserveForNight(nightId, rounds);
+  } catch (err) {
+    console.error('[nights] bank reservation failed:', err.message);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// POST — create / play
+// ---------------------------------------------------------------------------
+async function handleCreate(req, res, principal) {
+  const { week, title, createdBy } = req.body;
+  const location = req.body.location || principal.location;
+
+  if (!location || !week) {
+    return res.status(400).json({ error: 'Missing required fields: location, week' });
+  }
+  const names = await locationNames();
+  if (!names.includes(location)) {
+    return res.status(400).json({ error: `Invalid location. Must be one of: ${names.join(', ')}` });
+  }
+  if (!canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  const badWeek = checkWeek(await seasons.active(), week);
+  if (badWeek) return res.status(400).json({ error: badWeek });
+
+  const { rounds, error } = buildNightRounds(req.body.rounds);
+  if (error) return res.status(400).json({ error });
+
+  const now = new Date().toISOString();
+  const night = {
+    nightId: generateNightId(),
+    location,
+    week: String(week),
+    title: String(title || '').trim().slice(0, MAX_TITLE_LENGTH),
+    status: 'draft',
+    rounds,
+    createdBy: createdBy || '',
+    createdAt: now,
+    updatedBy: createdBy || '',
+    updatedAt: now,
+    playedBy: '',
+    playedAt: '',
+    seasonId: '',
+  };
+  await nightsRepo.create(night);
+  await reserveBankQuestions(night.nightId, rounds);
+  return res.status(201).json({ success: true, night });
+}
+
+async function handlePlay(req, res, principal) {
+  const { nightId, playedBy } = req.body;
+  if (!nightId) return res.status(400).json({ error: 'nightId is required' });
+
+  const night = await nightsRepo.get(nightId);
+  if (!night) return res.status(404).json({ error: 'Night not found' });
+  if (!canAccessLocation(principal, night.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (night.status !== 'draft') {
+    return res.status(409).json({ error: `This night is already ${night.status}` });
+  }
+
+  // Mark it played before logging so a later press stops at the status check.
+  // One that slips past logs nothing new: the log skips the night's rows
+  // already there, and reads each question once if two appends race.
+  const season = await seasons.active();
+  const playedAt = new Date().toISOString();
+  const played = await nightsRepo.update(nightId, {
+    status: 'played', playedBy: playedBy || '', playedAt, seasonId: season?.seasonId || '', updatedAt: playedAt,
+  });
+  const rows = logEntries(night.rounds, {
+    week: night.week, location: night.location, seasonId: season?.seasonId, nightId, savedAt: playedAt,
+  });
+  let logged;
+  try {
+    logged = await questionLog.append(rows);
+  } catch (err) {
+    // Put the draft back so the host can try again
+    await nightsRepo.update(nightId, {
+      status: 'draft', playedBy: '', playedAt: '', seasonId: '', updatedAt: night.updatedAt,
+    });
+    throw err;
+  }
+  return res.status(200).json({ success: true, night: played, logged: logged.length });
+}
+
+// ---------------------------------------------------------------------------
+// PATCH — edit a draft / DELETE — discard it
+// ---------------------------------------------------------------------------
+async function handleUpdate(req, res, principal) {
+  const { rounds: roundsInput, week, title, updatedBy } = req.body || {};
+
+  const night = await nightsRepo.get(req.query.nightId);
+  if (!night) return res.status(404).json({ error: 'Night not found' });
+  if (!canAccessLocation(principal, night.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (night.status !== 'draft') {
+    return res.status(409).json({ error: `This night is ${night.status} and can't be edited` });
+  }
+
+  const patch = { updatedBy: updatedBy || '', updatedAt: new Date().toISOString() };
+  if (roundsInput !== undefined) {
+    const { rounds, error } = buildNightRounds(roundsInput);
+    if (error) return res.status(400).json({ error });
+    patch.rounds = rounds;
+  }
+  if (week !== undefined) {
+    const badWeek = checkWeek(await seasons.active(), week);
+    if (badWeek) return res.status(400).json({ error: badWeek });
+    patch.week = String(week);
+  }
+  if (title !== undefined) patch.title = String(title || '').trim().slice(0, MAX_TITLE_LENGTH);
+
+  const updated = await nightsRepo.update(night.nightId, patch);
+  if (patch.rounds) await reserveBankQuestions(night.nightId, patch.rounds);
+  return res.status(200).json({ success: true, night: updated });
+}
+
+async function handleDiscard(req, res, principal) {
+  const night = await nightsRepo.get(req.query.nightId);
+  if (!night) return res.status(404).json({ error: 'Night not found' });
+  if (!canAccessLocation(principal, night.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  if (night.status === 'played') {
+    return res.status(409).json({ error: "A played night can't be discarded — its questions are in the log" });
+  }
+
+  const updated = await nightsRepo.update(night.nightId, {
+    status: 'discarded', updatedAt: new Date().toISOString(),
+  });
+  await reserveBankQuestions(night.nightId);
+  return res.status(200).json({ success: true, night: updated });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') return await handleGet(req, res, principal);
+    if (req.method === 'POST') {
+      const action = req.body?.action;
+      if (action === 'create') return await handleCreate(req, res, principal);
+      if (action === 'play') return await handlePlay(req, res, principal);
+      return res.status(400).json({ error: 'action must be one of: create, play' });
+    }
+    if (req.method === 'PATCH') return await handleUpdate(req, res, principal);
+    if (req.method === 'DELETE') return await handleDiscard(req, res, principal);
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[nights] error:', err.message);
+    return res.status(500).json({ error: 'Nights request failed', details: err.message });
+  }
+};
@@ -0,0 +1,244 @@
+/**
+ * api/play.js
+ * Team play, team side — what the phone page (public/play.html) talks to.
+ * Teams join tonight's game with the code the host shows, then send their
+ * answers for each round while the host has it open. See api/games.js for
+ * the host side.
+ *
+ * GET /api/play?code=ABCD — look up a game before joining (no auth)
+ *   Returns: { game: { gameId, location, date, week, status, currentRound,
+ *              showing, rounds: [{ round, title, category, pointsEach,
+ *              questionCount, status, onPhones }] },
+ *              teams: [{ teamId, teamName }] }   — registered teams there
+ *   404 if no open game has that code.
+ *
+ * POST /api/play — join
+ *   Body: { action: 'join', code, teamId }
+ *   Returns: { token, expiresAt, team: { teamId, teamName }, game }
+ *   The token is a team token for this game only (lib/auth.js); send it as
+ *   `Authorization: Bearer <token>` on the calls below.
+ *   A team plays from one phone: the first to join holds it, and joining
+ *   again is refused (409) unless the request carries that phone's token.
+ *   To move a team to another phone the host lets it rejoin
+ *   (POST /api/games { action: 'allowRejoin' }); the old phone's token stops
+ *   working once the new one joins.
+ *
+ * GET /api/play — the team's view of the game
+ *   Authorization: Bearer <team token>
+ *   401 once the team has moved to another phone.
+ *   Returns: { game, team, submissions: [{ round, answers: [{ number, answer,
+ *              verdict? }], wager, submittedAt }] }
+ *   Verdicts appear once the host closes the round.
+ *
+ * POST /api/play — send a round's answers
+ *   Authorization: Bearer <team token>
+ *   Body: { action: 'submit', round, answers: [string, …], wager? }
+ *     answers — in question order; missing ones count as blank
+ *     wager   — Last Call only, whole number ≥ 0
+ *   Only while the round is open, and only for rounds started from the
+ *   generator (onPhones) — the rest are answered on paper. Sending again
+ *   replaces the earlier answers.
+ *   Answers are auto-graded against the answer key (lib/grading.js).
+ *   Returns: { success: true, submission }
+ */
+
+const {
+  games: gamesRepo, gameTeams, submissions: submissionsRepo, teams: teamsRepo,
+} = require('../lib/storage');
+const { issueTeamToken, getTeam } = require('../lib/auth');
+const { publicGame, generateEntryId, generateDeviceKey } = require('../lib/games');
+const { gradeAnswer } = require('../lib/grading');
+
+const MAX_ANSWER_LENGTH = 200;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function generateSubmissionId() {
+  return `sub_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** A submission as its team sees it: verdicts only once the round is closed. */
+function teamSubmission(game, submission) {
+  const closed = game.rounds.find((r) => r.round === submission.round)?.status === 'closed';
+  return {
+    round: submission.round,
+    answers: submission.answers.map(({ number, answer, verdict }) => (
+      closed ? { number, answer, verdict } : { number, answer })),
+    wager: submission.wager,
+    submittedAt: submission.submittedAt,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// GET — look up by code, or the joined team's view
+// ---------------------------------------------------------------------------
+async function handleGet(req, res) {
+  if (req.query.code) {
+    const game = await gamesRepo.byJoinCode(req.query.code);
+    if (!game) return res.status(404).json({ error: 'No game is running with that code' });
+    const teams = (await teamsRepo.list())
+      .filter((t) => t.location === game.location && teamsRepo.isActive(t))
+      .map(({ teamId, teamName }) => ({ teamId, teamName }))
+      .sort((a, b) => a.teamName.localeCompare(b.teamName));
+    return res.status(200).json({ game: publicGame(game), teams });
+  }
+
+  const auth = getTeam(req);
+  if (!auth) return res.status(401).json({ error: 'Join the game first' });
+  const game = await gamesRepo.get(auth.gameId);
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+
+  const team = await joinedTeam(res, auth);
+  if (!team) return;
+  const submissions = (await submissionsRepo.forGame(game.gameId)).filter((s) => s.teamId === auth.teamId);
+  return res.status(200).json({
+    game: publicGame(game),
+    team: { teamId: auth.teamId, teamName: team.teamName },
+    submissions: submissions.map((s) => teamSubmission(game, s)),
+  });
+}
+
+/**
+ * The GameTeams entry a team token is for, unless another phone has taken
+ * the team over; then the response has been sent. A team the host has let
+ * rejoin keeps playing from the old phone until a new one joins.
+ */
+async function joinedTeam(res, auth) {
+  const entry = (await gameTeams.forGame(auth.gameId)).find((t) => t.teamId === auth.teamId);
+  if (!entry || (entry.deviceKey && entry.deviceKey !== auth.deviceKey)) {
+    res.status(401).json({ error: 'Your team is playing from another phone now — ask your host if that wasn\'t you' });
+    return null;
+  }
+  return entry;
+}
+
+// ---------------------------------------------------------------------------
+// POST — join / submit
+// ---------------------------------------------------------------------------
+async function handleJoin(req, res) {
+  const { code, teamId } = req.body;
+  if (!code || !teamId) return res.status(400).json({ error: 'code and teamId are required' });
+
+  const game = await gamesRepo.byJoinCode(code);
+  if (!game) return res.status(404).json({ error: 'No game is running with that code' });
+
+  const team = (await teamsRepo.list()).find((t) => t.teamId === teamId);
+  if (!team || !teamsRepo.isActive(team) || team.location !== game.location) {
+    return res.status(400).json({ error: `That team isn't registered at ${game.location}` });
+  }
+
+  const entry = (await gameTeams.forGame(game.gameId)).find((t) => t.teamId === teamId);
+  const current = getTeam(req);
+  const samePhone = entry?.deviceKey && current?.gameId === game.gameId && current.teamId === teamId
+    && current.deviceKey === entry.deviceKey;
+
+  let deviceKey;
+  if (samePhone) {
+    deviceKey = entry.deviceKey;
+  } else if (entry?.deviceKey) {
+    return res.status(409).json({
+      error: `${team.teamName} has already joined on another phone — ask your host to let you rejoin`,
+    });
+  } else {
+    // First join, or the host has let the team rejoin (entry without a phone)
+    deviceKey = generateDeviceKey();
+    if (entry) {
+      await gameTeams.update(entry.entryId, { deviceKey });
+    } else {
+      await gameTeams.add({
+        entryId: generateEntryId(),
+        gameId: game.gameId,
+        teamId,
+        teamName: team.teamName,
+        joinedAt: new Date().toISOString(),
+        scoreId: '',
+        postedAt: '',
+        deviceKey,
+      });
+    }
+  }
+
+  const { token, expiresAt } = issueTeamToken(game.gameId, teamId, deviceKey);
+  return res.status(200).json({
+    token, expiresAt, team: { teamId, teamName: team.teamName }, game: publicGame(game),
+  });
+}
+
+async function handleSubmit(req, res) {
+  const auth = getTeam(req);
+  if (!auth) return res.status(401).json({ error: 'Join the game first' });
+
+  const { round, answers, wager } = req.body;
+  if (!Array.isArray(answers)) return res.status(400).json({ error: 'answers must be an array' });
+
+  const game = await gamesRepo.get(auth.gameId);
+  if (!game) return res.status(404).json({ error: 'Game not found' });
+  const team = await joinedTeam(res, auth);
+  if (!team) return;
+  if (game.status !== 'open') return res.status(409).json({ error: 'This game has finished' });
+  const gameRound = game.rounds.find((r) => r.round === round);
+  if (!gameRound) return res.status(400).json({ error: `This game has no round "${round}"` });
+  if (!gameRound.questions.length) {
+    return res.status(409).json({ error: `${gameRound.title} is answered on paper tonight` });
+  }
+  if (gameRound.status !== 'open') {
+    return res.status(409).json({ error: gameRound.status === 'closed' ? `${gameRound.title} is closed` : `${gameRound.title} hasn't started yet` });
+  }
+  if (answers.length > gameRound.questionCount) {
+    return res.status(400).json({ error: `${gameRound.title} has ${gameRound.questionCount} question${gameRound.questionCount === 1 ? '' : 's'}` });
+  }
+  if (round === 'lastcall' && (!Number.isInteger(Number(wager)) || wager === '' || wager === null || Number(wager) < 0)) {
+    return res.status(400).json({ error: 'wager must be a whole number of 0 or more' });
+  }
+
+  const graded = gameRound.questions.map((q, i) => {
+    const answer = String(answers[i] ?? '').trim().slice(0, MAX_ANSWER_LENGTH);
+    return { number: q.number, answer, ...gradeAnswer(answer, q) };
+  });
+
+  const existing = (await submissionsRepo.forGame(game.gameId))
+    .find((s) => s.teamId === auth.teamId && s.round === round);
+  const fields = {
+    answers: graded,
+    wager: round === 'lastcall' ? Number(wager) : null,
+    submittedAt: new Date().toISOString(),
+    gradedBy: '',
+    gradedAt: '',
+  };
+
+  const submission = existing
+    ? await submissionsRepo.update(existing.submissionId, fields)
+    : await submissionsRepo.create({
+      submissionId: generateSubmissionId(),
+      gameId: game.gameId,
+      teamId: auth.teamId,
+      teamName: team.teamName,
+      round,
+      ...fields,
+    });
+
+  return res.status(200).json({ success: true, submission: teamSubmission(game, submission) });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') return await handleGet(req, res);
+    if (req.method === 'POST') {
+      const action = req.body?.action;
+      if (action === 'join') return await handleJoin(req, res);
+      if (action === 'submit') return await handleSubmit(req, res);
+      return res.status(400).json({ error: 'action must be one of: join, submit' });
+    }
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('[play] error:', err.message);
+    return res.status(500).json({ error: 'Play request failed', details: err.message });
+  }
+};
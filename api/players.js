@@ -0,0 +1,175 @@
+/**
+ * api/players.js
+ * Team rosters and per-player attendance. Attendance itself is recorded with
+ * each score (see api/scores.js); this reads it back per player, e.g. for
+ * end-of-season awards. See lib/players.js.
+ *
+ * GET /api/players?teamId=X — a team's roster (public)
+ *   Query params (optional):
+ *     seasonId — count attendance in this season; default the active season,
+ *                'all' for every season
+ *   Returns: { team: { teamId, teamName, location, status, waitlistPosition },
+ *              season, players: [{ playerId, name, nightsPlayed,
+ *              nightsRecorded, lastPlayed }] }
+ *   status is 'pending', 'waitlisted', 'confirmed' or 'inactive' (see
+ *   lib/waitlist.js). Players in the order they joined the roster.
+ *
+ * GET /api/players — attendance across teams (public)
+ *   Query params (optional): seasonId (as above), location
+ *   Returns: { season, players: [{ playerId, name, teamId, teamName,
+ *              location, removed, nightsPlayed, nightsRecorded, lastPlayed }] }
+ *   Most nights played first; players who never played are left out.
+ *
+ * The rest need Authorization: Bearer <session token from /api/auth>
+ *   Store hosts can only change rosters of their own location's teams.
+ *
+ * POST /api/players — add players to a roster
+ *   Body: { action: 'add', teamId, names: [string] }
+ *   Returns 201 { success: true, players (the new ones), roster }
+ *
+ * PATCH /api/players?playerId=X — rename a player
+ *   Body: { name }
+ *   Returns: { success: true, player }
+ *
+ * DELETE /api/players?playerId=X — take a player off the roster
+ *   The row is kept so past attendance still has a name.
+ *   Returns: { success: true, player }
+ *
+ * Sheet columns:
+ *   Players (A–E): PlayerID | TeamID | Name | AddedAt | RemovedAt
+ */
+
+const {
+  players: playersRepo, teams: teamsRepo, scores: scoresRepo, seasons,
+} = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { buildPlayers, attendanceStats } = require('../lib/players');
+const { teamStatus } = require('../lib/waitlist');
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+// ---------------------------------------------------------------------------
+// GET — one roster, or attendance across teams
+// ---------------------------------------------------------------------------
+async function handleGet(req, res) {
+  const { teamId, seasonId, location } = req.query;
+
+  const season = await seasons.resolve(seasonId);
+  if (season === undefined) return res.status(404).json({ error: 'Season not found' });
+  let scores = await scoresRepo.list();
+  if (season) scores = scores.filter((s) => seasons.contains(season, s));
+
+  if (teamId) {
+    const team = await teamsRepo.get(teamId);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    const roster = await playersRepo.forTeam(teamId);
+    const stats = Object.fromEntries(attendanceStats(scores.filter((s) => s.teamId === teamId), roster)
+      .map((p) => [p.playerId, p]));
+    const players = roster.map(({ playerId, name }) => {
+      const { nightsPlayed, nightsRecorded, lastPlayed } = stats[playerId];
+      return { playerId, name, nightsPlayed, nightsRecorded, lastPlayed };
+    });
+    const { status, waitlistPosition } = teamStatus(team, await teamsRepo.list());
+    return res.status(200).json({
+      team: { teamId: team.teamId, teamName: team.teamName, location: team.location, status, waitlistPosition },
+      season,
+      players,
+    });
+  }
+
+  let teams = await teamsRepo.list();
+  if (location) teams = teams.filter((t) => t.location === location);
+  const byTeam = Object.fromEntries(teams.map((t) => [t.teamId, t]));
+  const all = (await playersRepo.list()).filter((p) => byTeam[p.teamId]);
+
+  const players = attendanceStats(scores, all)
+    .filter((p) => p.nightsPlayed > 0)
+    .map((p) => ({ ...p, teamName: byTeam[p.teamId].teamName, location: byTeam[p.teamId].location }));
+  return res.status(200).json({ season, players });
+}
+
+// ---------------------------------------------------------------------------
+// POST — add / PATCH — rename / DELETE — remove
+// ---------------------------------------------------------------------------
+async function handleAdd(req, res, principal) {
+  const { teamId, names } = req.body;
+  if (!teamId) return res.status(400).json({ error: 'teamId is required' });
+
+  const team = await teamsRepo.get(teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+  if (!canAccessLocation(principal, team.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const roster = await playersRepo.forTeam(teamId);
+  const { players, error } = buildPlayers(teamId, names, roster);
+  if (error) return res.status(400).json({ error });
+  if (!players.length) return res.status(400).json({ error: 'names must list at least one player' });
+
+  await playersRepo.createMany(players);
+  return res.status(201).json({ success: true, players, roster: [...roster, ...players] });
+}
+
+/** The player named by ?playerId, if the principal may change it; otherwise the response has been sent. */
+async function editablePlayer(req, res, principal) {
+  const player = await playersRepo.get(req.query.playerId);
+  if (!player) {
+    res.status(404).json({ error: 'Player not found' });
+    return null;
+  }
+  const team = await teamsRepo.get(player.teamId);
+  if (!canAccessLocation(principal, team?.location)) {
+    res.status(403).json({ error: locationForbidden(principal) });
+    return null;
+  }
+  return player;
+}
+
+async function handleRename(req, res, principal) {
+  const player = await editablePlayer(req, res, principal);
+  if (!player) return;
+
+  const roster = (await playersRepo.forTeam(player.teamId)).filter((p) => p.playerId !== player.playerId);
+  const { players, error } = buildPlayers(player.teamId, [req.body?.name], roster);
+  if (error) return res.status(400).json({ error });
+  if (!players.length) return res.status(400).json({ error: 'name cannot be blank' });
+
+  const updated = await playersRepo.update(player.playerId, { name: players[0].name });
+  return res.status(200).json({ success: true, player: updated });
+}
+
+async function handleRemove(req, res, principal) {
+  const player = await editablePlayer(req, res, principal);
+  if (!player) return;
+  if (player.removedAt) return res.status(409).json({ error: `${player.name} is already off the roster` });
+
+  const updated = await playersRepo.update(player.playerId, { removedAt: new Date().toISOString() });
+  return res.status(200).json({ success: true, player: updated });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') return await handleGet(req, res);
+    if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const principal = await getPrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+
+    if (req.method === 'PATCH') return await handleRename(req, res, principal);
+    if (req.method === 'DELETE') return await handleRemove(req, res, principal);
+    if (req.body?.action === 'add') return await handleAdd(req, res, principal);
+    return res.status(400).json({ error: 'action must be: add' });
+  } catch (err) {
+    console.error('[players] error:', err.message);
+    return res.status(500).json({ error: 'Players request failed', details: err.message });
+  }
+};
@@ -1,10 +1,13 @@
 /**
  * api/questions.js
  * Save generated trivia questions to the QuestionLog sheet tab.
- * Called automatically when the host prints from the generator.
+ * The generator logs a night when the host marks it played (api/nights.js);
+ * this logs rounds directly, without a saved night.
  *
  * POST /api/questions
- * Requires: Authorization: Bearer <HOST_SECRET>
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts can only save questions for their own location; when no
+ *   location is given, theirs is used.
  *
  * Body: {
  *   week?:     number          — week number in season
@@ -14,20 +17,22 @@
  *     title:     string        — display title
  *     category:  string        — category/theme
  *     location?: string        — for round2
- *     questions: Array<{ number, question, answer }>
+ *     questions: Array<{ number, question, answer, questionId?,
+ *                        alternates?: string[], note?, difficulty? }>
  *   }>
  * }
  *
  * Creates the QuestionLog tab automatically on first use.
- * Appends one row per question.
+ * Appends one row per question, tagged with the active season (if any) and
+ * the question-bank questionId when the generator supplied one — that's how
+ * the bank knows how often and where each question was asked. Accepted
+ * alternates, the host note and difficulty are logged with the question so a
+ * disputed answer can be checked later.
  */
 
-const { readRange, appendRows, updateRange, createSheetTab } = require('../lib/sheets');
-const { isValidHostSecret } = require('../lib/auth');
-
-const HEADERS = [
-  'LogID', 'Week', 'SavedAt', 'Location', 'Round', 'RoundTitle', 'Category', 'Q#', 'Question', 'Answer',
-];
+const { questionLog, seasons } = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { logEntries } = require('../lib/nights');
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -35,66 +40,36 @@ function setCors(res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 }
 
-/**
- * Ensure the QuestionLog tab exists and has headers in row 1.
- * Safe to call repeatedly — createSheetTab ignores "already exists" errors.
- */
-async function ensureTab() {
-  await createSheetTab('QuestionLog');
-
-  // Write headers if row 1 is empty
-  const existing = await readRange('QuestionLog!A1:J1');
-  if (!existing || existing.length === 0 || !existing[0][0]) {
-    await updateRange('QuestionLog!A1:J1', [HEADERS]);
-  }
-}
-
 module.exports = async function handler(req, res) {
   setCors(res);
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  if (!isValidHostSecret(req.headers['authorization'])) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
-  const { week, location, rounds } = req.body || {};
-
-  if (!Array.isArray(rounds) || rounds.length === 0) {
-    return res.status(400).json({ error: 'rounds array is required and must not be empty' });
-  }
-
   try {
-    await ensureTab();
-
-    const savedAt = new Date().toISOString();
-    const rows = [];
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-    for (const round of rounds) {
-      if (!Array.isArray(round.questions)) continue;
-      const roundLocation = location || round.location || '';
+    const { week, rounds } = req.body || {};
+    const location = req.body?.location || principal.location || '';
 
-      for (const q of round.questions) {
-        const logId = `q_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
-        rows.push([
-          logId,
-          week ?? '',
-          savedAt,
-          roundLocation,
-          round.round   ?? '',
-          round.title   ?? '',
-          round.category ?? '',
-          q.number      ?? '',
-          q.question    ?? '',
-          q.answer      ?? '',
-        ]);
-      }
+    if (!Array.isArray(rounds) || rounds.length === 0) {
+      return res.status(400).json({ error: 'rounds array is required and must not be empty' });
     }
 
-    if (rows.length > 0) {
-      await appendRows('QuestionLog', rows);
+    // Every round must land at a location this key may manage
+    const roundLocations = new Set(rounds.map((r) => location || r?.location).filter(Boolean));
+    if ([...roundLocations].some((loc) => !canAccessLocation(principal, loc))) {
+      return res.status(403).json({ error: locationForbidden(principal) });
     }
 
+    const season = await seasons.active();
+    const rows = logEntries(rounds, { week, location, seasonId: season?.seasonId });
+
+    // Creates the QuestionLog table on first use
+    await questionLog.append(rows);
+
     return res.status(200).json({ success: true, saved: rows.length });
 
   } catch (err) {
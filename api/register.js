@@ -2,17 +2,60 @@
  * api/register.js
  * Public endpoint for team self-registration.
  *
- * POST /api/register
- * Body (JSON): { teamName, captainName, email, location }
+ * POST /api/register — register a team
+ * Body (JSON): { teamName, captainName, email, location, players?, website? }
  *
- * Locations: 'Main Street' | 'Exchange' | 'H2O'
+ * location must be one of the active locations (GET /api/locations).
+ * players is an optional list of names for the team's roster; more can be
+ * added later from the host tool (/api/players).
+ * teamName is checked against lib/nameFilter.js.
+ * website is a honeypot — register.html hides it, so only bots fill it in.
+ * They get a normal-looking reply and nothing is saved.
  *
- * Returns: { success, team: { teamId, teamName, captainName, email, location, registeredAt } }
+ * The team is saved 'pending' and the captain is emailed a confirmation
+ * link (register.html?confirm=<token>, valid 48 hours). Pending teams are
+ * left out of the team lists until the link is opened. Registering the same
+ * pending team again with the same email re-sends the link.
+ *
+ * Returns 201 (200 for a re-send): { success, status: 'pending', pending: true,
+ *   expiresAt, locationFull, waitlistPosition,
+ *   team: { teamId, teamName, captainName, email, location, registeredAt, status },
+ *   players: [{ playerId, teamId, name, addedAt, removedAt }] }
+ *   locationFull     — the location is at capacity, so confirming now would
+ *                      put the team on the waitlist
+ *   waitlistPosition — where confirming now would put it in line, or null
+ *                      when the location isn't full. Only an estimate: the
+ *                      place is taken when the link is opened.
+ * 429 (with Retry-After) once this address has registered too often.
+ *
+ * POST /api/register — confirm the captain's email
+ * Body (JSON): { action: 'confirm', token }
+ * The team plays from now on — or joins the location's waitlist when the
+ * location is at capacity (see lib/waitlist.js).
+ * Returns: { success, status: 'confirmed' | 'waitlisted', waitlistPosition,
+ *            team, players, rsvpCode } — opening the link again just reports
+ *            the status
+ *   rsvpCode — the team's code for weekly RSVPs (see lib/rsvp.js); only
+ *              returned the first time, hosts can issue a new one
+ *
+ * Env vars:
+ *   REGISTER_RATE_LIMIT — registrations allowed per IP per hour (default 5)
+ *   Mail is sent through lib/mail — see there for MAIL_TRANSPORT and
+ *   PUBLIC_BASE_URL (the site address in the emailed link — required).
  */
 
-const { readRange, appendRow } = require('../lib/sheets');
+const { teams, players: playersRepo } = require('../lib/storage');
+const { locationNames } = require('../lib/locations');
+const { buildPlayers } = require('../lib/players');
+const { checkTeamName } = require('../lib/nameFilter');
+const { hitLimit } = require('../lib/rateLimit');
+const { EMAIL_TOKEN_TTL_SECONDS, issueEmailToken, verifyEmailToken } = require('../lib/auth');
+const { sendMail, siteUrl, escHtml } = require('../lib/mail');
+const { locationFull, waitlistFor, teamStatus } = require('../lib/waitlist');
+const { issueRsvpCode } = require('../lib/rsvp');
 
-const VALID_LOCATIONS = ['Main Street', 'Exchange', 'H2O'];
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_RATE_LIMIT = 5;
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -24,59 +67,188 @@ function generateTeamId() {
   return `team_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
 }
 
-module.exports = async function handler(req, res) {
-  setCors(res);
-  if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+/** A pending team whose confirmation link has run out no longer holds its name. */
+function pendingExpired(team) {
+  return Date.parse(team.registeredAt) + EMAIL_TOKEN_TTL_SECONDS * 1000 < Date.now();
+}
 
-  try {
-    const { teamName, captainName, email, location } = req.body || {};
-
-    // --- Validation ---
-    const missing = ['teamName', 'captainName', 'email', 'location'].filter(
-      (f) => !req.body?.[f]?.trim()
-    );
-    if (missing.length) {
-      return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
-    }
+/** Email the captain a fresh confirmation link. Returns its expiry. */
+async function sendConfirmation(baseUrl, team) {
+  const { token, expiresAt } = issueEmailToken(team.teamId, team.email);
+  const link = `${baseUrl}/register.html?confirm=${encodeURIComponent(token)}`;
+  const hours = EMAIL_TOKEN_TTL_SECONDS / 3600;
 
-    if (!VALID_LOCATIONS.includes(location)) {
-      return res.status(400).json({
-        error: `Invalid location. Must be one of: ${VALID_LOCATIONS.join(', ')}`,
-      });
-    }
+  await sendMail({
+    to: team.email,
+    subject: `Confirm ${team.teamName} for the Grain Trivia League`,
+    text: [
+      `Hi ${team.captainName},`,
+      '',
+      `Thanks for registering ${team.teamName} at the ${team.location} location.`,
+      'Open this link to confirm your email and finish signing up:',
+      '',
+      link,
+      '',
+      `The link works for ${hours} hours. If you didn't register a team, you can ignore this email.`,
+      '',
+      '— Grain Trivia League',
+    ].join('\n'),
+    html: `<p>Hi ${escHtml(team.captainName)},</p>
+<p>Thanks for registering <strong>${escHtml(team.teamName)}</strong> at the ${escHtml(team.location)} location.</p>
+<p><a href="${escHtml(link)}">Confirm your email and finish signing up</a></p>
+<p>The link works for ${hours} hours. If you didn't register a team, you can ignore this email.</p>
+<p>— Grain Trivia League</p>`,
+  });
+  return expiresAt;
+}
 
-    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
-      return res.status(400).json({ error: 'Invalid email address' });
-    }
+// ---------------------------------------------------------------------------
+// Register
+// ---------------------------------------------------------------------------
+async function handleRegister(req, res) {
+  const limit = parseInt(process.env.REGISTER_RATE_LIMIT, 10) || DEFAULT_RATE_LIMIT;
+  const { allowed, retryAfterSeconds } = await hitLimit('register', req, { limit, windowMs: RATE_LIMIT_WINDOW_MS });
+  if (!allowed) {
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: `Too many registrations from this address — try again in ${Math.ceil(retryAfterSeconds / 60)} minutes`,
+    });
+  }
 
-    // --- Duplicate team name check (case-insensitive) ---
-    const rows = await readRange('Teams!A:B');
-    const normalised = teamName.trim().toLowerCase();
-    const duplicate = rows.slice(1).find(
-      (row) => row[1]?.toLowerCase() === normalised
-    );
-    if (duplicate) {
-      return res.status(409).json({ error: 'A team with this name is already registered' });
-    }
+  const { teamName, captainName, email, location, players: playerNames, website } = req.body || {};
+
+  // --- Validation ---
+  const missing = ['teamName', 'captainName', 'email', 'location'].filter(
+    (f) => !req.body?.[f]?.trim()
+  );
+  if (missing.length) {
+    return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
+  }
+
+  const validLocations = await locationNames();
+  if (!validLocations.includes(location)) {
+    return res.status(400).json({
+      error: `Invalid location. Must be one of: ${validLocations.join(', ')}`,
+    });
+  }
 
-    // --- Write to sheet ---
-    const teamId = generateTeamId();
-    const registeredAt = new Date().toISOString();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  const badName = checkTeamName(teamName);
+  if (badName) return res.status(400).json({ error: badName });
 
-    await appendRow('Teams', [
-      teamId,
-      teamName.trim(),
-      captainName.trim(),
-      email.trim().toLowerCase(),
-      location,
-      registeredAt,
-    ]);
+  const teamId = generateTeamId();
+  const { players, error: badPlayers } = buildPlayers(teamId, playerNames ?? []);
+  if (badPlayers) return res.status(400).json({ error: badPlayers });
 
+  const team = {
+    teamId,
+    teamName: teamName.trim(),
+    captainName: captainName.trim(),
+    email: email.trim().toLowerCase(),
+    location,
+    registeredAt: new Date().toISOString(),
+    status: 'pending',
+  };
+
+  // --- Honeypot: look like it worked, save nothing ---
+  if (String(website || '').trim()) {
+    const expiresAt = new Date(Date.now() + EMAIL_TOKEN_TTL_SECONDS * 1000).toISOString();
     return res.status(201).json({
-      success: true,
-      team: { teamId, teamName: teamName.trim(), captainName: captainName.trim(), email: email.trim().toLowerCase(), location, registeredAt },
+      success: true, status: 'pending', pending: true, expiresAt, locationFull: false, waitlistPosition: null, team, players,
+    });
+  }
+
+  // Checked before saving anything, so a misconfigured site doesn't strand teams
+  const baseUrl = siteUrl();
+
+  // --- Duplicate team name check (case-insensitive) ---
+  const existing = await teams.list();
+  const full = await locationFull(location, existing);
+  const waitlistPosition = full ? waitlistFor(location, existing).length + 1 : null;
+  const normalised = team.teamName.toLowerCase();
+  const duplicate = existing.find(
+    (t) => t.teamName?.toLowerCase() === normalised && !(t.status === 'pending' && pendingExpired(t))
+  );
+  if (duplicate?.status === 'pending' && duplicate.email === team.email) {
+    const expiresAt = await sendConfirmation(baseUrl, duplicate);
+    const roster = await playersRepo.forTeam(duplicate.teamId);
+    return res.status(200).json({
+      success: true, status: 'pending', pending: true, resent: true, expiresAt, locationFull: full, waitlistPosition,
+      team: duplicate, players: roster,
     });
+  }
+  if (duplicate) {
+    return res.status(409).json({ error: 'A team with this name is already registered' });
+  }
+
+  // --- Write to storage ---
+  await teams.create(team);
+  if (players.length) await playersRepo.createMany(players);
+
+  let expiresAt;
+  try {
+    expiresAt = await sendConfirmation(baseUrl, team);
+  } catch (err) {
+    console.error('[register] confirmation email failed:', err.message);
+    return res.status(502).json({
+      error: "Your team was saved but we couldn't send the confirmation email — register again in a few minutes to re-send it",
+    });
+  }
+
+  return res.status(201).json({
+    success: true, status: 'pending', pending: true, expiresAt, locationFull: full, waitlistPosition, team, players,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Confirm
+// ---------------------------------------------------------------------------
+async function handleConfirm(req, res) {
+  const claims = verifyEmailToken(req.body.token);
+  if (!claims) {
+    return res.status(400).json({ error: 'This confirmation link is invalid or has expired — please register again' });
+  }
+
+  const team = await teams.get(claims.teamId);
+  if (!team || team.email !== claims.email) {
+    return res.status(400).json({ error: 'This confirmation link is invalid or has expired — please register again' });
+  }
+
+  if (team.status === 'pending') {
+    const taken = (await teams.list()).find((t) => t.teamId !== team.teamId && t.status !== 'pending'
+      && t.teamName?.toLowerCase() === team.teamName.toLowerCase());
+    if (taken) {
+      return res.status(409).json({ error: 'Another team registered this name first — please register with a different name' });
+    }
+  }
+
+  let confirmed = team;
+  let rsvpCode;
+  if (team.status === 'pending') {
+    const now = new Date().toISOString();
+    const full = await locationFull(team.location, await teams.list());
+    confirmed = await teams.update(team.teamId, full
+      ? { status: 'waitlisted', waitlistedAt: now, updatedAt: now }
+      : { status: '', updatedAt: now });
+    rsvpCode = await issueRsvpCode(team.teamId);
+  }
+  const { status, waitlistPosition } = teamStatus(confirmed, await teams.list());
+  return res.status(200).json({
+    success: true, status, waitlistPosition, team: confirmed, players: await playersRepo.forTeam(team.teamId), rsvpCode,
+  });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    if (req.body?.action === 'confirm') return await handleConfirm(req, res);
+    return await handleRegister(req, res);
   } catch (err) {
     console.error('[register] error:', err.message);
     return res.status(500).json({ error: 'Registration failed', details: err.message });
@@ -0,0 +1,84 @@
+/**
+ * api/results.js
+ * One week's results — every team's score for the night, with the Last Call
+ * wager and how it went. Used by the Weekly Results table on standings.html.
+ *
+ * GET /api/results                         — latest week with scores
+ * GET /api/results?week=N                  — a specific week
+ * GET /api/results?week=N&location=H2O     — one location
+ * GET /api/results?seasonId=X              — a past season's weeks
+ *
+ * Weeks are numbered within a season, so results come from the active
+ * season unless ?seasonId is given (?seasonId=all ignores seasons).
+ *
+ * Returns:
+ * {
+ *   season: season | null,
+ *   week: number | null,                   // null when no scores exist yet
+ *   weeks: [number],                       // every week with scores, newest first
+ *   results: [{
+ *     rank, scoreId, teamId, teamName, location, date,
+ *     total, preLastCall, bonus,
+ *     lastCall: { wager, outcome, points } | null
+ *   }]
+ * }
+ *
+ * Results are ordered by total (high → low); ties fall back to the
+ * pre-Last-Call score, then team name, so the order is stable.
+ */
+
+const { scores: scoresRepo, seasons } = require('../lib/storage');
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { week, location, seasonId } = req.query;
+
+    if (week && !/^\d+$/.test(String(week))) {
+      return res.status(400).json({ error: 'week must be a whole number' });
+    }
+
+    const season = await seasons.resolve(seasonId);
+    if (season === undefined) return res.status(404).json({ error: 'Season not found' });
+
+    const scores = (await scoresRepo.list())
+      .filter((s) => s.teamId && /^\d+$/.test(s.week))
+      .filter((s) => !season || seasons.contains(season, s));
+    const weeks = [...new Set(scores.map((s) => Number(s.week)))].sort((a, b) => b - a);
+    const selectedWeek = week ? Number(week) : weeks[0] ?? null;
+
+    const results = scores
+      .filter((s) => Number(s.week) === selectedWeek)
+      .filter((s) => !location || s.location === location)
+      .sort((a, b) =>
+        b.total - a.total ||
+        b.breakdown.preLastCall - a.breakdown.preLastCall ||
+        (a.teamName || '').localeCompare(b.teamName || ''))
+      .map((s, i) => ({
+        rank: i + 1,
+        scoreId: s.scoreId,
+        teamId: s.teamId,
+        teamName: s.teamName,
+        location: s.location,
+        date: s.date,
+        total: s.total,
+        preLastCall: s.breakdown.preLastCall,
+        bonus: s.breakdown.bonus,
+        lastCall: s.breakdown.lastCall,
+      }));
+
+    return res.status(200).json({ season, week: selectedWeek, weeks, results });
+  } catch (err) {
+    console.error('[results] error:', err.message);
+    return res.status(500).json({ error: 'Failed to fetch results', details: err.message });
+  }
+};
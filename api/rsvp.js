@@ -0,0 +1,308 @@
+/**
+ * api/rsvp.js
+ * Weekly check-in — captains say whether their team is coming to the next
+ * game night, so hosts know how many tables to expect. See lib/rsvp.js for
+ * which night an answer counts for.
+ *
+ * A captain identifies the team with either
+ *   token        — from the link in the weekly reminder email (rsvp.html?token=…)
+ *   teamId, code — the team and its RSVP code (see lib/rsvp.js). The Team ID
+ *                  alone isn't enough — anyone can read it from /api/teams.
+ *                  Code attempts are rate limited per IP.
+ * Only playing teams can answer — not ones pending or on the waitlist.
+ *
+ * GET /api/rsvp?token=X — a team's answer for its next night (public)
+ *   Returns: { team: { teamId, teamName, location }, date,
+ *              rsvp: { response, headcount, via, respondedAt } | null }
+ *
+ * POST /api/rsvp — the same, with the RSVP code (public)
+ *   Body: { action: 'lookup', teamId, code }
+ *   Returns: as GET
+ *
+ * POST /api/rsvp — answer for the next night (public)
+ *   Body: { action: 'rsvp', token | (teamId, code), response: 'yes' | 'no', headcount? }
+ *   headcount (optional, 'yes' only) is how many players to expect — at most
+ *   MAX_TEAM_SIZE (lib/rounds.js). Answering again replaces the answer.
+ *   Returns: { success: true, team, date, rsvp }
+ *
+ * The rest need Authorization: Bearer <session token from /api/auth>
+ *   Store hosts can only see, remind and issue codes for their own location.
+ *
+ * GET /api/rsvp?location=X — who's expected at a game night
+ *   Query params (optional):
+ *     date — YYYY-MM-DD (default: the location's next game night)
+ *   Returns: { location, date, capacity, teams: [{ teamId, teamName,
+ *              response, headcount, respondedAt }],
+ *              summary: { yes, no, noReply, expectedPlayers } }
+ *   Checked-in teams first, then no reply, then teams that can't make it.
+ *
+ * POST /api/rsvp — email captains their RSVP link for the next night
+ *   Body: { action: 'remind', location, all? }
+ *   Only teams that haven't answered yet, unless all is true. Needs
+ *   PUBLIC_BASE_URL for the link (see lib/mail).
+ *   Returns: { success: true, date, sent: [teamName], failed: [{ teamName, error }] }
+ *
+ * POST /api/rsvp — give a team a new RSVP code, e.g. for a captain who lost theirs
+ *   Body: { action: 'newCode', teamId }
+ *   The old code stops working.
+ *   Returns: { success: true, team: { teamId, teamName }, code }
+ *
+ * Sheet columns:
+ *   Rsvps (A–H): RsvpID | TeamID | Location | Date | Response | Headcount |
+ *                Via | RespondedAt
+ */
+
+const { teams: teamsRepo, rsvps } = require('../lib/storage');
+const {
+  getPrincipal, canAccessLocation, locationForbidden, issueRsvpToken, verifyRsvpToken,
+} = require('../lib/auth');
+const { findLocation } = require('../lib/locations');
+const {
+  nextGameNight, expectedTeams, issueRsvpCode, rsvpCodeMatches,
+} = require('../lib/rsvp');
+const { hitLimit } = require('../lib/rateLimit');
+const { teamStatus } = require('../lib/waitlist');
+const { MAX_TEAM_SIZE } = require('../lib/rounds');
+const { sendMail, siteUrl, escHtml } = require('../lib/mail');
+
+const RESPONSES = ['yes', 'no'];
+
+// RSVP-code attempts per IP per hour — plenty for captains, too few to guess
+const CODE_RATE_LIMIT = 20;
+const CODE_RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC',
+  });
+}
+
+/**
+ * The team a captain's token, or Team ID and RSVP code, names — if it can
+ * answer; otherwise the response has been sent.
+ */
+async function answeringTeam(req, res, { token, teamId, code }) {
+  let team;
+  if (token) {
+    const claims = verifyRsvpToken(token);
+    team = claims && await teamsRepo.get(claims.teamId);
+    if (!team) {
+      res.status(400).json({ error: "This RSVP link has expired — use your RSVP code, or the link in this week's email" });
+      return null;
+    }
+  } else {
+    if (!teamId || !code) {
+      res.status(400).json({ error: 'token, or teamId and code, are required' });
+      return null;
+    }
+    const { allowed, retryAfterSeconds } = await hitLimit('rsvpCode', req, {
+      limit: CODE_RATE_LIMIT, windowMs: CODE_RATE_LIMIT_WINDOW_MS,
+    });
+    if (!allowed) {
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+      res.status(429).json({ error: `Too many tries — try again in ${Math.ceil(retryAfterSeconds / 60)} minutes` });
+      return null;
+    }
+    team = await teamsRepo.get(String(teamId).trim());
+    if (!team || !(await rsvpCodeMatches(team.teamId, code))) {
+      res.status(403).json({ error: "That RSVP code doesn't match — ask your host for a new one" });
+      return null;
+    }
+  }
+  if (!teamsRepo.isActive(team)) {
+    const { status, waitlistPosition } = teamStatus(team, await teamsRepo.list());
+    const why = {
+      pending: 'is waiting on its email confirmation',
+      waitlisted: `is #${waitlistPosition} on the ${team.location} waitlist`,
+    }[status] || "isn't playing at the moment";
+    res.status(409).json({ error: `${team.teamName} ${why}` });
+    return null;
+  }
+  return team;
+}
+
+function publicRsvp(rsvp) {
+  if (!rsvp) return null;
+  const { response, headcount, via, respondedAt } = rsvp;
+  return { response, headcount, via, respondedAt };
+}
+
+/** A team's answer for its next game night. */
+async function teamNight(res, team) {
+  const night = nextGameNight(await findLocation(team.location));
+  return res.status(200).json({
+    team: { teamId: team.teamId, teamName: team.teamName, location: team.location },
+    date: night,
+    rsvp: publicRsvp(await rsvps.get(night, team.teamId)),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// GET — one team's answer, or the host's view of a night
+// ---------------------------------------------------------------------------
+async function handleGet(req, res) {
+  const { token, location, date } = req.query;
+
+  if (token) {
+    const team = await answeringTeam(req, res, { token });
+    if (!team) return;
+    return await teamNight(res, team);
+  }
+
+  if (!location) return res.status(400).json({ error: 'token or location is required' });
+
+  const principal = await getPrincipal(req);
+  if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+  if (!canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const loc = await findLocation(location);
+  if (!loc) return res.status(404).json({ error: 'Location not found' });
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  const night = date || nextGameNight(loc);
+  const playing = (await teamsRepo.list()).filter((t) => t.location === loc.name && teamsRepo.isActive(t));
+  const { teams, summary } = expectedTeams(playing, await rsvps.forNight(loc.name, night));
+  return res.status(200).json({ location: loc.name, date: night, capacity: loc.capacity, teams, summary });
+}
+
+// ---------------------------------------------------------------------------
+// POST — lookup / rsvp / remind / newCode
+// ---------------------------------------------------------------------------
+async function handleLookup(req, res) {
+  const { teamId, code } = req.body;
+  const team = await answeringTeam(req, res, { teamId, code });
+  if (!team) return;
+  return await teamNight(res, team);
+}
+
+async function handleRsvp(req, res) {
+  const { token, teamId, code, response } = req.body;
+  if (!RESPONSES.includes(response)) {
+    return res.status(400).json({ error: `response must be one of: ${RESPONSES.join(', ')}` });
+  }
+
+  let headcount = null;
+  if (response === 'yes' && req.body.headcount !== undefined && req.body.headcount !== null && req.body.headcount !== '') {
+    headcount = Number(req.body.headcount);
+    if (!Number.isInteger(headcount) || headcount < 1 || headcount > MAX_TEAM_SIZE) {
+      return res.status(400).json({ error: `headcount must be a whole number from 1 to ${MAX_TEAM_SIZE}` });
+    }
+  }
+
+  const team = await answeringTeam(req, res, token ? { token } : { teamId, code });
+  if (!team) return;
+
+  const date = nextGameNight(await findLocation(team.location));
+  const rsvp = await rsvps.set({
+    teamId: team.teamId,
+    location: team.location,
+    date,
+    response,
+    headcount,
+    via: token ? 'link' : 'code',
+    respondedAt: new Date().toISOString(),
+  });
+  return res.status(200).json({
+    success: true,
+    team: { teamId: team.teamId, teamName: team.teamName, location: team.location },
+    date,
+    rsvp: publicRsvp(rsvp),
+  });
+}
+
+async function sendReminder(baseUrl, team, date) {
+  const { token } = issueRsvpToken(team.teamId);
+  const link = `${baseUrl}/rsvp.html?token=${encodeURIComponent(token)}`;
+  const night = formatDate(date);
+
+  await sendMail({
+    to: team.email,
+    subject: `Is ${team.teamName} coming to trivia on ${night}?`,
+    text: [
+      `Hi ${team.captainName},`,
+      '',
+      `Trivia is on at ${team.location} on ${night}. Let your host know if ${team.teamName} will be there:`,
+      '',
+      link,
+      '',
+      '— Grain Trivia League',
+    ].join('\n'),
+    html: `<p>Hi ${escHtml(team.captainName)},</p>
+<p>Trivia is on at ${escHtml(team.location)} on ${escHtml(night)}. Let your host know if <strong>${escHtml(team.teamName)}</strong> will be there:</p>
+<p><a href="${escHtml(link)}">RSVP for ${escHtml(night)}</a></p>
+<p>— Grain Trivia League</p>`,
+  });
+}
+
+async function handleRemind(req, res, principal) {
+  const { location, all } = req.body;
+  if (!location) return res.status(400).json({ error: 'location is required' });
+  if (!canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  const loc = await findLocation(location);
+  if (!loc) return res.status(404).json({ error: 'Location not found' });
+
+  const baseUrl = siteUrl();
+  const date = nextGameNight(loc);
+  const answered = new Set((await rsvps.forNight(loc.name, date)).map((r) => r.teamId));
+  const teams = (await teamsRepo.list()).filter((t) => t.location === loc.name && teamsRepo.isActive(t)
+    && t.email && (all === true || !answered.has(t.teamId)));
+
+  const sent = [];
+  const failed = [];
+  for (const team of teams) {
+    try {
+      await sendReminder(baseUrl, team, date);
+      sent.push(team.teamName);
+    } catch (err) {
+      console.error('[rsvp] reminder failed:', team.teamId, err.message);
+      failed.push({ teamName: team.teamName, error: err.message });
+    }
+  }
+  return res.status(200).json({ success: true, date, sent, failed });
+}
+
+async function handleNewCode(req, res, principal) {
+  const team = await teamsRepo.get(req.body.teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+  if (!canAccessLocation(principal, team.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+  const code = await issueRsvpCode(team.teamId);
+  return res.status(200).json({ success: true, team: { teamId: team.teamId, teamName: team.teamName }, code });
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') return await handleGet(req, res);
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const action = req.body?.action;
+    if (action === 'lookup') return await handleLookup(req, res);
+    if (action === 'rsvp') return await handleRsvp(req, res);
+    if (action === 'remind' || action === 'newCode') {
+      const principal = await getPrincipal(req);
+      if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+      if (action === 'newCode') return await handleNewCode(req, res, principal);
+      return await handleRemind(req, res, principal);
+    }
+    return res.status(400).json({ error: 'action must be one of: lookup, rsvp, remind, newCode' });
+  } catch (err) {
+    console.error('[rsvp] error:', err.message);
+    return res.status(500).json({ error: 'RSVP request failed', details: err.message });
+  }
+};
@@ -1,34 +1,83 @@
 /**
  * api/scores.js
- * Score submission (host-only) and retrieval (public).
+ * Score submission, correction and deletion (host-only) and retrieval (public).
+ *
+ * Host endpoints take a session token from /api/auth. Admin sessions may
+ * manage any location; store host sessions are limited to that store's scores.
  *
  * POST /api/scores  — submit a team's score for a game night
- *   Authorization: Bearer <HOST_SECRET>
+ *   Authorization: Bearer <session token from /api/auth>
  *   Body (JSON): {
  *     teamId, teamName, location, week, date,
- *     rounds: [r1, r2, r3, r4, r5, r6],  // up to 6 round scores
- *     bonusRound,                          // optional bonus points
+ *     scores: {
+ *       round1, round2, round3,        // 0–10 each (blank = not played)
+ *       lightning,                      // 0–16, steps of 2
+ *       lastCall: { wager, outcome },   // outcome: 'correct' | 'incorrect' | 'nocard' (−5)
+ *       bonus,                          // optional bonus points
+ *     },
+ *     attendance: { playerIds, headcount }, // optional — who from the roster
+ *                                          // played, and how many at the table
  *     submittedBy                          // host name
  *   }
+ *   Impossible scores are rejected with 400 and a list of `errors`; the Last
+ *   Call wager is checked against the team's pre-Last-Call score. See
+ *   lib/scoring.js for the full rules.
+ *   Attendance must name players on the team's roster (/api/players), and the
+ *   headcount may not exceed the league's team size limit. See
+ *   lib/players.js.
+ *   The score is tagged with the active season (if there is one), and week
+ *   must fall within that season's number of weeks.
  *
  * GET /api/scores                — all scores
  * GET /api/scores?teamId=X       — filter by team
  * GET /api/scores?location=Y     — filter by location
  * GET /api/scores?week=N         — filter by week number
  * GET /api/scores?date=YYYY-MM-DD — filter by date
+ * GET /api/scores?scoreId=X      — a single score
+ * GET /api/scores?seasonId=X     — filter by season
+ * GET /api/scores?includeDeleted=true — include soft-deleted scores
+ * GET /api/scores?scoreId=X&audit=true — host-only: { score, audit: [...] }
+ *
+ * Each returned score carries `breakdown`:
+ *   { round1, round2, round3, lightning, preLastCall,
+ *     lastCall: { wager, outcome, points } | null, bonus, total }
+ * plus `headcount` (null when attendance wasn't taken) and `playerIds`.
+ *
+ * PUT|PATCH /api/scores?scoreId=X — correct a submitted score
+ *   Authorization: Bearer <session token from /api/auth>
+ *   Body (JSON): any of { teamId, teamName, location, week, date, scores,
+ *                attendance }, plus { changedBy, reason } for the audit trail.
+ *   `scores` fields are merged over the stored ones and the whole sheet is
+ *   revalidated, so a changed round also re-checks the Last Call wager.
+ *   Total is recomputed. `attendance` replaces the stored one (null clears
+ *   it); moving a score to another team drops its players unless attendance
+ *   for the new team is sent too.
+ *
+ * DELETE /api/scores?scoreId=X — soft-delete a score (row kept, marked deleted)
+ *   Authorization: Bearer <session token from /api/auth>
+ *   Body (JSON, optional): { changedBy, reason }
  *
- * Sheet columns (A–P):
+ * Every edit and delete is recorded in the ScoreAudit tab
+ * (who, when, and a { field: [before, after] } diff).
+ *
+ * Sheet columns (A–W):
  *   ScoreID | Date | Week | Location | TeamID | TeamName |
- *   R1 | R2 | R3 | R4 | R5 | R6 | BonusRound | Total | SubmittedBy | SubmittedAt
+ *   R1 | R2 | R3 | R4 (lightning) | R5 (Last Call points) | R6 (legacy bonus) |
+ *   BonusRound | Total | SubmittedBy | SubmittedAt | DeletedAt | DeletedBy |
+ *   LastCallWager | LastCallOutcome | SeasonID | Headcount | PlayerIDs
  */
 
-const { readRange, appendRow } = require('../lib/sheets');
-
-const VALID_LOCATIONS = ['Main Street', 'Exchange', 'H2O'];
+const {
+  scores: scoresRepo, scoreAudit, seasons, players: playersRepo,
+} = require('../lib/storage');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { scoreSheet, checkWeek } = require('../lib/scoring');
+const { checkAttendance } = require('../lib/players');
+const { locationNames } = require('../lib/locations');
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 }
 
@@ -36,44 +85,63 @@ function generateScoreId() {
   return `score_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
 }
 
-/** Map a raw sheet row (index 0 = A) to a score object. */
-function rowToScore(row) {
-  const rounds = [row[6], row[7], row[8], row[9], row[10], row[11]]
-    .map((v) => (v !== undefined && v !== '' ? Number(v) : null))
-    .filter((v) => v !== null);
-
-  return {
-    scoreId: row[0],
-    date: row[1],
-    week: row[2],
-    location: row[3],
-    teamId: row[4],
-    teamName: row[5],
-    rounds,
-    bonusRound: row[12] !== undefined && row[12] !== '' ? Number(row[12]) : 0,
-    total: row[13] !== undefined && row[13] !== '' ? Number(row[13]) : 0,
-    submittedBy: row[14] || '',
-    submittedAt: row[15] || '',
-  };
+/**
+ * Validate the location and date fields that are present in `fields`.
+ * Returns an error message, or null when everything present is valid.
+ */
+async function validateFields(fields) {
+  if (fields.location !== undefined) {
+    const names = await locationNames();
+    if (!names.includes(fields.location)) {
+      return `Invalid location. Must be one of: ${names.join(', ')}`;
+    }
+  }
+  // Date must be YYYY-MM-DD
+  if (fields.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(fields.date)) {
+    return 'date must be YYYY-MM-DD format';
+  }
+  return null;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** Check attendance against the team's roster; see lib/players.js. */
+async function readAttendance(input, teamId) {
+  if (input === undefined || input === null) return { attendance: null };
+  return checkAttendance(input, await playersRepo.forTeam(teamId, { includeRemoved: true }));
 }
 
 // ---------------------------------------------------------------------------
 // GET handler — public
 // ---------------------------------------------------------------------------
 async function handleGet(req, res) {
-  const { teamId, location, week, date } = req.query;
+  const { teamId, location, week, date, scoreId, seasonId, includeDeleted, audit } = req.query;
 
-  const rows = await readRange('Scores!A:P');
-  if (rows.length <= 1) {
-    return res.status(200).json({ scores: [] });
+  if (scoreId && audit === 'true') {
+    const principal = await getPrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+    const score = await scoresRepo.get(scoreId);
+    if (!score) return res.status(404).json({ error: 'Score not found' });
+    if (!canAccessLocation(principal, score.location)) {
+      return res.status(403).json({ error: locationForbidden(principal) });
+    }
+    return res.status(200).json({ score, audit: await scoreAudit.forScore(scoreId) });
   }
 
-  let scores = rows.slice(1).filter((row) => row[0]).map(rowToScore);
+  let scores = await scoresRepo.list({ includeDeleted: includeDeleted === 'true' });
 
+  if (scoreId) scores = scores.filter((s) => s.scoreId === scoreId);
   if (teamId) scores = scores.filter((s) => s.teamId === teamId);
   if (location) scores = scores.filter((s) => s.location === location);
   if (week) scores = scores.filter((s) => s.week === String(week));
   if (date) scores = scores.filter((s) => s.date === date);
+  if (seasonId) {
+    const season = await seasons.get(seasonId);
+    if (!season) return res.status(404).json({ error: 'Season not found' });
+    scores = scores.filter((s) => seasons.contains(season, s));
+  }
 
   return res.status(200).json({ scores });
 }
@@ -83,12 +151,12 @@ async function handleGet(req, res) {
 // ---------------------------------------------------------------------------
 async function handlePost(req, res) {
   // Auth check
-  const { HOST_SECRET } = process.env;
-  if (!HOST_SECRET || req.headers.authorization !== `Bearer ${HOST_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized — valid HOST_SECRET required' });
+  const principal = await getPrincipal(req);
+  if (!principal) {
+    return res.status(401).json({ error: 'Unauthorized — valid session token required' });
   }
 
-  const { teamId, teamName, location, week, date, rounds, bonusRound, submittedBy } = req.body || {};
+  const { teamId, teamName, location, week, date, scores, submittedBy } = req.body || {};
 
   // Required fields
   const missing = ['teamId', 'teamName', 'location', 'week', 'date'].filter((f) => !req.body?.[f]);
@@ -96,47 +164,145 @@ async function handlePost(req, res) {
     return res.status(400).json({ error: `Missing required fields: ${missing.join(', ')}` });
   }
 
-  if (!VALID_LOCATIONS.includes(location)) {
-    return res.status(400).json({
-      error: `Invalid location. Must be one of: ${VALID_LOCATIONS.join(', ')}`,
-    });
-  }
+  const invalid = await validateFields({ location, date });
+  if (invalid) return res.status(400).json({ error: invalid });
 
-  // Date must be YYYY-MM-DD
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return res.status(400).json({ error: 'date must be YYYY-MM-DD format' });
+  if (!canAccessLocation(principal, location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
   }
 
-  const roundScores = Array.isArray(rounds) ? rounds.slice(0, 6).map(Number) : [];
-  const bonus = bonusRound !== undefined && bonusRound !== '' ? Number(bonusRound) : 0;
-  const total = roundScores.reduce((sum, r) => sum + r, 0) + bonus;
+  if (!isPlainObject(scores)) {
+    return res.status(400).json({ error: 'scores object is required: { round1, round2, round3, lightning, lastCall, bonus }' });
+  }
+  const { errors, breakdown } = scoreSheet(scores);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid scores', errors });
+  }
 
-  const scoreId = generateScoreId();
-  const submittedAt = new Date().toISOString();
+  const { attendance, error: badAttendance } = await readAttendance(req.body.attendance, teamId);
+  if (badAttendance) return res.status(400).json({ error: badAttendance });
 
-  // Build row: pad round columns to always have 6 slots
-  const roundCells = Array.from({ length: 6 }, (_, i) =>
-    roundScores[i] !== undefined ? roundScores[i] : ''
-  );
+  const season = await seasons.active();
+  const badWeek = checkWeek(season, week);
+  if (badWeek) return res.status(400).json({ error: badWeek });
 
-  await appendRow('Scores', [
-    scoreId,
-    date,
-    String(week),
-    location,
+  const score = {
+    scoreId: generateScoreId(),
     teamId,
     teamName,
-    ...roundCells,
-    bonus || '',
-    total,
-    submittedBy || '',
-    submittedAt,
-  ]);
-
-  return res.status(201).json({
-    success: true,
-    score: { scoreId, teamId, teamName, location, week: String(week), date, rounds: roundScores, bonusRound: bonus, total, submittedBy: submittedBy || '', submittedAt },
+    location,
+    week: String(week),
+    date,
+    breakdown,
+    submittedBy: submittedBy || '',
+    submittedAt: new Date().toISOString(),
+    seasonId: season?.seasonId || '',
+    headcount: attendance?.headcount ?? null,
+    playerIds: attendance?.playerIds || [],
+  };
+
+  const saved = await scoresRepo.create(score);
+
+  return res.status(201).json({ success: true, score: saved });
+}
+
+// ---------------------------------------------------------------------------
+// PUT / PATCH handler — host-only correction of a submitted score
+// ---------------------------------------------------------------------------
+const EDITABLE_FIELDS = ['teamId', 'teamName', 'location', 'week', 'date', 'scores', 'attendance'];
+
+async function handleUpdate(req, res) {
+  const principal = await getPrincipal(req);
+  if (!principal) {
+    return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+  }
+
+  const body = req.body || {};
+  const scoreId = req.query.scoreId || body.scoreId;
+  if (!scoreId) return res.status(400).json({ error: 'scoreId is required' });
+
+  const patch = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) patch[field] = body[field];
+  }
+  if (Object.keys(patch).length === 0) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+  }
+
+  const invalid = await validateFields(patch);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const existing = await scoresRepo.get(scoreId);
+  if (!existing) return res.status(404).json({ error: 'Score not found' });
+  if (existing.deletedAt) return res.status(409).json({ error: 'Score has been deleted' });
+
+  // Hosts can only correct their own store's scores, and can't move them elsewhere
+  const targetLocation = patch.location !== undefined ? patch.location : existing.location;
+  if (!canAccessLocation(principal, existing.location) || !canAccessLocation(principal, targetLocation)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  if (patch.week !== undefined) {
+    const season = existing.seasonId ? await seasons.get(existing.seasonId) : null;
+    const badWeek = checkWeek(season, patch.week);
+    if (badWeek) return res.status(400).json({ error: badWeek });
+    patch.week = String(patch.week);
+  }
+
+  if (patch.scores !== undefined) {
+    if (!isPlainObject(patch.scores)) return res.status(400).json({ error: 'scores must be an object' });
+    const { round1, round2, round3, lightning, lastCall, bonus } = existing.breakdown;
+    const { errors, breakdown } = scoreSheet({
+      round1, round2, round3, lightning, lastCall, bonus, ...patch.scores,
+    });
+    if (errors.length) return res.status(400).json({ error: 'Invalid scores', errors });
+    delete patch.scores;
+    patch.breakdown = breakdown;
+    patch.total = breakdown.total;
+  }
+
+  const teamId = patch.teamId !== undefined ? patch.teamId : existing.teamId;
+  if (patch.attendance !== undefined) {
+    const { attendance, error } = await readAttendance(patch.attendance, teamId);
+    if (error) return res.status(400).json({ error });
+    delete patch.attendance;
+    patch.headcount = attendance?.headcount ?? null;
+    patch.playerIds = attendance?.playerIds || [];
+  } else if (teamId !== existing.teamId) {
+    patch.playerIds = [];
+  }
+
+  const { score, changes } = await scoresRepo.update(scoreId, patch, {
+    changedBy: body.changedBy || body.submittedBy,
+    reason: body.reason,
   });
+
+  return res.status(200).json({ success: true, score, changes });
+}
+
+// ---------------------------------------------------------------------------
+// DELETE handler — host-only soft delete
+// ---------------------------------------------------------------------------
+async function handleDelete(req, res) {
+  const principal = await getPrincipal(req);
+  if (!principal) {
+    return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+  }
+
+  const body = req.body || {};
+  const scoreId = req.query.scoreId || body.scoreId;
+  if (!scoreId) return res.status(400).json({ error: 'scoreId is required' });
+
+  const existing = await scoresRepo.get(scoreId);
+  if (!existing) return res.status(404).json({ error: 'Score not found' });
+  if (existing.deletedAt) return res.status(409).json({ error: 'Score has already been deleted' });
+  if (!canAccessLocation(principal, existing.location)) {
+    return res.status(403).json({ error: locationForbidden(principal) });
+  }
+
+  const score = await scoresRepo.remove(scoreId, { changedBy: body.changedBy, reason: body.reason });
+
+  return res.status(200).json({ success: true, score });
 }
 
 // ---------------------------------------------------------------------------
@@ -149,6 +315,8 @@ module.exports = async function handler(req, res) {
   try {
     if (req.method === 'GET') return await handleGet(req, res);
     if (req.method === 'POST') return await handlePost(req, res);
+    if (req.method === 'PUT' || req.method === 'PATCH') return await handleUpdate(req, res);
+    if (req.method === 'DELETE') return await handleDelete(req, res);
     return res.status(405).json({ error: 'Method not allowed' });
   } catch (err) {
     console.error('[scores] error:', err.message);
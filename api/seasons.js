@@ -0,0 +1,95 @@
+/**
+ * api/seasons.js
+ * League seasons — list them (public) and close / start them (admin only).
+ *
+ * GET /api/seasons
+ *   Returns: {
+ *     seasons: [{ seasonId, name, startDate, endDate, weeks, active, createdAt, closedAt }],
+ *     active:  season | null
+ *   }
+ *   Oldest first. Past seasons stay listed so their standings can still be
+ *   browsed with /api/standings?seasonId=X.
+ *
+ * POST /api/seasons
+ * Authorization: Bearer <admin session token from /api/auth>
+ *
+ * Body: { action: 'start', name, startDate, weeks, endDate? }
+ *   Closes the active season (if any) and starts a new one. The outgoing
+ *   season's end date defaults to the day before startDate. New scores and
+ *   saved questions are tagged with the new season from then on.
+ *   Returns: { success: true, season, closed: season | null }
+ *
+ * Body: { action: 'close' }
+ *   Closes the active season without starting another. Its end date
+ *   defaults to today if it wasn't set.
+ *   Returns: { success: true, closed: season }
+ *
+ * Sheet columns (A–H):
+ *   SeasonID | Name | StartDate | EndDate | Weeks | Active | CreatedAt | ClosedAt
+ */
+
+const { seasons } = require('../lib/storage');
+const { getPrincipal, isAdmin } = require('../lib/auth');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_WEEKS = 52;
+
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/** Validate a new season's fields. Returns an error message or null. */
+function validateSeason({ name, startDate, endDate, weeks }) {
+  if (!name || !String(name).trim()) return 'name is required';
+  if (!DATE_RE.test(startDate || '')) return 'startDate must be YYYY-MM-DD format';
+  if (endDate && !DATE_RE.test(endDate)) return 'endDate must be YYYY-MM-DD format';
+  if (endDate && endDate < startDate) return 'endDate must be on or after startDate';
+  const n = Number(weeks);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_WEEKS) {
+    return `weeks must be a whole number from 1 to ${MAX_WEEKS}`;
+  }
+  return null;
+}
+
+module.exports = async function handler(req, res) {
+  setCors(res);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  try {
+    if (req.method === 'GET') {
+      const all = await seasons.list();
+      return res.status(200).json({ seasons: all, active: all.find((s) => s.active) || null });
+    }
+
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const principal = await getPrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+    if (!isAdmin(principal)) return res.status(403).json({ error: 'Forbidden — admin only' });
+
+    const { action, name, startDate, endDate, weeks } = req.body || {};
+
+    if (action === 'start') {
+      const invalid = validateSeason({ name, startDate, endDate, weeks });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { season, closed } = await seasons.start({
+        name: String(name).trim(), startDate, endDate, weeks: Number(weeks),
+      });
+      return res.status(201).json({ success: true, season, closed });
+    }
+
+    if (action === 'close') {
+      const closed = await seasons.close();
+      if (!closed) return res.status(409).json({ error: 'No season is active' });
+      return res.status(200).json({ success: true, closed });
+    }
+
+    return res.status(400).json({ error: 'action must be one of: start, close' });
+  } catch (err) {
+    console.error('[seasons] error:', err.message);
+    return res.status(500).json({ error: 'Seasons request failed', details: err.message });
+  }
+};
@@ -1,31 +1,24 @@
 /**
  * api/setup.js
- * One-time endpoint to write header rows into the three sheet tabs.
+ * One-time endpoint to create every storage table and write its header row.
  *
  * POST /api/setup
- * Authorization: Bearer <HOST_SECRET>
+ * Authorization: Bearer <admin session token from /api/auth>
  *
- * Run once after creating the Google Sheet.
- * Safe to re-run — it just overwrites row 1 in each tab.
+ * Run once after creating the Google Sheet (or pointing STORAGE_BACKEND at a
+ * fresh local file). Safe to re-run — missing tabs are created and row 1 is
+ * rewritten only when it doesn't match the schema.
+ *
+ * Also seeds the Locations tab with the built-in locations (Main Street,
+ * Exchange, H2O) if it is empty, so they can be edited from there on.
+ *
+ * Column definitions live in lib/storage/schema.js.
  */
 
-const { updateRange } = require('../lib/sheets');
-
-// Column definitions for each tab — order matters; matches lib/sheets helpers.
-const TEAMS_HEADERS = [
-  'TeamID', 'TeamName', 'CaptainName', 'Email', 'Location', 'RegisteredAt',
-];
-
-const SCORES_HEADERS = [
-  'ScoreID', 'Date', 'Week', 'Location', 'TeamID', 'TeamName',
-  'R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'BonusRound', 'Total',
-  'SubmittedBy', 'SubmittedAt',
-];
-
-const STANDINGS_HEADERS = [
-  'Rank', 'TeamID', 'TeamName', 'Location',
-  'GamesPlayed', 'TotalPoints', 'BestScore', 'AverageScore', 'LastPlayed',
-];
+const { getPrincipal, isAdmin } = require('../lib/auth');
+const { ensureTables } = require('../lib/storage');
+const { seedDefaultLocations } = require('../lib/locations');
+const { TABLES, headersFor } = require('../lib/storage/schema');
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -38,22 +31,23 @@ module.exports = async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // Protect with HOST_SECRET so only the host can call this.
-  const { HOST_SECRET } = process.env;
-  const auth = req.headers.authorization;
-  if (!HOST_SECRET || auth !== `Bearer ${HOST_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
   try {
-    await updateRange('Teams!A1:F1', [TEAMS_HEADERS]);
-    await updateRange('Scores!A1:P1', [SCORES_HEADERS]);
-    await updateRange('Standings!A1:I1', [STANDINGS_HEADERS]);
+    // Admin only — store host sessions can't reinitialize the sheet.
+    if (!isAdmin(await getPrincipal(req))) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    await ensureTables();
+
+    const seededLocations = await seedDefaultLocations();
+
+    const sheets = Object.fromEntries(Object.keys(TABLES).map((name) => [name, headersFor(name)]));
 
     return res.status(200).json({
       success: true,
       message: 'Sheet headers initialized. You can now use the app.',
-      sheets: { Teams: TEAMS_HEADERS, Scores: SCORES_HEADERS, Standings: STANDINGS_HEADERS },
+      sheets,
+      seededLocations,
     });
   } catch (err) {
     console.error('[setup] error:', err.message);
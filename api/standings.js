@@ -6,6 +6,13 @@
  * GET /api/standings                     — all locations combined
  * GET /api/standings?location=Main+Street — single location
  * GET /api/standings?refresh=true        — also write cache to Standings tab
+ * GET /api/standings?qualifiers=true     — also mark championship qualifiers
+ * GET /api/standings?seasonId=X          — a past (or any) season
+ * GET /api/standings?seasonId=all        — every score ever, ignoring seasons
+ *
+ * Without ?seasonId only the active season counts (or every score, if no
+ * season has been started yet). Scores from before seasons existed are
+ * placed in a season by their date.
  *
  * Standings are computed fresh from every request (the Scores tab is the
  * source of truth).  Pass ?refresh=true from a host-only action or a cron
@@ -17,20 +24,44 @@
  *     rank, teamId, teamName, location,
  *     gamesPlayed, totalPoints, bestScore, averageScore, lastPlayed
  *   }],
+ *   season: { seasonId, name, startDate, endDate, weeks, active } | null,
  *   lastUpdated: ISO string
  * }
  *
- * Sheet columns (A–I):
+ * Ranking / tiebreakers (applied in order, so the order is always the same):
+ *   1. totalPoints   — higher first
+ *   2. gamesPlayed   — more first
+ *   3. bestScore     — higher first
+ *   4. teamName      — A→Z (case-insensitive)
+ *   5. teamId        — A→Z, so two teams can never compare equal
+ *
+ * Championship qualifiers (?qualifiers=true), always league-wide — a
+ * ?location filter only limits which rows come back:
+ *   • Location champion — the top-ranked team at each location.
+ *   • Wild cards — the next WILDCARD_SPOTS teams by rank, any location.
+ * Each standings row gains `qualifier: 'champion'|'wildcard'|null`, and the
+ * response adds:
+ *   qualifiers: {
+ *     champions: [{ location, teamId, teamName, totalPoints }],
+ *     wildcards: [{ teamId, teamName, location, totalPoints }],
+ *     wildcardSpots,
+ *     tiebreakers: [string],          // the rules above, for display
+ *     cutoff: null | {                // only when the last wild card and the
+ *       lastIn, firstOut,             // first team out are level on points
+ *       decidedBy                     // the tiebreaker that separated them
+ *     }
+ *   }
+ *
+ * Sheet columns (A–J):
  *   Rank | TeamID | TeamName | Location | GamesPlayed | TotalPoints |
- *   BestScore | AverageScore | LastPlayed
+ *   BestScore | AverageScore | LastPlayed | SeasonID
+ * A refresh only replaces the snapshot rows for the season being computed.
  */
 
-const { readRange, updateRange, clearRange } = require('../lib/sheets');
+const { scores: scoresRepo, standings: standingsRepo, seasons } = require('../lib/storage');
+const { TIEBREAKERS, computeStandings } = require('../lib/standings');
 
-const STANDINGS_HEADERS = [
-  'Rank', 'TeamID', 'TeamName', 'Location',
-  'GamesPlayed', 'TotalPoints', 'BestScore', 'AverageScore', 'LastPlayed',
-];
+const WILDCARD_SPOTS = 6;
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -38,90 +69,51 @@ function setCors(res) {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 }
 
+/** Label of the first tiebreaker that separates two teams. */
+function decidingTiebreaker(a, b) {
+  const rule = TIEBREAKERS.find(([, , compare]) => compare(a, b) !== 0);
+  return rule ? rule[1] : null;
+}
+
 /**
- * Aggregate raw Scores rows into per-team stats.
- * Each Scores row: [ScoreID, Date, Week, Location, TeamID, TeamName, R1..R6, Bonus, Total, ...]
+ * Pick location champions and wild cards from league-wide standings
+ * (already sorted by compareTeams).
  */
-function computeStandings(scoreRows, locationFilter) {
-  const data = scoreRows
-    .slice(1) // skip header
-    .filter((row) => row[0] && row[4]) // must have ScoreID and TeamID
-    .map((row) => ({
-      date: row[1] || '',
-      location: row[3] || '',
-      teamId: row[4],
-      teamName: row[5] || 'Unknown',
-      total: row[13] !== undefined && row[13] !== '' ? Number(row[13]) : 0,
-    }));
-
-  const filtered = locationFilter
-    ? data.filter((s) => s.location === locationFilter)
-    : data;
-
-  // Aggregate
-  const teamMap = {};
-  for (const score of filtered) {
-    if (!teamMap[score.teamId]) {
-      teamMap[score.teamId] = {
-        teamId: score.teamId,
-        teamName: score.teamName,
-        location: score.location,
-        gamesPlayed: 0,
-        totalPoints: 0,
-        bestScore: 0,
-        lastPlayed: '',
-      };
-    }
-    const t = teamMap[score.teamId];
-    t.gamesPlayed += 1;
-    t.totalPoints += score.total;
-    if (score.total > t.bestScore) t.bestScore = score.total;
-    if (!t.lastPlayed || score.date > t.lastPlayed) t.lastPlayed = score.date;
+function computeQualifiers(standings) {
+  const champions = [];
+  const seen = new Set();
+  for (const team of standings) {
+    if (!team.location || seen.has(team.location)) continue;
+    seen.add(team.location);
+    champions.push(team);
   }
 
-  // Sort: totalPoints desc, then gamesPlayed desc as tiebreaker
-  const standings = Object.values(teamMap)
-    .sort((a, b) => b.totalPoints - a.totalPoints || b.gamesPlayed - a.gamesPlayed)
-    .map((team, i) => ({
-      rank: i + 1,
-      teamId: team.teamId,
-      teamName: team.teamName,
-      location: team.location,
-      gamesPlayed: team.gamesPlayed,
-      totalPoints: team.totalPoints,
-      bestScore: team.bestScore,
-      averageScore:
-        team.gamesPlayed > 0
-          ? Math.round((team.totalPoints / team.gamesPlayed) * 10) / 10
-          : 0,
-      lastPlayed: team.lastPlayed,
-    }));
-
-  return standings;
-}
+  const championIds = new Set(champions.map((t) => t.teamId));
+  const field = standings.filter((t) => !championIds.has(t.teamId));
+  const wildcards = field.slice(0, WILDCARD_SPOTS);
+
+  let cutoff = null;
+  const lastIn = wildcards[WILDCARD_SPOTS - 1];
+  const firstOut = field[WILDCARD_SPOTS];
+  if (lastIn && firstOut && lastIn.totalPoints === firstOut.totalPoints) {
+    cutoff = {
+      lastIn: { teamId: lastIn.teamId, teamName: lastIn.teamName },
+      firstOut: { teamId: firstOut.teamId, teamName: firstOut.teamName },
+      decidedBy: decidingTiebreaker(lastIn, firstOut),
+    };
+  }
 
-/**
- * Write a fresh snapshot to the Standings tab (rows 2+; keeps header row 1).
- */
-async function persistToSheet(standings) {
-  // Clear existing data rows, then write fresh
-  await clearRange('Standings!A2:I1000');
-
-  if (standings.length === 0) return;
-
-  const rows = standings.map((s) => [
-    s.rank,
-    s.teamId,
-    s.teamName,
-    s.location,
-    s.gamesPlayed,
-    s.totalPoints,
-    s.bestScore,
-    s.averageScore,
-    s.lastPlayed,
-  ]);
-
-  await updateRange(`Standings!A2:I${standings.length + 1}`, rows);
+  return {
+    champions: champions.map((t) => ({
+      location: t.location, teamId: t.teamId, teamName: t.teamName, totalPoints: t.totalPoints,
+    })),
+    wildcards: wildcards.map((t) => ({
+      teamId: t.teamId, teamName: t.teamName, location: t.location, totalPoints: t.totalPoints,
+    })),
+    wildcardSpots: WILDCARD_SPOTS,
+    tiebreakers: TIEBREAKERS.map(([, label]) => label),
+    cutoff,
+  };
 }
 
 module.exports = async function handler(req, res) {
@@ -130,21 +122,40 @@ module.exports = async function handler(req, res) {
   if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
   try {
-    const { location, refresh } = req.query;
+    const { location, refresh, qualifiers, seasonId } = req.query;
 
-    const scoreRows = await readRange('Scores!A:P');
-    if (!scoreRows.length) {
-      return res.status(200).json({ standings: [], lastUpdated: new Date().toISOString() });
-    }
+    const season = await seasons.resolve(seasonId);
+    if (season === undefined) return res.status(404).json({ error: 'Season not found' });
 
-    const standings = computeStandings(scoreRows, location || null);
+    let scores = await scoresRepo.list();
+    if (season) scores = scores.filter((s) => seasons.contains(season, s));
+    let standings = computeStandings(scores, location || null);
 
     if (refresh === 'true') {
-      await persistToSheet(standings);
+      // Persist this season's snapshot to the Standings table (header row is kept)
+      await standingsRepo.replace(standings, season?.seasonId || '');
     }
 
+    if (qualifiers !== 'true') {
+      return res.status(200).json({
+        standings,
+        season,
+        lastUpdated: new Date().toISOString(),
+      });
+    }
+
+    // Qualifiers are always decided across the whole league
+    const result = computeQualifiers(location ? computeStandings(scores, null) : standings);
+    const status = new Map([
+      ...result.champions.map((t) => [t.teamId, 'champion']),
+      ...result.wildcards.map((t) => [t.teamId, 'wildcard']),
+    ]);
+    standings = standings.map((t) => ({ ...t, qualifier: status.get(t.teamId) || null }));
+
     return res.status(200).json({
       standings,
+      qualifiers: result,
+      season,
       lastUpdated: new Date().toISOString(),
     });
   } catch (err) {
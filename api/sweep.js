@@ -0,0 +1,29 @@
+/**
+ * api/sweep.js
+ * Daily housekeeping, run by Vercel Cron (see vercel.json) — deletes expired
+ * RateLimits rows. Sweeping here rather than from the rate-limited requests
+ * means only one sweep runs at a time, and a request never waits on one.
+ *
+ * GET /api/sweep
+ * Authorization: Bearer <CRON_SECRET>, or an admin session token from /api/auth
+ *   Returns: { success: true, rateLimitsDeleted }
+ */
+
+const { getPrincipal, isAdmin, isCronRequest } = require('../lib/auth');
+const { rateLimits } = require('../lib/storage');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    if (!isCronRequest(req) && !isAdmin(await getPrincipal(req))) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const rateLimitsDeleted = await rateLimits.sweep(Date.now());
+    return res.status(200).json({ success: true, rateLimitsDeleted });
+  } catch (err) {
+    console.error('[sweep] error:', err.message);
+    return res.status(500).json({ error: 'Sweep failed', details: err.message });
+  }
+};
@@ -1,57 +1,314 @@
 /**
  * api/teams.js
- * Read registered teams — used by the host tool to populate the team dropdown.
+ * Registered teams — read by the host tool to populate the team dropdown,
+ * and managed by admins so a renamed, moved or doubly-registered team keeps
+ * one score history.
  *
  * GET /api/teams
  * GET /api/teams?location=Main+Street
+ *   Query params (optional):
+ *     includeInactive — 'true' to include deactivated and merged teams, and
+ *                       ones still waiting on their email confirmation or
+ *                       on the waitlist
+ *     waitlist        — 'true' for only waitlisted teams, first in line first,
+ *                       each with its waitlistPosition at its location
+ *   Returns: { teams: [{ teamId, teamName, captainName, email, location,
+ *              registeredAt, deactivatedAt, mergedInto, updatedAt, status,
+ *              waitlistedAt }] }
+ *   Sorted alphabetically by teamName.
  *
- * Returns: { teams: [{ teamId, teamName, captainName, email, location, registeredAt }] }
- * Sorted alphabetically by teamName.
+ * The rest are admin only — Authorization: Bearer <admin session token from /api/auth>
+ *
+ * PATCH /api/teams?teamId=X — edit a team's details
+ *   Body: { teamName?, captainName?, email?, changedBy? }
+ *   A new name must not be taken by another team. Renaming also renames the
+ *   team on its Scores rows (each change audited), so the history reads as
+ *   one team.
+ *   Returns: { success: true, team, scoresUpdated }
+ *
+ * POST /api/teams — deactivate / reactivate
+ *   Body: { action: 'deactivate' | 'reactivate', teamId }
+ *   Deactivated teams drop out of the team lists (host dropdown, phone join)
+ *   but keep their scores. Reactivating also confirms a team still pending
+ *   its captain's email confirmation (see api/register.js).
+ *   Returns: { success: true, team }
+ *
+ * POST /api/teams — promote a team off its location's waitlist
+ *   Body: { action: 'promote', teamId }
+ *   The team plays from now on, even if that takes the location over its
+ *   capacity. See lib/waitlist.js.
+ *   Returns: { success: true, team, waitlist } — waitlist is who's still
+ *   waiting at that location, in order
+ *
+ * POST /api/teams — move a team to another location
+ *   Body: { action: 'move', teamId, location, moveScores?, changedBy? }
+ *     moveScores — true to also re-tag the team's scores from the active
+ *                  season, so its season standing follows it. Otherwise
+ *                  past scores stay where they were played.
+ *   A playing team moved to a location at capacity joins the end of that
+ *   location's waitlist, as does a team already waitlisted elsewhere.
+ *   Returns: { success: true, team, status, waitlistPosition, scoresUpdated }
+ *
+ * POST /api/teams — merge a duplicate into the team that keeps playing
+ *   Body: { action: 'merge', fromTeamId, intoTeamId, changedBy? }
+ *   Every Scores row of fromTeamId (deleted ones too) is re-pointed to
+ *   intoTeamId and its name (audited), its roster players join intoTeamId's
+ *   roster, and its RSVPs, phone games (GameTeams and Submissions rows) and
+ *   disputes — raised or credited — move over too. An RSVP for a night
+ *   intoTeamId already answered is left behind. The duplicate is then
+ *   deactivated with MergedInto set, and cached standings are recomputed for
+ *   the seasons affected.
+ *   409 when intoTeamId is deactivated or merged, or when both teams joined
+ *   the same phone game.
+ *   Returns: { success: true, team, merged, scoresUpdated, playersMoved,
+ *              rsvpsMoved, gamesMoved, disputesMoved }
+ *
+ * Sheet columns:
+ *   Teams (A–L): TeamID | TeamName | CaptainName | Email | Location |
+ *                RegisteredAt | DeactivatedAt | MergedInto | UpdatedAt | Status |
+ *                WaitlistedAt | RsvpCodeHash (never returned)
  */
 
-const { readRange } = require('../lib/sheets');
+const {
+  teams: teamsRepo, scores: scoresRepo, players: playersRepo, rsvps: rsvpsRepo, gameTeams: gameTeamsRepo,
+  submissions: submissionsRepo, disputes: disputesRepo, seasons,
+} = require('../lib/storage');
+const { getPrincipal, isAdmin } = require('../lib/auth');
+const { locationNames } = require('../lib/locations');
+const { refreshStandingsFor } = require('../lib/standings');
+const { locationFull, waitlistFor, teamStatus } = require('../lib/waitlist');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Apply `patch` to each score (audited with `meta`) and refresh the cached
+ * standings they belong to. Returns how many scores changed.
+ */
+async function repointScores(scores, patch, meta) {
+  const changed = (await scoresRepo.updateMany(scores.map((s) => s.scoreId), patch, meta)).map((r) => r.score);
+  try {
+    await refreshStandingsFor(changed);
+  } catch (err) {
+    // Scores are the source of truth — /api/standings recomputes from them anyway
+    console.error('[teams] standings refresh failed:', err.message);
+  }
+  return changed.length;
+}
+
+async function scoresOf(teamId) {
+  return (await scoresRepo.list({ includeDeleted: true })).filter((s) => s.teamId === teamId);
+}
+
+// ---------------------------------------------------------------------------
+// GET — list
+// ---------------------------------------------------------------------------
+async function handleGet(req, res) {
+  const { location, includeInactive, waitlist } = req.query;
+
+  let teams = await teamsRepo.list();
+  if (waitlist === 'true') {
+    const locations = location ? [location] : [...new Set(teams.map((t) => t.location))];
+    const waiting = locations.flatMap((loc) => waitlistFor(loc, teams)
+      .map((t, i) => ({ ...t, waitlistPosition: i + 1 })));
+    return res.status(200).json({ teams: waiting });
+  }
+  if (location) teams = teams.filter((t) => t.location === location);
+  if (includeInactive !== 'true') teams = teams.filter(teamsRepo.isActive);
+
+  teams.sort((a, b) => (a.teamName || '').localeCompare(b.teamName || ''));
+  return res.status(200).json({ teams });
+}
+
+// ---------------------------------------------------------------------------
+// PATCH — edit details
+// ---------------------------------------------------------------------------
+async function handleUpdate(req, res) {
+  const { teamName, captainName, email, changedBy } = req.body || {};
+  if (!req.query.teamId) return res.status(400).json({ error: 'teamId is required' });
+
+  const team = await teamsRepo.get(req.query.teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+
+  const patch = {};
+  if (teamName !== undefined) {
+    const name = String(teamName).trim();
+    if (!name) return res.status(400).json({ error: 'teamName cannot be blank' });
+    const taken = (await teamsRepo.list())
+      .find((t) => t.teamId !== team.teamId && t.teamName?.toLowerCase() === name.toLowerCase());
+    if (taken) {
+      return res.status(409).json({ error: `${taken.teamName} is already a team — merge the two instead`, teamId: taken.teamId });
+    }
+    if (name !== team.teamName) patch.teamName = name;
+  }
+  if (captainName !== undefined) {
+    if (!String(captainName).trim()) return res.status(400).json({ error: 'captainName cannot be blank' });
+    patch.captainName = String(captainName).trim();
+  }
+  if (email !== undefined) {
+    if (!EMAIL_PATTERN.test(String(email).trim())) return res.status(400).json({ error: 'Invalid email address' });
+    patch.email = String(email).trim().toLowerCase();
+  }
+  if (!Object.keys(patch).length) return res.status(200).json({ success: true, team, scoresUpdated: 0 });
+
+  const updated = await teamsRepo.update(team.teamId, { ...patch, updatedAt: new Date().toISOString() });
+  const scoresUpdated = patch.teamName
+    ? await repointScores(await scoresOf(team.teamId), { teamName: patch.teamName }, {
+      changedBy: changedBy || '', reason: `Team renamed from "${team.teamName}" to "${patch.teamName}"`,
+    })
+    : 0;
+  return res.status(200).json({ success: true, team: updated, scoresUpdated });
+}
+
+// ---------------------------------------------------------------------------
+// POST — deactivate / reactivate / move / merge
+// ---------------------------------------------------------------------------
+async function handleActive(req, res, active) {
+  const team = await teamsRepo.get(req.body.teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+  if (active && team.mergedInto) {
+    return res.status(409).json({ error: `This team was merged into ${team.mergedInto} — its scores are there now` });
+  }
+
+  const now = new Date().toISOString();
+  // Reactivating confirms a pending team, but doesn't jump the waitlist
+  const patch = active
+    ? { deactivatedAt: '', status: team.status === 'pending' ? '' : team.status }
+    : { deactivatedAt: team.deactivatedAt || now };
+  const updated = await teamsRepo.update(team.teamId, { ...patch, updatedAt: now });
+  return res.status(200).json({ success: true, team: updated });
+}
+
+async function handlePromote(req, res) {
+  const team = await teamsRepo.get(req.body.teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+  if (team.status !== 'waitlisted') return res.status(409).json({ error: `${team.teamName} isn't on the waitlist` });
+  if (team.deactivatedAt) return res.status(409).json({ error: `${team.teamName} is deactivated — reactivate it first` });
+
+  const updated = await teamsRepo.update(team.teamId, { status: '', updatedAt: new Date().toISOString() });
+  const waitlist = waitlistFor(team.location, await teamsRepo.list())
+    .map(({ teamId, teamName, waitlistedAt }, i) => ({ teamId, teamName, waitlistedAt, waitlistPosition: i + 1 }));
+  return res.status(200).json({ success: true, team: updated, waitlist });
+}
+
+async function handleMove(req, res) {
+  const { teamId, location, moveScores, changedBy } = req.body;
+
+  const team = await teamsRepo.get(teamId);
+  if (!team) return res.status(404).json({ error: 'Team not found' });
+  const names = await locationNames();
+  if (!names.includes(location)) {
+    return res.status(400).json({ error: `Invalid location. Must be one of: ${names.join(', ')}` });
+  }
+  const all = await teamsRepo.list();
+  if (location === team.location) {
+    return res.status(200).json({ success: true, team, ...teamStatus(team, all), scoresUpdated: 0 });
+  }
+
+  // Moving doesn't jump the new location's waitlist
+  const now = new Date().toISOString();
+  const others = all.filter((t) => t.teamId !== team.teamId);
+  const waitlisted = team.status === 'waitlisted' || (teamsRepo.isActive(team) && await locationFull(location, others));
+  const updated = await teamsRepo.update(team.teamId, {
+    location, updatedAt: now, ...(waitlisted ? { status: 'waitlisted', waitlistedAt: now } : {}),
+  });
+
+  let scoresUpdated = 0;
+  if (moveScores) {
+    const season = await seasons.active();
+    const moving = (await scoresOf(team.teamId)).filter((s) => !season || seasons.contains(season, s));
+    scoresUpdated = await repointScores(moving, { location }, {
+      changedBy: changedBy || '', reason: `Team moved from ${team.location} to ${location}`,
+    });
+  }
+  return res.status(200).json({
+    success: true, team: updated, ...teamStatus(updated, [...others, updated]), scoresUpdated,
+  });
+}
+
+async function handleMerge(req, res) {
+  const { fromTeamId, intoTeamId, changedBy } = req.body;
+  if (!fromTeamId || !intoTeamId) return res.status(400).json({ error: 'fromTeamId and intoTeamId are required' });
+  if (fromTeamId === intoTeamId) return res.status(400).json({ error: "A team can't be merged into itself" });
+
+  const [from, into] = await Promise.all([teamsRepo.get(fromTeamId), teamsRepo.get(intoTeamId)]);
+  if (!from || !into) return res.status(404).json({ error: 'Team not found' });
+  if (from.mergedInto) return res.status(409).json({ error: `${from.teamName} was already merged into ${from.mergedInto}` });
+  if (into.mergedInto) return res.status(409).json({ error: `${into.teamName} was merged into ${into.mergedInto} — merge into that team instead` });
+  if (into.deactivatedAt) return res.status(409).json({ error: `${into.teamName} is deactivated — reactivate it before merging into it` });
+
+  // A game can only have one entry per team, so two phone teams in the same
+  // game can't become one
+  const entries = await gameTeamsRepo.list();
+  const intoGames = new Set(entries.filter((e) => e.teamId === into.teamId).map((e) => e.gameId));
+  const shared = entries.find((e) => e.teamId === from.teamId && intoGames.has(e.gameId));
+  if (shared) {
+    return res.status(409).json({ error: `${from.teamName} and ${into.teamName} both played game ${shared.gameId} — they can't be merged`, gameId: shared.gameId });
+  }
+
+  const scoresUpdated = await repointScores(await scoresOf(from.teamId), { teamId: into.teamId, teamName: into.teamName }, {
+    changedBy: changedBy || '', reason: `Merged team "${from.teamName}" (${from.teamId}) into "${into.teamName}"`,
+  });
+
+  const moveTeam = (row) => (row.teamId === from.teamId ? { teamId: into.teamId } : null);
+  const rename = (row) => (row.teamId === from.teamId ? { teamId: into.teamId, teamName: into.teamName } : null);
+
+  // Moved players keep their IDs, so attendance on the re-pointed scores still matches
+  const playersMoved = (await playersRepo.updateMany(moveTeam)).length;
+
+  // Nights both teams answered for keep intoTeamId's answer
+  const intoDates = new Set((await rsvpsRepo.list()).filter((r) => r.teamId === into.teamId).map((r) => r.date));
+  const rsvpsMoved = (await rsvpsRepo.updateMany((r) => (intoDates.has(r.date) ? null : moveTeam(r)))).length;
+
+  const gamesMoved = (await gameTeamsRepo.updateMany(rename)).length;
+  await submissionsRepo.updateMany(rename);
+  const disputesMoved = (await disputesRepo.updateMany((d) => {
+    const credited = d.credited.some((c) => c.teamId === from.teamId);
+    if (d.teamId !== from.teamId && !credited) return null;
+    return {
+      ...rename(d),
+      credited: d.credited.map((c) => (c.teamId === from.teamId ? { ...c, teamId: into.teamId, teamName: into.teamName } : c)),
+    };
+  })).length;
+
+  const now = new Date().toISOString();
+  const merged = await teamsRepo.update(from.teamId, {
+    mergedInto: into.teamId, deactivatedAt: from.deactivatedAt || now, updatedAt: now,
+  });
+  return res.status(200).json({
+    success: true, team: into, merged, scoresUpdated, playersMoved, rsvpsMoved, gamesMoved, disputesMoved,
+  });
 }
 
 module.exports = async function handler(req, res) {
   setCors(res);
   if (req.method === 'OPTIONS') return res.status(200).end();
-  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
   try {
-    const { location } = req.query;
-
-    const rows = await readRange('Teams!A:F');
-    if (rows.length <= 1) {
-      // No data rows (only header, or totally empty)
-      return res.status(200).json({ teams: [] });
-    }
-
-    let teams = rows
-      .slice(1)
-      .filter((row) => row[0]) // skip blank rows
-      .map((row) => ({
-        teamId: row[0],
-        teamName: row[1],
-        captainName: row[2],
-        email: row[3],
-        location: row[4],
-        registeredAt: row[5],
-      }));
-
-    if (location) {
-      teams = teams.filter((t) => t.location === location);
+    if (req.method === 'GET') return await handleGet(req, res);
+    if (req.method !== 'POST' && req.method !== 'PATCH') {
+      return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    teams.sort((a, b) => (a.teamName || '').localeCompare(b.teamName || ''));
+    const principal = await getPrincipal(req);
+    if (!principal) return res.status(401).json({ error: 'Unauthorized — valid session token required' });
+    if (!isAdmin(principal)) return res.status(403).json({ error: 'Forbidden — admin only' });
 
-    return res.status(200).json({ teams });
+    if (req.method === 'PATCH') return await handleUpdate(req, res);
+    const action = req.body?.action;
+    if (action === 'deactivate') return await handleActive(req, res, false);
+    if (action === 'reactivate') return await handleActive(req, res, true);
+    if (action === 'promote') return await handlePromote(req, res);
+    if (action === 'move') return await handleMove(req, res);
+    if (action === 'merge') return await handleMerge(req, res);
+    return res.status(400).json({ error: 'action must be one of: deactivate, reactivate, promote, move, merge' });
   } catch (err) {
     console.error('[teams] error:', err.message);
-    return res.status(500).json({ error: 'Failed to fetch teams', details: err.message });
+    return res.status(500).json({ error: 'Teams request failed', details: err.message });
   }
 };
@@ -3,7 +3,10 @@
  * Grain Craft Bar + Kitchen — AI Trivia Question Generator
  *
  * POST /api/trivia
- * Requires: Authorization: Bearer <HOST_SECRET>
+ * Requires: Authorization: Bearer <session token from /api/auth>
+ *   Store hosts can only generate location-specific rounds (round2,
+ *   location-night, theme-night) for their own location; when no location is
+ *   given, theirs is used. Shared rounds are open to every host.
  *
  * Body: { mode, weekNumber?, avoidList?, ...options }
  *
@@ -32,19 +35,91 @@
  *              options: { location: string, round2Theme: string, round3Subcategory: string,
  *                         lastCallCategory: string, lightningTopic?: string }
  *              Fires 5 parallel API calls (round1, round2, round3, lightning, lastcall)
+ *              Add stream: true to get each round as it finishes (see below)
  *
  * 'theme-night'  All-theme night — every round explores the same theme from a different angle
  *              options: { theme: string, location: string, lastCallCategory?: string }
  *              Fires 5 parallel API calls with theme-specific prompts
+ *              Add stream: true to get each round as it finishes (see below)
+ *
+ * 'replace'    Swap individual questions in a round, keeping the rest
+ *              options: { round: <a round as returned by this endpoint>,
+ *                         replace: number[] — question numbers, e.g. [9, 10] }
+ *              New questions follow the same round rules, fit the replaced
+ *              question's difficulty slot (Q9–10 in Round 2 are deep cuts) and
+ *              avoid the kept ones. Returns the round with `replaced:
+ *              [{ number, previous }]`; kept questions are untouched.
+ *
+ * Streaming (location-night, theme-night with stream: true): the response is
+ * NDJSON (application/x-ndjson), one JSON object per line —
+ *   { event: 'start', mode, location, ..., rounds: ['round1', ...] }
+ *   { event: 'round', round: 'round3', data: <round> | { error } }  — as each finishes
+ *   { event: 'done', failed }
+ * Without it, the same rounds come back in one body: { ..., rounds, failed }.
+ * Either way, a round still running near Vercel's 60s limit is reported as
+ * failed so the finished ones aren't lost with it.
  *
  * Shared params (all modes):
  *   weekNumber  number   — Week number in season; used to encourage fresh questions
  *   avoidList   string[] — Questions from previous weeks to avoid repeating
+ *   preferBank  boolean  — single rounds and location-night: fill a round from
+ *                          never-asked question-bank questions in the same
+ *                          category when there are enough; otherwise generate it.
+ *                          Pulled questions are reserved so the next pull
+ *                          doesn't hand them out again
+ *   dedupe      string   — 'regenerate' (default) | 'flag' | 'off'; see below
+ *
+ * Repeat check: every round is compared with the whole QuestionLog and the
+ * avoid list using local text similarity (lib/similarity.js), so reworded
+ * repeats are caught, not just identical strings. Each round comes back with
+ *   similarity: {
+ *     checkedAgainst,             — number of past questions compared
+ *     repeats: [{ number, question, verdict: 'duplicate' | 'similar', score,
+ *                 sameAnswer, match: { question, answer, location, week,
+ *                 round, savedAt, source: 'log' | 'avoidList' | 'round' } }],
+ *     regenerated: [{ number, previous, score }]
+ *   }
+ * With dedupe 'regenerate', 'duplicate' questions in single rounds and
+ * location-night are replaced by one extra model call; anything still
+ * repeated stays in `repeats`. Theme nights and bank rounds are only flagged.
+ *
+ * Every generated question is saved to the question bank (see
+ * lib/questionBank.js) and comes back with a `questionId`. Rounds taken from
+ * the bank are marked `fromBank: true`; generated ones carry
+ * `generatedBy: { provider, model }`.
+ *
+ * Every question comes back as
+ *   { number, question, answer, alternates: string[], note, difficulty, questionId }
+ * — alternates are other answers the host should accept, note is a one-line
+ * source or fact for settling disputes, difficulty is 'easy' | 'medium' |
+ * 'hard' (or '' if the model didn't say). They're for the answer key only.
  *
- * Required env vars: ANTHROPIC_API_KEY, HOST_SECRET (+ per-store secrets)
+ * Every round is checked against its schema (lib/roundSchema.js): exact
+ * question count, word limits for round3 and lightning, short lightning
+ * answers, no multiple choice. Questions that break it are sent back to the
+ * model with the specific problems, up to MAX_REPAIR_ATTEMPTS times, and only
+ * those questions are replaced. Rounds report
+ *   validation: { repairAttempts, repaired: [{ number, problems }] }
+ * A round that still fails after that is reported as failed.
+ *
+ * Questions come from the provider configured in lib/generator (the
+ * Anthropic API, or QUESTION_PROVIDER=mock for offline fixtures), with the
+ * model and max_tokens configurable per round and retries on rate limits,
+ * server errors and unparseable replies.
+ *
+ * Required env vars: ANTHROPIC_API_KEY (unless QUESTION_PROVIDER=mock),
+ *                    HOST_SECRET (+ per-store secrets)
  */
 
-const { isValidHostSecret } = require('../lib/auth');
+const { getPrincipal, canAccessLocation, locationForbidden } = require('../lib/auth');
+const { ROUND_META } = require('../lib/rounds');
+const { bankRound, pullFromBank } = require('../lib/questionBank');
+const { questionLog } = require('../lib/storage');
+const { generateJson, describe } = require('../lib/generator');
+const { checkRound, applyRepairs, toQuestions } = require('../lib/roundSchema');
+const {
+  buildIndex, scratchIndex, addToIndex, findRepeat, distinctQuestions,
+} = require('../lib/similarity');
 
 function setCors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -67,7 +142,8 @@ function avoidBlock(weekNumber, avoidList) {
   }
 
   if (Array.isArray(avoidList) && avoidList.length > 0) {
-    // Cap at 30 to keep prompt size reasonable
+    // Cap at 30 to keep prompt size reasonable — the similarity check after
+    // generation covers the whole log, so the prompt only needs a sample
     const sample = avoidList.slice(0, 30);
     lines.push(
       `QUESTIONS ALREADY USED — do not repeat these or ask about the same specific facts:\n` +
@@ -78,14 +154,24 @@ function avoidBlock(weekNumber, avoidList) {
   return lines.length > 0 ? '\n\n' + lines.join('\n\n') : '';
 }
 
+// ─── Answer key block appended to every prompt ───────────────────────────────
+// Hosts settle disputes at the bar from these, so every question carries them
+
+const QUESTION_JSON = '{"question":"...","answer":"...","alternates":["..."],"note":"...","difficulty":"easy|medium|hard"}';
+
+const ANSWER_KEY_RULES = `ANSWER KEY — for the host's eyes only, never read aloud. For every question also give:
+• alternates: other answers the host should accept — spelling variants, full vs. short names, a surname alone where that's enough. [] if only the answer itself is right. Never list answers that are merely close.
+• note: ONE short sentence the host can cite if a team disputes the answer — the source or the fact that settles it
+• difficulty: "easy", "medium" or "hard" — matching the question's place in the difficulty curve`;
+
 // ─── Prompt builders ──────────────────────────────────────────────────────────
 
 function promptRound1(weekNumber, avoidList) {
-  return `You are writing trivia questions for the weekly trivia league at Grain Craft Bar + Kitchen, a craft beer bar and restaurant with three locations in Delaware.
+  return `You are writing trivia questions for the weekly trivia league at Grain Craft Bar + Kitchen, a craft beer bar and restaurant with locations across Delaware.
 
 Generate exactly 10 trivia questions for ROUND 1: GRAIN'S HOUSE ROUND.
 
-This round covers food, drink, craft beer, cocktails, and bar/restaurant culture. It runs the same at all three Grain locations every week and is the signature round of the league.
+This round covers food, drink, craft beer, cocktails, and bar/restaurant culture. It runs the same at every Grain location every week and is the signature round of the league.
 
 REQUIREMENTS:
 • Mix topics across the round: beer styles & brewing process, cocktails & spirits, wine, food & flavor pairing, famous bars/breweries, bar/restaurant culture
@@ -97,8 +183,10 @@ REQUIREMENTS:
 • Fun, conversational bar-trivia voice — not academic or textbook
 • Do NOT write multiple-choice options — this is open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptRound2(location, theme, weekNumber, avoidList) {
@@ -118,8 +206,10 @@ REQUIREMENTS:
 • Good trivia teaches people something — aim for "oh wow, I never would have guessed that" moments
 • Do NOT write multiple-choice options — this is open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptRound3(subcategory, weekNumber, avoidList) {
@@ -134,7 +224,7 @@ function promptRound3(subcategory, weekNumber, avoidList) {
 
 Generate exactly 10 trivia questions for ROUND 3: GENERAL KNOWLEDGE — ${subcategory.toUpperCase()}.
 
-This round covers: ${guidance}. It runs the same at all three Grain locations each week.
+This round covers: ${guidance}. It runs the same at every Grain location each week.
 
 Round 3 has a specific personality: it is the WEIRD round. By this point in the night teams need something surprising. These questions should be harder, stranger, and more memorable than anything in Rounds 1 or 2.
 
@@ -150,8 +240,10 @@ REQUIREMENTS:
 • QUESTION LENGTH: Keep each question TEXT short and punchy — one sentence, 20 words or fewer. Do not use long setups or multi-clause constructions. Bad example: "Although most countries have rivers, there is one nation that uniquely has none at all — what is it?" Good example: "What is the only country in the world with no rivers?" Same weirdness, half the words.
 • Do NOT write multiple-choice options — this is open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptLightning(topic, weekNumber, avoidList) {
@@ -172,14 +264,16 @@ ${topicLine}
 
 REQUIREMENTS for each question:
 • Answers MUST be SHORT — ideally 1–3 words (a name, a number, a year, a place, a single word)
-• Questions must be punchy and quick to read aloud — no long setup, no multi-part questions
+• Questions must be punchy and quick to read aloud — 20 words or fewer, no long setup, no multi-part questions
 • Absolute zero ambiguity in the answer — rapid-fire with no discussion, so the answer must be unmistakable
 • Each question must be fully self-contained — no building on previous questions
 • Avoid questions with multiple defensible answers ("name a..." or "give an example of...")
 • AVOID the obvious: Do not write questions where the answer is the first thing everyone thinks of. Push into the less-visited facts — the second city, the lesser-known record, the surprising number, the unexpected connection${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptLastCall(category, weekNumber, avoidList) {
@@ -205,8 +299,10 @@ REQUIREMENTS:
 • Genuinely challenging but fair — teams should feel they had a real chance if they knew the category
 • Avoid facts so obscure that a team who confidently knows the category would still have no idea${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a single valid JSON object with no markdown fences, no explanation, nothing else:
-{"question":"...","answer":"..."}`;
+${QUESTION_JSON}`;
 }
 
 // ─── Theme Night prompt builders ─────────────────────────────────────────────
@@ -227,8 +323,10 @@ WHAT THIS MEANS IN PRACTICE:
 • Short punchy questions (20 words or fewer ideally)
 • No multiple-choice — open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptThemeRound2(theme, location, weekNumber, avoidList) {
@@ -246,8 +344,10 @@ REQUIREMENTS:
 • Answers: verifiable, specific, unambiguous, short (a name, a year, a title, a place)
 • No multiple-choice — open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptThemeRound3(theme, weekNumber, avoidList) {
@@ -267,8 +367,10 @@ REQUIREMENTS:
 • Answers: unambiguous, verifiable, specific
 • No multiple-choice — open-answer bar trivia${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptThemeLightning(theme, weekNumber, avoidList) {
@@ -284,13 +386,15 @@ Lightning Round rules:
 REQUIREMENTS:
 • ALL 8 questions must clearly be about "${theme}"
 • Answers MUST be SHORT — 1–3 words (a name, a number, a year, a word)
-• Questions must be punchy and fast to read aloud — no long setup, no multi-part questions
+• Questions must be punchy and fast to read aloud — 20 words or fewer, no long setup, no multi-part questions
 • Zero ambiguity in the answer — teams submit all at once with no chance to clarify
 • AVOID the most obvious facts about "${theme}" — go for the second and third tier, the surprising specifics
 • Each question must be fully self-contained${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a valid JSON array with no markdown fences, no explanation, nothing else:
-[{"question":"...","answer":"..."},...]`;
+[${QUESTION_JSON},...]`;
 }
 
 function promptThemeLastCall(theme, lastCallCategory, weekNumber, avoidList) {
@@ -317,84 +421,170 @@ REQUIREMENTS:
 • The answer must be completely unambiguous — no ties, no regional variation, no "either X or Y"
 • Not so obscure that even devoted fans would have zero chance${avoidBlock(weekNumber, avoidList)}
 
+${ANSWER_KEY_RULES}
+
 Return ONLY a single valid JSON object with no markdown fences, no explanation, nothing else:
-{"question":"...","answer":"..."}`;
-}
-
-// ─── Anthropic API call ───────────────────────────────────────────────────────
-
-async function callClaude(prompt) {
-  const resp = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': process.env.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: 'claude-opus-4-5',
-      max_tokens: 4096,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
-
-  if (!resp.ok) {
-    const body = await resp.text();
-    throw new Error(`Anthropic API error ${resp.status}: ${body.slice(0, 200)}`);
-  }
+${QUESTION_JSON}`;
+}
+
+// ─── Repair prompt — re-ask for just the questions that broke the rules ──────
+
+function promptRepair(originalPrompt, slots, violations) {
+  const n = violations.length;
+  const problems = violations.map(v => v.item && typeof v.item === 'object'
+    ? `• Q${v.number}: "${v.item.question ?? ''}" (answer: "${v.item.answer ?? ''}") — ${v.problems.join('; ')}`
+    : `• Q${v.number}: ${v.problems.join('; ')}`);
+  const kept = slots.filter(s => !s.problems.length).map(s => `• ${s.item.question}`);
+
+  return `${originalPrompt}
+
+────────────────────────────────────────
+CORRECTIONS NEEDED — your previous reply broke the rules above for ${n} question${n === 1 ? '' : 's'}:
+${problems.join('\n')}
+${kept.length ? `\nThese questions were fine and are being kept — do not repeat them:\n${kept.join('\n')}\n` : ''}
+Write exactly ${n} replacement question${n === 1 ? '' : 's'} — one for each problem above, in the same order, following every rule in the original request.
+
+Return ONLY a valid JSON array of exactly ${n} item${n === 1 ? '' : 's'} with no markdown fences, no explanation, nothing else:
+[${QUESTION_JSON}]`;
+}
+
+// Difficulty curves from the round prompts, for describing a replaced question's slot
+const DIFFICULTY_SLOTS = {
+  round1: [[1, 3, 'a warm-up most people at a bar night would get'], [4, 7, 'requires real knowledge'], [8, 10, 'should stump most people — niche, insider knowledge']],
+  round2: [[1, 4, 'accessible — casual fans of the theme can get it'], [5, 8, 'requires real knowledge'], [9, 10, 'a deep cut only true fans or people who prepared will know']],
+  round3: [[1, 4, 'hard — no warm-ups in this round'], [5, 10, 'genuinely difficult']],
+};
 
-  const data = await resp.json();
-  const text = (data.content?.[0]?.text || '').trim();
-  const cleaned = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
-  return JSON.parse(cleaned);
+function difficultySlot(roundKey, number) {
+  const slot = (DIFFICULTY_SLOTS[roundKey] || []).find(([from, to]) => number >= from && number <= to);
+  return slot ? `Q${slot[0]}–${slot[1]}: ${slot[2]}` : 'same difficulty as the rest of the round';
+}
+
+function promptReplace(originalPrompt, roundKey, slots, targets) {
+  const n = targets.length;
+  const swaps = targets.map(t => `• Q${t.number} (${difficultySlot(roundKey, t.number)}) — replacing: "${t.item.question}"`);
+  const kept = slots.filter((s, i) => !targets.some(t => t.number === i + 1)).map(s => `• ${s.item.question}`);
+
+  return `${originalPrompt}
+
+────────────────────────────────────────
+REPLACEMENTS NEEDED — the host is swapping out ${n} question${n === 1 ? '' : 's'} from this round and keeping the rest:
+${swaps.join('\n')}
+${kept.length ? `\nThese questions are staying in the round — do not repeat them or ask about the same facts:\n${kept.join('\n')}\n` : ''}
+Write exactly ${n} new question${n === 1 ? '' : 's'} — one for each slot above, in the same order. Each must be about something different from the question it replaces, match its slot's difficulty, and follow every rule in the original request.
+
+Return ONLY a valid JSON array of exactly ${n} item${n === 1 ? '' : 's'} with no markdown fences, no explanation, nothing else:
+[${QUESTION_JSON}]`;
 }
 
 // ─── Round generation ─────────────────────────────────────────────────────────
 
-const ROUND_META = {
-  round1:    { title: "Grain's House Round",  pointsEach: 1 },
-  round2:    { title: 'Weekly Theme',          pointsEach: 1 },
-  round3:    { title: 'General Knowledge',     pointsEach: 1 },
-  lightning: { title: 'Lightning Round',       pointsEach: 2 },
-  lastcall:  { title: 'Last Call',             pointsEach: 'wagered' },
-};
+const MAX_REPAIR_ATTEMPTS = 2;
 
-async function generateRound(mode, opts = {}, weekNumber, avoidList) {
-  let prompt;
+/**
+ * Generate one round's questions and validate them against the round's
+ * schema, re-prompting for only the invalid ones. Returns
+ * { questions, validation: { repairAttempts, repaired } }, or throws with the
+ * remaining problems if repairs run out.
+ */
+async function generateQuestions(roundKey, prompt) {
+  const count = ROUND_META[roundKey].questionCount;
+  const checked = checkRound(roundKey, await generateJson(prompt, { round: roundKey, count }));
+  return repairQuestions(roundKey, prompt, checked);
+}
+
+/**
+ * Swap the questions numbered `numbers` for new ones that fit the same
+ * difficulty slots, keeping the rest. Returns the same shape as
+ * generateQuestions.
+ */
+async function replaceQuestions(roundKey, prompt, questions, numbers) {
+  const slots = questions.map(q => ({ item: q, problems: [] }));
+  const targets = numbers.map(n => ({ number: n, item: questions[n - 1] }));
+  const raw = await generateJson(promptReplace(prompt, roundKey, slots, targets), { round: roundKey, count: numbers.length });
+
+  // applyRepairs fills the slots that have problems — mark the ones being replaced
+  const marked = slots.map((slot, i) => (numbers.includes(i + 1) ? { ...slot, problems: ['replaced'] } : slot));
+  return repairQuestions(roundKey, prompt, applyRepairs(roundKey, marked, raw));
+}
+
+/** Re-prompt for invalid questions until the round is valid or attempts run out. */
+async function repairQuestions(roundKey, prompt, { slots, violations }) {
+  const repaired = [];
+  let repairAttempts = 0;
+
+  while (violations.length && repairAttempts < MAX_REPAIR_ATTEMPTS) {
+    repairAttempts++;
+    for (const v of violations) {
+      if (!repaired.some(r => r.number === v.number)) repaired.push({ number: v.number, problems: v.problems });
+    }
+    const raw = await generateJson(promptRepair(prompt, slots, violations), { round: roundKey, count: violations.length });
+    ({ slots, violations } = applyRepairs(roundKey, slots, raw));
+  }
+
+  if (violations.length) {
+    const summary = violations.slice(0, 3).map(v => `Q${v.number}: ${v.problems.join('; ')}`).join(' · ')
+      + (violations.length > 3 ? ` · and ${violations.length - 3} more` : '');
+    throw new Error(`${ROUND_META[roundKey].title} failed validation after ${repairAttempts} repair attempts — ${summary}`);
+  }
+
+  return { questions: toQuestions(slots), validation: { repairAttempts, repaired } };
+}
+
+function roundPrompt(mode, opts, weekNumber, avoidList) {
   switch (mode) {
-    case 'round1':    prompt = promptRound1(weekNumber, avoidList);                              break;
-    case 'round2':    prompt = promptRound2(opts.location, opts.theme, weekNumber, avoidList);   break;
-    case 'round3':    prompt = promptRound3(opts.subcategory, weekNumber, avoidList);            break;
-    case 'lightning': prompt = promptLightning(opts.topic, weekNumber, avoidList);              break;
-    case 'lastcall':  prompt = promptLastCall(opts.category, weekNumber, avoidList);            break;
+    case 'round1':    return promptRound1(weekNumber, avoidList);
+    case 'round2':    return promptRound2(opts.location, opts.theme, weekNumber, avoidList);
+    case 'round3':    return promptRound3(opts.subcategory, weekNumber, avoidList);
+    case 'lightning': return promptLightning(opts.topic, weekNumber, avoidList);
+    case 'lastcall':  return promptLastCall(opts.category, weekNumber, avoidList);
     default: throw new Error(`Unknown mode: ${mode}`);
   }
+}
 
-  let raw = await callClaude(prompt);
+/** The prompt an existing round was generated from, rebuilt from its fields. */
+function promptForRound(round, weekNumber, avoidList) {
+  const { theme, location, category } = round;
+  if (round.themeNight) {
+    switch (round.round) {
+      case 'round1':    return promptThemeRound1(theme, weekNumber, avoidList);
+      case 'round2':    return promptThemeRound2(theme, location, weekNumber, avoidList);
+      case 'round3':    return promptThemeRound3(theme, weekNumber, avoidList);
+      case 'lightning': return promptThemeLightning(theme, weekNumber, avoidList);
+      case 'lastcall':  return promptThemeLastCall(theme, category, weekNumber, avoidList);
+    }
+  }
+  // categoryFor() turned these options into the round's category
+  const opts = {
+    location,
+    theme: category,
+    subcategory: category,
+    topic: category === 'Mixed Topics' ? '' : category,
+    category,
+  };
+  return roundPrompt(round.round, opts, weekNumber, avoidList);
+}
 
-  // Last Call returns a single object — normalize to array
-  if (!Array.isArray(raw)) raw = [raw];
+async function generateRound(mode, opts = {}, weekNumber, avoidList) {
+  const prompt = roundPrompt(mode, opts, weekNumber, avoidList);
+  const { questions, validation } = await generateQuestions(mode, prompt);
 
-  const questions = raw.map((q, i) => {
-    if (!q.question || !q.answer) throw new Error(`Question ${i + 1} missing question or answer`);
-    return {
-      number: i + 1,
-      question: String(q.question).trim(),
-      answer: String(q.answer).trim(),
-    };
-  });
+  return { ...roundResult(mode, opts, questions), validation, generatedBy: describe(mode) };
+}
 
-  const category =
-    mode === 'round1'    ? 'Food, Drink & Craft Beer' :
-    mode === 'round2'    ? (opts.theme || 'Weekly Theme') :
-    mode === 'round3'    ? (opts.subcategory || 'General Knowledge') :
-    mode === 'lightning' ? (opts.topic || 'Mixed Topics') :
-    mode === 'lastcall'  ? (opts.category || 'General Knowledge') : '';
+function categoryFor(mode, opts) {
+  return mode === 'round1'    ? 'Food, Drink & Craft Beer' :
+         mode === 'round2'    ? (opts.theme || 'Weekly Theme') :
+         mode === 'round3'    ? (opts.subcategory || 'General Knowledge') :
+         mode === 'lightning' ? (opts.topic || 'Mixed Topics') :
+         mode === 'lastcall'  ? (opts.category || 'General Knowledge') : '';
+}
 
+function roundResult(mode, opts, questions) {
   return {
     round: mode,
     title: ROUND_META[mode].title,
-    category,
+    category: categoryFor(mode, opts),
     pointsEach: ROUND_META[mode].pointsEach,
     questionCount: questions.length,
     questions,
@@ -406,36 +596,277 @@ async function generateRound(mode, opts = {}, weekNumber, avoidList) {
   };
 }
 
+// ─── Question bank ────────────────────────────────────────────────────────────
+
+/** Save a generated round to the question bank. Never fails the request. */
+async function saveToBank(round) {
+  try {
+    await bankRound(round);
+  } catch (err) {
+    console.error('[trivia] bank save failed:', err.message);
+  }
+  return round;
+}
+
+/**
+ * A full round of never-asked bank questions in the same category, or null
+ * when the bank doesn't have enough (or can't be read).
+ */
+async function roundFromBank(mode, opts, avoidList) {
+  try {
+    const { questions } = await pullFromBank(mode, {
+      count: ROUND_META[mode].questionCount,
+      category: categoryFor(mode, opts),
+      location: opts.location,
+      exclude: avoidList,
+    });
+    return questions.length ? { ...roundResult(mode, opts, questions), fromBank: true } : null;
+  } catch (err) {
+    console.error('[trivia] bank pull failed:', err.message);
+    return null;
+  }
+}
+
+// ─── Repeat check ─────────────────────────────────────────────────────────────
+
+const DEDUPE_MODES = ['regenerate', 'flag', 'off'];
+
+/**
+ * Similarity index over every logged question plus the request's avoid list.
+ * Returns null if the log can't be read — the check is skipped, not fatal.
+ */
+async function loadRepeatIndex(avoidList) {
+  try {
+    const rows = await questionLog.list();
+    return buildIndex([
+      ...rows.map(r => ({
+        question: r.question, answer: r.answer, location: r.location, week: r.week,
+        round: r.round, savedAt: r.savedAt, source: 'log',
+      })),
+      ...avoidList.map(question => ({ question, source: 'avoidList' })),
+    ]);
+  } catch (err) {
+    console.error('[trivia] repeat check unavailable:', err.message);
+    return null;
+  }
+}
+
+/** Compare each question with the index and with the round's earlier questions. */
+function findRepeats(questions, index) {
+  const earlier = scratchIndex(index);
+  const repeats = [];
+  for (const q of questions) {
+    const repeat = findRepeat(index, q) || findRepeat(earlier, q);
+    if (repeat) {
+      const { verdict, score, sameAnswer, match } = repeat;
+      repeats.push({ number: q.number, question: q.question, verdict, score, sameAnswer, match });
+    }
+    addToIndex(earlier, { question: q.question, answer: q.answer, round: 'this round', source: 'round' });
+  }
+  return repeats;
+}
+
+/**
+ * Attach the similarity report to `round`. With `regenerate`, duplicates are
+ * swapped (same question numbers) for clean questions from one more
+ * generation of the same round.
+ */
+async function checkRepeats(round, index, regenerate) {
+  let repeats = findRepeats(round.questions, index);
+  const regenerated = [];
+  const duplicates = repeats.filter(r => r.verdict === 'duplicate');
+
+  if (regenerate && duplicates.length) {
+    try {
+      const fresh = await regenerate([
+        ...duplicates.map(d => d.question),
+        ...duplicates.map(d => d.match.question),
+      ]);
+      const keep = round.questions.filter(q => !duplicates.some(d => d.number === q.number));
+      const local = scratchIndex(index);
+      keep.forEach(q => addToIndex(local, q));
+
+      const spares = fresh.questions.filter(q => {
+        if (findRepeat(index, q) || findRepeat(local, q)) return false;
+        addToIndex(local, q);
+        return true;
+      });
+
+      round.questions = round.questions.map(q => {
+        const dupe = duplicates.find(d => d.number === q.number);
+        if (!dupe || spares.length === 0) return q;
+        regenerated.push({ number: q.number, previous: q.question, score: dupe.score });
+        return { ...spares.shift(), number: q.number };
+      });
+      if (regenerated.length) repeats = findRepeats(round.questions, index);
+    } catch (err) {
+      console.error('[trivia] repeat regeneration failed:', err.message);
+    }
+  }
+
+  round.similarity = { checkedAgainst: index.size, repeats, regenerated };
+  return round;
+}
+
+/**
+ * One round — from the bank when asked to and possible, otherwise generated —
+ * then checked for repeats and (if generated) saved to the bank.
+ */
+async function buildRound(mode, opts, weekNumber, avoidList, { preferBank, dedupe, repeatIndex }) {
+  const banked = preferBank ? await roundFromBank(mode, opts, avoidList) : null;
+  if (banked) {
+    return repeatIndex ? checkRepeats(banked, repeatIndex, null) : banked;
+  }
+
+  const round = await generateRound(mode, opts, weekNumber, avoidList);
+  if (repeatIndex) {
+    const regenerate = dedupe === 'regenerate'
+      ? extraAvoid => generateRound(mode, opts, weekNumber, [...extraAvoid, ...avoidList])
+      : null;
+    await checkRepeats(round, repeatIndex, regenerate);
+  }
+  return saveToBank(round);
+}
+
+// ─── Full nights ──────────────────────────────────────────────────────────────
+
+// Vercel kills api/trivia.js at 60s (vercel.json). Rounds still running this
+// long after the request arrived are reported as failed so the rest of the
+// night gets delivered — the clock includes reading the QuestionLog first.
+const NIGHT_DEADLINE_MS = 55 * 1000;
+const NIGHT_TIMEOUT_ERROR = 'Timed out before this round finished — retry it on its own';
+
+/**
+ * Run a night's rounds in parallel. `tasks` maps round key → async function
+ * returning the round. onRound(key, result) is called as each settles, with
+ * the round or { error }. `startedAt` (ms) is when the request arrived; the
+ * deadline counts from then. Returns every result, keyed in task order.
+ */
+async function runNight(tasks, onRound, startedAt) {
+  const results = {};
+  const settle = (key, result) => {
+    if (key in results) return;  // already reported as timed out
+    results[key] = result;
+    onRound(key, result);
+  };
+
+  let timer;
+  const remaining = Math.max(0, startedAt + NIGHT_DEADLINE_MS - Date.now());
+  const deadline = new Promise(resolve => { timer = setTimeout(resolve, remaining); });
+  await Promise.race([
+    Promise.all(Object.entries(tasks).map(([key, run]) => run()
+      .then(round => settle(key, round))
+      .catch(err => settle(key, { error: err.message })))),
+    deadline,
+  ]);
+  clearTimeout(timer);
+
+  for (const key of Object.keys(tasks)) settle(key, { error: NIGHT_TIMEOUT_ERROR });
+  return Object.fromEntries(Object.keys(tasks).map(key => [key, results[key]]));
+}
+
+/**
+ * Respond with a full night: one JSON body once every round is done, or —
+ * with `stream` — NDJSON lines as each round finishes:
+ *   { event: 'start', ...summary, rounds: [roundKey, ...] }
+ *   { event: 'round', round: roundKey, data: <round> | { error } }   × 5
+ *   { event: 'done', failed }
+ * `startedAt` is when the request arrived (see runNight).
+ */
+async function sendNight(res, stream, tasks, summary, startedAt) {
+  const countFailed = rounds => Object.values(rounds).filter(r => r.error).length;
+
+  if (!stream) {
+    const rounds = await runNight(tasks, () => {}, startedAt);
+    return res.status(200).json({ ...summary, rounds, failed: countFailed(rounds) });
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  const send = event => res.write(`${JSON.stringify(event)}\n`);
+
+  send({ event: 'start', ...summary, rounds: Object.keys(tasks) });
+  const rounds = await runNight(tasks, (round, data) => send({ event: 'round', round, data }), startedAt);
+  send({ event: 'done', failed: countFailed(rounds) });
+  return res.end();
+}
+
+/** Error message for a malformed replace request, or null. */
+function checkReplaceRequest(round, replace) {
+  if (!round || typeof round !== 'object' || !ROUND_META[round.round]) {
+    return `round must be a round returned by this endpoint (round: ${Object.keys(ROUND_META).join(', ')})`;
+  }
+  const count = ROUND_META[round.round].questionCount;
+  if (!Array.isArray(round.questions) || round.questions.length !== count
+      || round.questions.some(q => !q || typeof q.question !== 'string' || typeof q.answer !== 'string')) {
+    return `round.questions must be the round's ${count} { number, question, answer } questions`;
+  }
+  if (round.themeNight && !round.theme) return 'round.theme is required for theme-night rounds';
+  if (round.round === 'round2' && !round.location) return 'round.location is required for round2';
+  if (!Array.isArray(replace) || replace.length === 0) {
+    return 'replace must be a non-empty array of question numbers';
+  }
+  if (replace.some(n => !Number.isInteger(Number(n)) || n < 1 || n > count)) {
+    return `replace must contain question numbers from 1 to ${count}`;
+  }
+  return null;
+}
+
 // ─── Handler ──────────────────────────────────────────────────────────────────
 
 module.exports = async function handler(req, res) {
+  const startedAt = Date.now();
   setCors(res);
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  if (!isValidHostSecret(req.headers['authorization'])) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+  try {
+    const principal = await getPrincipal(req);
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
 
-  const body = req.body || {};
-  const { mode, weekNumber, avoidList } = body;
+    const body = { ...(req.body || {}) };
+    const { mode, weekNumber, avoidList, preferBank, dedupe = 'regenerate' } = body;
 
-  // Normalize avoidList: accept a string (newline-separated) or array
-  let avoid = [];
-  if (Array.isArray(avoidList)) {
-    avoid = avoidList.filter(Boolean);
-  } else if (typeof avoidList === 'string') {
-    avoid = avoidList.split('\n').map(s => s.trim()).filter(Boolean);
-  }
+    // Normalize avoidList: accept a string (newline-separated) or array
+    let avoid = [];
+    if (Array.isArray(avoidList)) {
+      avoid = avoidList.filter(Boolean);
+    } else if (typeof avoidList === 'string') {
+      avoid = avoidList.split('\n').map(s => s.trim()).filter(Boolean);
+    }
+    // Reworded copies would waste the prompt's limited avoid-list slots
+    avoid = distinctQuestions(avoid);
 
-  const VALID_MODES = ['round1', 'round2', 'round3', 'lightning', 'lastcall', 'location-night', 'theme-night'];
-  if (!VALID_MODES.includes(mode)) {
-    return res.status(400).json({
-      error: `Invalid mode. Must be one of: ${VALID_MODES.join(', ')}`,
-    });
-  }
+    const VALID_MODES = ['round1', 'round2', 'round3', 'lightning', 'lastcall', 'location-night', 'theme-night', 'replace'];
+    if (!VALID_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Must be one of: ${VALID_MODES.join(', ')}`,
+      });
+    }
+    if (!DEDUPE_MODES.includes(dedupe)) {
+      return res.status(400).json({ error: `dedupe must be one of: ${DEDUPE_MODES.join(', ')}` });
+    }
+
+    // Location-specific modes are scoped to the host's own store
+    const LOCATION_MODES = ['round2', 'location-night', 'theme-night'];
+    if (mode === 'replace') {
+      const location = body.round?.location;
+      if (location && !canAccessLocation(principal, location)) {
+        return res.status(403).json({ error: locationForbidden(principal) });
+      }
+    } else if (LOCATION_MODES.includes(mode)) {
+      if (!body.location && principal.location) body.location = principal.location;
+      if (body.location && !canAccessLocation(principal, body.location)) {
+        return res.status(403).json({ error: locationForbidden(principal) });
+      }
+    }
+
+    const repeatIndex = dedupe === 'off' ? null : await loadRepeatIndex(avoid);
+    const roundOpts = { preferBank: preferBank === true, dedupe, repeatIndex };
 
-  try {
     // ── Location night: one location's full set, 5 parallel calls ───────────
     if (mode === 'location-night') {
       const {
@@ -448,21 +879,15 @@ module.exports = async function handler(req, res) {
 
       if (!location) return res.status(400).json({ error: 'location is required for location-night mode' });
 
-      const gen = (m, opts) => generateRound(m, opts, weekNumber, avoid)
-        .then(d => ({ ok: true, data: d }))
-        .catch(err => ({ ok: false, error: err.message, round: m }));
-
-      const [round1, round2, round3, lightning, lastcall] = await Promise.all([
-        gen('round1',    {}),
-        gen('round2',    { location, theme: round2Theme || 'General Knowledge' }),
-        gen('round3',    { subcategory: round3Subcategory }),
-        gen('lightning', { topic: lightningTopic }),
-        gen('lastcall',  { category: lastCallCategory }),
-      ]);
-
-      const failed = [round1, round2, round3, lightning, lastcall].filter(r => !r.ok).length;
+      const gen = (m, opts) => () => buildRound(m, opts, weekNumber, avoid, roundOpts);
 
-      return res.status(200).json({
+      return sendNight(res, body.stream === true, {
+        round1:    gen('round1',    {}),
+        round2:    gen('round2',    { location, theme: round2Theme || 'General Knowledge' }),
+        round3:    gen('round3',    { subcategory: round3Subcategory }),
+        lightning: gen('lightning', { topic: lightningTopic }),
+        lastcall:  gen('lastcall',  { category: lastCallCategory }),
+      }, {
         mode: 'location-night',
         location,
         week: weekNumber || null,
@@ -475,15 +900,7 @@ module.exports = async function handler(req, res) {
           maxBaseScore: 46,
           lastCall: 'Wager 1–full score',
         },
-        rounds: {
-          round1:    round1.ok    ? round1.data    : { error: round1.error },
-          round2:    round2.ok    ? round2.data    : { error: round2.error },
-          round3:    round3.ok    ? round3.data    : { error: round3.error },
-          lightning: lightning.ok ? lightning.data : { error: lightning.error },
-          lastcall:  lastcall.ok  ? lastcall.data  : { error: lastcall.error },
-        },
-        failed,
-      });
+      }, startedAt);
     }
 
     // ── Theme night: all 5 rounds share one theme ─────────────────────────────
@@ -494,85 +911,79 @@ module.exports = async function handler(req, res) {
 
       const lcCategory = lastCallCategory || theme;
 
-      const gen = (label, promptFn) => promptFn()
-        .then(async prompt => {
-          let raw = await callClaude(prompt);
-          if (!Array.isArray(raw)) raw = [raw];
-          const questions = raw.map((q, i) => ({
-            number: i + 1,
-            question: String(q.question).trim(),
-            answer: String(q.answer).trim(),
-          }));
-          return { ok: true, data: { round: label, ...questions } };
-        })
-        .catch(err => ({ ok: false, error: err.message, round: label }));
-
       // Build individual results with full metadata
-      const makeResult = async (roundKey, title, category, pointsEach, prompt, loc) => {
-        try {
-          let raw = await callClaude(prompt);
-          if (!Array.isArray(raw)) raw = [raw];
-          const questions = raw.map((q, i) => ({
-            number: i + 1,
-            question: String(q.question).trim(),
-            answer: String(q.answer).trim(),
-          }));
-          return {
-            ok: true,
-            data: {
-              round: roundKey,
-              title,
-              category,
-              pointsEach,
-              questionCount: questions.length,
-              questions,
-              themeNight: true,
-              theme,
-              ...(loc ? { location: loc } : {}),
-              ...(roundKey === 'lastcall' ? {
-                lastCallNotes: 'Announce category only first. Teams wager before hearing the question.',
-              } : {}),
-              generatedAt: new Date().toISOString(),
-            },
-          };
-        } catch (err) {
-          return { ok: false, error: err.message, round: roundKey };
-        }
+      const makeResult = (roundKey, title, category, pointsEach, prompt, loc) => async () => {
+        const { questions, validation } = await generateQuestions(roundKey, prompt);
+        const round = {
+          round: roundKey,
+          title,
+          category,
+          pointsEach,
+          questionCount: questions.length,
+          questions,
+          themeNight: true,
+          theme,
+          ...(loc ? { location: loc } : {}),
+          ...(roundKey === 'lastcall' ? {
+            lastCallNotes: 'Announce category only first. Teams wager before hearing the question.',
+          } : {}),
+          validation,
+          generatedBy: describe(roundKey),
+          generatedAt: new Date().toISOString(),
+        };
+        if (repeatIndex) await checkRepeats(round, repeatIndex, null);
+        return saveToBank(round);
       };
 
-      const [round1, round2, round3, lightning, lastcall] = await Promise.all([
-        makeResult('round1',    `Grain's House Round: ${theme}`, `${theme} — Food & Drink Angle`, 1,          promptThemeRound1(theme, weekNumber, avoid)),
-        makeResult('round2',    `Theme Round: ${theme}`,          theme,                           1,          promptThemeRound2(theme, location, weekNumber, avoid), location),
-        makeResult('round3',    `The Weird Side: ${theme}`,       `${theme} — Strange Facts`,      1,          promptThemeRound3(theme, weekNumber, avoid)),
-        makeResult('lightning', `Lightning Round: ${theme}`,      theme,                           2,          promptThemeLightning(theme, weekNumber, avoid)),
-        makeResult('lastcall',  'Last Call',                       lcCategory,                      'wagered',  promptThemeLastCall(theme, lcCategory, weekNumber, avoid)),
-      ]);
-
-      const failed = [round1, round2, round3, lightning, lastcall].filter(r => !r.ok).length;
-
-      return res.status(200).json({
+      return sendNight(res, body.stream === true, {
+        round1:    makeResult('round1',    `Grain's House Round: ${theme}`, `${theme} — Food & Drink Angle`, 1,          promptThemeRound1(theme, weekNumber, avoid)),
+        round2:    makeResult('round2',    `Theme Round: ${theme}`,          theme,                           1,          promptThemeRound2(theme, location, weekNumber, avoid), location),
+        round3:    makeResult('round3',    `The Weird Side: ${theme}`,       `${theme} — Strange Facts`,      1,          promptThemeRound3(theme, weekNumber, avoid)),
+        lightning: makeResult('lightning', `Lightning Round: ${theme}`,      theme,                           2,          promptThemeLightning(theme, weekNumber, avoid)),
+        lastcall:  makeResult('lastcall',  'Last Call',                       lcCategory,                      'wagered',  promptThemeLastCall(theme, lcCategory, weekNumber, avoid)),
+      }, {
         mode: 'theme-night',
         theme,
         location,
         week: weekNumber || null,
         generatedAt: new Date().toISOString(),
-        rounds: {
-          round1:    round1.ok    ? round1.data    : { error: round1.error },
-          round2:    round2.ok    ? round2.data    : { error: round2.error },
-          round3:    round3.ok    ? round3.data    : { error: round3.error },
-          lightning: lightning.ok ? lightning.data : { error: lightning.error },
-          lastcall:  lastcall.ok  ? lastcall.data  : { error: lastcall.error },
-        },
-        failed,
-      });
+      }, startedAt);
+    }
+
+    // ── Replace: swap chosen questions, keep the rest ─────────────────────────
+    if (mode === 'replace') {
+      const { round, replace } = body;
+      const invalid = checkReplaceRequest(round, replace);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const numbers = [...new Set(replace.map(Number))].sort((a, b) => a - b);
+      const removed = numbers.map(n => round.questions[n - 1].question);
+      const prompt = promptForRound(round, weekNumber, [...avoid, ...removed]);
+
+      const { questions, validation } = await replaceQuestions(round.round, prompt, round.questions, numbers);
+      const result = {
+        ...round,
+        // Kept questions keep their questionId; new ones get one when banked
+        questions: questions.map((q, i) => (numbers.includes(q.number) ? q : { ...round.questions[i], number: q.number })),
+        replaced: numbers.map((n, i) => ({ number: n, previous: removed[i] })),
+        validation,
+        generatedBy: describe(round.round),
+      };
+      if (repeatIndex) await checkRepeats(result, repeatIndex, null);
+      return res.status(200).json(await saveToBank(result));
     }
 
     // ── Single round ─────────────────────────────────────────────────────────
-    const result = await generateRound(mode, body, weekNumber, avoid);
+    const result = await buildRound(mode, body, weekNumber, avoid, roundOpts);
     return res.status(200).json(result);
 
   } catch (err) {
     console.error('[trivia]', err.message);
+    if (res.headersSent) {
+      // Mid-stream — the status is already sent, so report it as an event
+      res.write(`${JSON.stringify({ event: 'error', error: 'Failed to generate questions', details: err.message })}\n`);
+      return res.end();
+    }
     return res.status(500).json({ error: 'Failed to generate questions', details: err.message });
   }
 };
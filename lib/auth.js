@@ -1,24 +1,323 @@
 /**
  * lib/auth.js
- * Shared auth helper — accepts any valid host secret.
- * Returns true if the Authorization header matches HOST_SECRET,
- * MAIN_STREET_SECRET, EXCHANGE_SECRET, or H2O_SECRET.
+ * Shared authorization helpers — host logins and signed session tokens.
+ *
+ * A host secret resolves to a principal: { role: 'admin'|'host', location }.
+ *   HOST_SECRET            → { role: 'admin', location: null }  — every location
+ *   a location's host key  → { role: 'host',  location: <that location's name> }
+ * Host keys come from the Locations table (see lib/locations.js); inactive
+ * locations can't log in.
+ *
+ * Secrets are only sent once, to POST /api/auth, which trades them for a
+ * short-lived session token. Every other endpoint takes
+ * `Authorization: Bearer <token>`.
+ *
+ * Tokens are `<payload>.<signature>`, both base64url. The payload carries
+ * { role, location, iat, exp, kv }, signed with HMAC-SHA256 using a key
+ * derived from AUTH_SIGNING_KEY, the principal's scope ('admin' or the
+ * location name) and that scope's key version (kv). Bumping the version
+ * (rotateSigningKey) invalidates every outstanding token for the scope —
+ * that's how logout and revocation work.
+ *
+ * Env vars:
+ *   AUTH_SIGNING_KEY        — secret for signing tokens (falls back to HOST_SECRET)
+ *   AUTH_TOKEN_TTL_MINUTES  — token lifetime (default 60)
+ *   CRON_SECRET             — Vercel Cron sends it as a bearer token (isCronRequest)
+ *
+ * Store hosts may only act for their own location; admins may do anything.
+ *
+ * Everything else gets a scoped token (issueScopedToken / verifyScopedToken),
+ * signed under '<scope>:<subject>' so it only works for that one thing and
+ * is never accepted as a host session:
+ *   team token   (issueTeamToken / getTeam) — 'game:<gameId>', carrying
+ *                { gameId, teamId, deviceKey }, for teams playing from phones
+ *   email token  (issueEmailToken / verifyEmailToken) — 'email:<teamId>',
+ *                carrying { teamId, email }, proving the captain can read
+ *                mail at that address
+ *   RSVP token   (issueRsvpToken / verifyRsvpToken) — 'rsvp:<teamId>',
+ *                carrying { teamId }, in weekly RSVP reminders
+ *
+ * Typical handler usage:
+ *   const principal = await getPrincipal(req);
+ *   if (!principal) return res.status(401).json({ error: 'Unauthorized' });
+ *   if (!canAccessLocation(principal, location)) {
+ *     return res.status(403).json({ error: locationForbidden(principal) });
+ *   }
  */
 
-function isValidHostSecret(authHeader) {
-  const bearer = (authHeader || '').trim();
-  if (!bearer.startsWith('Bearer ')) return false;
-  const secret = bearer.slice(7);
-  if (!secret) return false;
+const crypto = require('crypto');
+const { settings } = require('./storage');
+const { listLocations, hostKeyMatches } = require('./locations');
 
-  const valid = [
-    process.env.HOST_SECRET,
-    process.env.MAIN_STREET_SECRET,
-    process.env.EXCHANGE_SECRET,
-    process.env.H2O_SECRET,
-  ].filter(Boolean);
+// Key versions are cached briefly so every request doesn't hit storage;
+// a revocation takes effect on other instances within this window.
+const KEY_VERSION_CACHE_MS = 30 * 1000;
+const keyVersionCache = new Map();
 
-  return valid.includes(secret);
+/** Resolve a raw secret to { role, location }, or null if it matches nothing. */
+async function resolveSecret(secret) {
+  const s = (secret || '').trim();
+  if (!s) return null;
+  if (process.env.HOST_SECRET && safeEqual(s, process.env.HOST_SECRET)) {
+    return { role: 'admin', location: null };
+  }
+  const match = (await listLocations()).find((l) => hostKeyMatches(l, s));
+  return match ? { role: 'host', location: match.name } : null;
 }
 
-module.exports = { isValidHostSecret };
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// ─── Tokens ───────────────────────────────────────────────────────────────────
+
+function tokenTtlSeconds() {
+  return (parseInt(process.env.AUTH_TOKEN_TTL_MINUTES, 10) || 60) * 60;
+}
+
+/** 'admin' for admins, otherwise the host's location. */
+function scopeOf(principal) {
+  return principal.role === 'admin' ? 'admin' : principal.location;
+}
+
+async function keyVersion(scope, { fresh = false } = {}) {
+  const cached = keyVersionCache.get(scope);
+  if (!fresh && cached && Date.now() - cached.fetchedAt < KEY_VERSION_CACHE_MS) {
+    return cached.version;
+  }
+  const version = parseInt(await settings.get(`signingKeyVersion:${scope}`), 10) || 1;
+  keyVersionCache.set(scope, { version, fetchedAt: Date.now() });
+  return version;
+}
+
+function signingKey(scope, version) {
+  const base = process.env.AUTH_SIGNING_KEY || process.env.HOST_SECRET;
+  if (!base) throw new Error('AUTH_SIGNING_KEY (or HOST_SECRET) must be set to sign session tokens');
+  return crypto.createHmac('sha256', base).update(`${scope}:${version}`).digest();
+}
+
+function sign(scope, version, data) {
+  return crypto.createHmac('sha256', signingKey(scope, version)).update(data).digest('base64url');
+}
+
+/** Split a token into its parts and decode the claims; null if malformed. */
+function readToken(token) {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? { payload, signature, claims } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Issue a session token for a principal.
+ * Returns { token, expiresAt } (expiresAt is an ISO string).
+ */
+async function issueToken(principal) {
+  const scope = scopeOf(principal);
+  const kv = await keyVersion(scope);
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + tokenTtlSeconds();
+
+  const payload = Buffer.from(JSON.stringify({
+    role: principal.role, location: principal.location, iat, exp, kv,
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(scope, kv, payload)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a session token. Returns { role, location, exp } or null when the
+ * token is malformed, tampered with, expired or revoked.
+ */
+async function verifyToken(token) {
+  const { payload, signature, claims } = readToken(token) || {};
+  if (!claims || !['admin', 'host'].includes(claims.role)) return null;
+  if (claims.role === 'host' && !claims.location) return null;
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+
+  const principal = { role: claims.role, location: claims.role === 'admin' ? null : claims.location };
+  const scope = scopeOf(principal);
+  if (claims.kv !== await keyVersion(scope)) return null;
+  if (!safeEqual(signature, sign(scope, claims.kv, payload))) return null;
+
+  return { ...principal, exp: claims.exp };
+}
+
+/**
+ * Invalidate every outstanding token for a scope ('admin' or a location
+ * name) by bumping its signing key version.
+ */
+async function rotateSigningKey(scope) {
+  const next = (await keyVersion(scope, { fresh: true })) + 1;
+  await settings.set(`signingKeyVersion:${scope}`, next);
+  keyVersionCache.set(scope, { version: next, fetchedAt: Date.now() });
+  return next;
+}
+
+// ─── Scoped tokens ────────────────────────────────────────────────────────────
+
+// The claim each kind of scoped token is signed for: a team token only works
+// for its game, an email or RSVP token only for its team
+const TOKEN_SUBJECTS = { game: 'gameId', email: 'teamId', rsvp: 'teamId' };
+
+/**
+ * Issue a token of one kind ('game', 'email' or 'rsvp') carrying `claims`,
+ * signed under '<scope>:<subject>' so it is never accepted as anything else.
+ * Returns { token, expiresAt }.
+ */
+function issueScopedToken(scope, claims, ttlSeconds) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ role: scope, ...claims, iat, exp })).toString('base64url');
+  return {
+    token: `${payload}.${sign(`${scope}:${claims[TOKEN_SUBJECTS[scope]]}`, 1, payload)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a token issued by issueScopedToken for `scope`. Returns its claims
+ * (with exp) or null when it is malformed, tampered with, expired or of
+ * another kind.
+ */
+function verifyScopedToken(scope, token) {
+  const { payload, signature, claims } = readToken(token) || {};
+  const subject = claims?.[TOKEN_SUBJECTS[scope]];
+  if (!claims || claims.role !== scope || !subject) return null;
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  if (!safeEqual(signature, sign(`${scope}:${subject}`, 1, payload))) return null;
+  return claims;
+}
+
+// ─── Team tokens ──────────────────────────────────────────────────────────────
+
+// Long enough for a whole night, short enough that last week's link is dead
+const TEAM_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Issue a token letting one team submit answers to one game, from the phone
+ * that joined with `deviceKey` (see api/play.js).
+ * Returns { token, expiresAt }.
+ */
+function issueTeamToken(gameId, teamId, deviceKey) {
+  return issueScopedToken('game', { gameId, teamId, deviceKey }, TEAM_TOKEN_TTL_SECONDS);
+}
+
+/** Verify a team token. Returns { gameId, teamId, deviceKey, exp } or null. */
+function verifyTeamToken(token) {
+  const claims = verifyScopedToken('game', token);
+  if (!claims?.teamId) return null;
+  return { gameId: claims.gameId, teamId: claims.teamId, deviceKey: claims.deviceKey || '', exp: claims.exp };
+}
+
+/** Team for a request's `Authorization: Bearer <team token>` header, or null. */
+function getTeam(req) {
+  const token = bearerToken(req);
+  return token ? verifyTeamToken(token) : null;
+}
+
+/** Bearer token from a request, or '' when missing. */
+function bearerToken(req) {
+  const header = (req.headers?.authorization || '').trim();
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+/** True when a request carries Vercel Cron's `Authorization: Bearer <CRON_SECRET>`. */
+function isCronRequest(req) {
+  const token = bearerToken(req);
+  return Boolean(process.env.CRON_SECRET && token) && safeEqual(token, process.env.CRON_SECRET);
+}
+
+/** Principal for a request's `Authorization: Bearer <token>` header, or null. */
+async function getPrincipal(req) {
+  const token = bearerToken(req);
+  return token ? verifyToken(token) : null;
+}
+
+// ─── Email confirmation tokens ────────────────────────────────────────────────
+
+// How long a registration stays pending before its link stops working
+const EMAIL_TOKEN_TTL_SECONDS = 48 * 60 * 60;
+
+/**
+ * Issue a token confirming `email` for a newly registered team.
+ * Returns { token, expiresAt }.
+ */
+function issueEmailToken(teamId, email) {
+  return issueScopedToken('email', { teamId, email }, EMAIL_TOKEN_TTL_SECONDS);
+}
+
+/** Verify an email token. Returns { teamId, email, exp } or null. */
+function verifyEmailToken(token) {
+  const claims = verifyScopedToken('email', token);
+  if (!claims?.email) return null;
+  return { teamId: claims.teamId, email: claims.email, exp: claims.exp };
+}
+
+// ─── RSVP tokens ──────────────────────────────────────────────────────────────
+
+// A week's reminder link lasts until the next week's goes out
+const RSVP_TOKEN_TTL_SECONDS = 8 * 24 * 60 * 60;
+
+/**
+ * Issue a token letting a team's captain RSVP for its game nights.
+ * Returns { token, expiresAt }.
+ */
+function issueRsvpToken(teamId) {
+  return issueScopedToken('rsvp', { teamId }, RSVP_TOKEN_TTL_SECONDS);
+}
+
+/** Verify an RSVP token. Returns { teamId, exp } or null. */
+function verifyRsvpToken(token) {
+  const claims = verifyScopedToken('rsvp', token);
+  return claims && { teamId: claims.teamId, exp: claims.exp };
+}
+
+// ─── Authorization ────────────────────────────────────────────────────────────
+
+function isAdmin(principal) {
+  return principal?.role === 'admin';
+}
+
+/** True if the principal may act for `location` (admins: any location). */
+function canAccessLocation(principal, location) {
+  if (!principal) return false;
+  if (isAdmin(principal)) return true;
+  return Boolean(location) && principal.location === location;
+}
+
+/** Standard 403 message for a host acting outside their location. */
+function locationForbidden(principal) {
+  return `Forbidden — this host login can only manage ${principal.location}`;
+}
+
+module.exports = {
+  resolveSecret,
+  issueToken,
+  verifyToken,
+  rotateSigningKey,
+  scopeOf,
+  getPrincipal,
+  isCronRequest,
+  issueScopedToken,
+  verifyScopedToken,
+  issueTeamToken,
+  getTeam,
+  EMAIL_TOKEN_TTL_SECONDS,
+  issueEmailToken,
+  verifyEmailToken,
+  issueRsvpToken,
+  verifyRsvpToken,
+  isAdmin,
+  canAccessLocation,
+  locationForbidden,
+};
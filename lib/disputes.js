@@ -0,0 +1,173 @@
+/**
+ * lib/disputes.js
+ * Rescoring for accepted answer disputes.
+ *
+ * Scores are stored per round, not per question, so crediting a team means
+ * adding the question's points to that round on the team's Scores row for
+ * the night the question was asked (same location, week and season as the
+ * QuestionLog row). A Last Call credit flips an 'incorrect' outcome to
+ * 'correct'. Every change goes through scores.update, so it lands in the
+ * ScoreAudit trail like a manual correction, with a reason starting
+ * 'Dispute <disputeId> accepted'. A score with such an entry is never
+ * credited for that dispute again, so accepting it twice at once can't
+ * double the points.
+ *
+ * Teams that played from their phones wrote their answers down for us, so
+ * phoneTeamsAnswering finds the ones that gave a newly accepted alternate.
+ * Paper teams' answers aren't stored — the host names those.
+ *
+ * Usage:
+ *   const { creditTeams } = require('../lib/disputes');
+ *   const { credited, skipped } = await creditTeams(logEntry, ['team_1'], { disputeId, changedBy, reason });
+ *   // audited as 'Dispute <disputeId> accepted — <reason>'
+ */
+
+const {
+  scores: scoresRepo, scoreAudit, disputes: disputesRepo, games: gamesRepo, submissions: submissionsRepo,
+} = require('./storage');
+const { scoreSheet, SCORED_ROUNDS } = require('./scoring');
+const { ROUND_META } = require('./rounds');
+const { answersMatch } = require('./similarity');
+
+/** The team's live Scores row for the night a question was asked, or null. */
+function scoreForNight(allScores, entry, teamId) {
+  const matches = allScores.filter((s) => s.teamId === teamId
+    && s.location === entry.location
+    && s.week === String(entry.week)
+    && (!entry.seasonId || !s.seasonId || s.seasonId === entry.seasonId));
+  // Newest submission wins if a night was somehow entered twice
+  return matches.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))[0] || null;
+}
+
+/**
+ * The breakdown after crediting one question in `round`, or { error } when
+ * the score can't take it (round not played, already at the maximum, …).
+ */
+function creditedBreakdown(breakdown, round) {
+  const { round1, round2, round3, lightning, lastCall, bonus } = breakdown;
+  const sheet = { round1, round2, round3, lightning, lastCall, bonus };
+
+  if (round === 'lastcall') {
+    if (!lastCall || lastCall.outcome !== 'incorrect') {
+      return { error: lastCall?.outcome === 'correct' ? 'Last Call already scored correct' : 'No Last Call wager to credit' };
+    }
+    sheet.lastCall = { wager: lastCall.wager, outcome: 'correct' };
+  } else if (SCORED_ROUNDS.includes(round)) {
+    if (breakdown[round] === null || breakdown[round] === undefined) {
+      return { error: `No ${ROUND_META[round].title} score recorded` };
+    }
+    const { pointsEach, questionCount } = ROUND_META[round];
+    if (breakdown[round] + pointsEach > pointsEach * questionCount) {
+      return { error: `${ROUND_META[round].title} is already at full marks` };
+    }
+    sheet[round] = breakdown[round] + pointsEach;
+  } else {
+    return { error: `Unknown round "${round}"` };
+  }
+
+  const { errors, breakdown: next } = scoreSheet(sheet);
+  return errors.length ? { error: errors.join('; ') } : { breakdown: next };
+}
+
+/**
+ * teamIds of phone teams whose answer to the logged question matches
+ * `answer` but wasn't marked correct, from the game played at the question's
+ * location and week.
+ */
+async function phoneTeamsAnswering(entry, answer) {
+  const number = Number(entry.number);
+  const teamIds = [];
+  const games = (await gamesRepo.list()).filter((g) => g.location === entry.location
+    && g.week === String(entry.week)
+    && (!entry.seasonId || !g.seasonId || g.seasonId === entry.seasonId));
+
+  for (const game of games) {
+    const asked = game.rounds.find((r) => r.round === entry.round)?.questions
+      .find((q) => q.number === number && answersMatch(q.answer, entry.answer));
+    if (!asked) continue;
+    for (const submission of await submissionsRepo.forGame(game.gameId)) {
+      if (submission.round !== entry.round) continue;
+      const given = submission.answers.find((a) => a.number === number);
+      if (given && given.verdict !== 'correct' && answersMatch(given.answer, answer)) teamIds.push(submission.teamId);
+    }
+  }
+  return teamIds;
+}
+
+/** teamIds already credited for this question by another accepted dispute. */
+async function alreadyCredited(logId, disputeId) {
+  const done = new Map();
+  for (const d of await disputesRepo.list()) {
+    if (d.logId !== logId || d.disputeId === disputeId || d.status !== 'accepted') continue;
+    for (const c of d.credited) done.set(c.teamId, d.disputeId);
+  }
+  return done;
+}
+
+/** Audit reason for a credit from `disputeId`; creditedBy() looks for its prefix. */
+function auditReason(disputeId, reason) {
+  return `Dispute ${disputeId} accepted — ${reason}`;
+}
+
+/** scoreIds the ScoreAudit trail shows were already credited by `disputeId`. */
+async function creditedBy(disputeId) {
+  const prefix = auditReason(disputeId, '');
+  return new Set((await scoreAudit.list()).filter((a) => a.reason.startsWith(prefix)).map((a) => a.scoreId));
+}
+
+/**
+ * Credit each team in `teamIds` with the logged question. Returns
+ *   credited — [{ scoreId, teamId, teamName, points, changes, score }]
+ *   skipped  — [{ teamId, reason }] for teams whose score couldn't be changed
+ * `meta` is { disputeId, changedBy, reason } for the audit trail.
+ */
+async function creditTeams(entry, teamIds, meta = {}) {
+  const credited = [];
+  const skipped = [];
+  if (!entry.week) {
+    return { credited, skipped: teamIds.map((teamId) => ({ teamId, reason: 'The logged question has no week, so its night is unknown' })) };
+  }
+
+  const allScores = await scoresRepo.list();
+  const done = await alreadyCredited(entry.logId, meta.disputeId);
+  const audited = await creditedBy(meta.disputeId);
+
+  for (const teamId of [...new Set(teamIds)]) {
+    if (done.has(teamId)) {
+      skipped.push({ teamId, reason: `Already credited by dispute ${done.get(teamId)}` });
+      continue;
+    }
+    const score = scoreForNight(allScores, entry, teamId);
+    if (!score) {
+      skipped.push({ teamId, reason: `No score for week ${entry.week} at ${entry.location}` });
+      continue;
+    }
+    if (audited.has(score.scoreId)) {
+      skipped.push({ teamId, reason: `Already credited by dispute ${meta.disputeId}` });
+      continue;
+    }
+    const { breakdown, error } = creditedBreakdown(score.breakdown, entry.round);
+    if (error) {
+      skipped.push({ teamId, reason: error });
+      continue;
+    }
+
+    const { score: updated, changes } = await scoresRepo.update(
+      score.scoreId,
+      { breakdown, total: breakdown.total },
+      { changedBy: meta.changedBy, reason: auditReason(meta.disputeId, meta.reason) },
+    );
+    credited.push({
+      scoreId: score.scoreId,
+      teamId,
+      teamName: score.teamName,
+      points: updated.total - score.total,
+      changes,
+      score: updated,
+    });
+  }
+
+  return { credited, skipped };
+}
+
+module.exports = { creditTeams, creditedBreakdown, scoreForNight, phoneTeamsAnswering };
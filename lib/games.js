@@ -0,0 +1,307 @@
+/**
+ * lib/games.js
+ * Game nights — where tonight is up to, each team's running score, and
+ * team play (answering from phones instead of paper). Shared by
+ * api/games.js (the host side), api/play.js (the teams) and api/live.js
+ * (the bar TV).
+ *
+ * A game holds the night's rounds, with their answer key when it was started
+ * from the generator (a round without questions is scored on paper only).
+ * Each round is 'waiting' until the host opens it, takes phone submissions
+ * while 'open', and is locked once 'closed'. Teams only ever see round titles
+ * and statuses — never questions or answers (the host still reads them aloud).
+ *
+ * The host walks the night forward one step at a time (see stepsFor):
+ * each round in turn, a "standings before Last Call" pause for wagering,
+ * Last Call, then the final board. The live board counts closed rounds only,
+ * and holds back Last Call until the final reveal.
+ *
+ * A team's score for a round comes from its graded phone submission or, for
+ * teams on paper, the round score the host entered (game.tally). When the
+ * host finishes the game, each team's rounds become a score sheet
+ * (lib/scoring.js) and are posted to Scores: a new row the first time, a
+ * correction with an audit entry if the game is regraded and posted again.
+ *
+ * Usage:
+ *   const { buildRounds, publicGame, sheetFor, liveBoard, postScores } = require('../lib/games');
+ */
+
+const crypto = require('crypto');
+const { scores: scoresRepo, gameTeams } = require('./storage');
+const { ROUND_META } = require('./rounds');
+const { scoreSheet } = require('./scoring');
+const { roundPoints } = require('./grading');
+const { cleanAlternates } = require('./roundSchema');
+
+const ROUND_ORDER = ['round1', 'round2', 'round3', 'lightning', 'lastcall'];
+const ROUND_STATUSES = ['waiting', 'open', 'closed'];
+
+// No 0/O, 1/I/L — codes get read aloud across a noisy bar. No E either:
+// Sheets would store a code like '2E34' as the number 2E+34.
+const JOIN_CODE_ALPHABET = 'ABCDFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 4;
+
+/** A join code not in `taken` (the codes of other open games). */
+function generateJoinCode(taken) {
+  for (;;) {
+    const code = Array.from({ length: JOIN_CODE_LENGTH },
+      () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+    if (!taken.has(code)) return code;
+  }
+}
+
+function generateEntryId() {
+  return `entry_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/** Random key tying a team's token to the phone it joined on. */
+function generateDeviceKey() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+function generateScoreId() {
+  return `score_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * The game's rounds from the generator's output — an array of
+ * { round, category?, questions?: [{ question, answer, alternates? }] }.
+ * Leave out questions for a round scored on paper only.
+ * Returns { rounds } in play order, or { error }.
+ */
+function buildRounds(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'rounds must be a non-empty array of { round, questions }' };
+  }
+  const rounds = [];
+  for (const r of input) {
+    const meta = ROUND_META[r?.round];
+    if (!meta) return { error: `Unknown round "${r?.round}". Must be one of: ${ROUND_ORDER.join(', ')}` };
+    if (rounds.some((x) => x.round === r.round)) return { error: `${meta.title} is listed twice` };
+    const asked = r.questions || [];
+    if (!Array.isArray(asked) || (asked.length && asked.length !== meta.questionCount)) {
+      return { error: `${meta.title} needs exactly ${meta.questionCount} question${meta.questionCount === 1 ? '' : 's'} (or none, to score it on paper)` };
+    }
+    const questions = [];
+    for (const [i, q] of asked.entries()) {
+      const answer = String(q?.answer ?? '').trim();
+      if (!String(q?.question ?? '').trim() || !answer) {
+        return { error: `${meta.title} question ${i + 1} needs a question and an answer` };
+      }
+      questions.push({
+        number: i + 1,
+        question: String(q.question).trim(),
+        answer,
+        alternates: cleanAlternates(q.alternates, answer),
+      });
+    }
+    rounds.push({
+      round: r.round,
+      title: meta.title,
+      category: r.category ? String(r.category) : '',
+      pointsEach: meta.pointsEach,
+      questionCount: meta.questionCount,
+      status: 'waiting',
+      questions,
+    });
+  }
+  rounds.sort((a, b) => ROUND_ORDER.indexOf(a.round) - ROUND_ORDER.indexOf(b.round));
+  return { rounds };
+}
+
+/** What teams and the TV may see: no questions, no answers. */
+function publicGame(game) {
+  return {
+    gameId: game.gameId,
+    location: game.location,
+    date: game.date,
+    week: game.week,
+    status: game.status,
+    currentRound: game.currentRound,
+    showing: game.showing,
+    rounds: game.rounds.map(({ round, title, category, pointsEach, questionCount, status, questions }) => ({
+      round, title, category, pointsEach, questionCount, status, onPhones: questions.length > 0,
+    })),
+  };
+}
+
+// ─── Steps ────────────────────────────────────────────────────────────────────
+
+/**
+ * The night in order, as { currentRound, showing } steps: each round, with a
+ * 'beforeLastCall' pause ahead of Last Call, then 'final'. Step 0 is the
+ * lobby, before the first round.
+ */
+function stepsFor(game) {
+  const steps = [{ currentRound: '', showing: '' }];
+  for (const { round } of game.rounds) {
+    if (round === 'lastcall') steps.push({ currentRound: round, showing: 'beforeLastCall' });
+    steps.push({ currentRound: round, showing: 'round' });
+  }
+  steps.push({ currentRound: '', showing: 'final' });
+  return steps;
+}
+
+function stepIndex(game) {
+  const i = stepsFor(game).findIndex((s) => s.currentRound === game.currentRound && s.showing === game.showing);
+  return Math.max(i, 0);
+}
+
+/**
+ * The game fields for moving to `step`: rounds before the current one are
+ * closed, the current one is open (not yet during the Last Call pause), and
+ * the final step closes everything.
+ */
+function applyStep(game, step) {
+  const current = game.rounds.findIndex((r) => r.round === step.currentRound);
+  const rounds = game.rounds.map((r, i) => {
+    if (step.showing === 'final' || i < current) return { ...r, status: 'closed' };
+    if (i === current) return { ...r, status: step.showing === 'round' ? 'open' : 'waiting' };
+    return r.status === 'open' ? { ...r, status: 'waiting' } : r;
+  });
+  return { currentRound: step.currentRound, showing: step.showing, rounds };
+}
+
+// ─── Scores ───────────────────────────────────────────────────────────────────
+
+/** Everyone playing: teams that joined on phones plus teams the host scored on paper. */
+function teamsFor(game, joined) {
+  const teams = [...joined];
+  for (const [teamId, { teamName }] of Object.entries(game.tally)) {
+    if (!teams.some((t) => t.teamId === teamId)) teams.push({ teamId, teamName, scoreId: '' });
+  }
+  return teams;
+}
+
+/**
+ * One team's score sheet from its submissions, falling back to the host's
+ * paper tally. A round with neither is left blank (not played), except Last
+ * Call: once it's closed, a phone team that sent no wager gets 'nocard', as
+ * if it hadn't handed in a card.
+ * Returns { sheet, pending } — pending lists rounds with undecided answers.
+ */
+function sheetFor(game, submissions, teamId) {
+  const sheet = {};
+  const pending = [];
+  const tally = game.tally[teamId] || {};
+  const onPhones = submissions.some((s) => s.teamId === teamId);
+  for (const r of game.rounds) {
+    const sub = submissions.find((s) => s.teamId === teamId && s.round === r.round);
+    const key = r.round === 'lastcall' ? 'lastCall' : r.round;
+    if (!sub) {
+      if (tally[key] !== undefined) sheet[key] = tally[key];
+      else if (r.round === 'lastcall' && r.status === 'closed' && onPhones) sheet.lastCall = { outcome: 'nocard' };
+      continue;
+    }
+    const points = roundPoints(sub);
+    if (points === null) pending.push(r.title);
+    else sheet[key] = points;
+  }
+  return { sheet, pending };
+}
+
+/**
+ * The live board: each team's score from closed rounds only, best first.
+ * Last Call counts once the board is showing 'final'. Rows are
+ *   { rank, teamId, teamName, rounds: { [round]: points | null },
+ *     preLastCall, lastCall: { wager, outcome, points } | null, total }
+ * Tied teams share a rank.
+ */
+function liveBoard(game, teams, submissions) {
+  const closed = { ...game, rounds: game.rounds.filter((r) => r.status === 'closed') };
+  const rows = teams.map(({ teamId, teamName }) => {
+    const { sheet } = sheetFor(closed, submissions, teamId);
+    if (game.showing !== 'final') delete sheet.lastCall;
+    const { breakdown } = scoreSheet(sheet);
+    const rounds = {};
+    for (const r of game.rounds) rounds[r.round] = r.round === 'lastcall' ? breakdown.lastCall?.points ?? null : breakdown[r.round];
+    return {
+      teamId,
+      teamName,
+      rounds,
+      preLastCall: breakdown.preLastCall,
+      lastCall: breakdown.lastCall,
+      total: breakdown.total,
+    };
+  });
+  rows.sort((a, b) => b.total - a.total || a.teamName.localeCompare(b.teamName));
+  return rows.map((row) => ({ rank: 1 + rows.filter((r) => r.total > row.total).length, ...row }));
+}
+
+/**
+ * Post every team's totals to Scores (`teams` from teamsFor). Teams already
+ * posted get their row corrected (audited) instead of a second row.
+ * Returns { posted: [{ teamId, teamName, scoreId, total, updated }],
+ *           skipped: [{ teamId, teamName, reason }] }
+ */
+async function postScores(game, teams, submissions, { submittedBy = '' } = {}) {
+  const posted = [];
+  const skipped = [];
+
+  for (const team of teams) {
+    const { teamId, teamName } = team;
+    if (!submissions.some((s) => s.teamId === teamId) && !game.tally[teamId]) {
+      skipped.push({ teamId, teamName, reason: 'No answers submitted' });
+      continue;
+    }
+    const { sheet } = sheetFor(game, submissions, teamId);
+    const { errors, breakdown } = scoreSheet(sheet);
+    if (errors.length) {
+      skipped.push({ teamId, teamName, reason: errors.join('; ') });
+      continue;
+    }
+
+    const existing = team.scoreId ? await scoresRepo.get(team.scoreId) : null;
+    if (existing && !existing.deletedAt) {
+      const { score } = await scoresRepo.update(
+        existing.scoreId,
+        { breakdown, total: breakdown.total },
+        { changedBy: submittedBy, reason: `Team play game ${game.gameId} regraded` },
+      );
+      posted.push({ teamId, teamName, scoreId: score.scoreId, total: score.total, updated: true });
+      continue;
+    }
+
+    const score = await scoresRepo.create({
+      scoreId: generateScoreId(),
+      teamId,
+      teamName,
+      location: game.location,
+      week: String(game.week),
+      date: game.date,
+      breakdown,
+      submittedBy,
+      submittedAt: new Date().toISOString(),
+      seasonId: game.seasonId || '',
+    });
+    const posting = { scoreId: score.scoreId, postedAt: score.submittedAt };
+    if (team.entryId) {
+      await gameTeams.update(team.entryId, posting);
+    } else {
+      // A paper team — give it an entry so a re-post finds this score
+      await gameTeams.add({
+        entryId: generateEntryId(), gameId: game.gameId, teamId, teamName, joinedAt: '', ...posting,
+      });
+    }
+    posted.push({ teamId, teamName, scoreId: score.scoreId, total: score.total, updated: false });
+  }
+
+  return { posted, skipped };
+}
+
+module.exports = {
+  ROUND_ORDER,
+  ROUND_STATUSES,
+  generateJoinCode,
+  generateEntryId,
+  generateDeviceKey,
+  buildRounds,
+  publicGame,
+  stepsFor,
+  stepIndex,
+  applyStep,
+  teamsFor,
+  sheetFor,
+  liveBoard,
+  postScores,
+};
@@ -0,0 +1,59 @@
+/**
+ * lib/generator/anthropicProvider.js
+ * Question generator provider backed by the Anthropic Messages API.
+ *
+ * Env vars:
+ *   ANTHROPIC_API_KEY — required
+ */
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+function retryableError(message, retryAfterMs) {
+  const err = new Error(message);
+  err.retryable = true;
+  if (retryAfterMs) err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+/** 429 rate limits, 5xx server errors and 529 "overloaded" are worth a retry. */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+async function complete({ prompt, model, maxTokens, timeoutMs }) {
+  let resp;
+  try {
+    resp = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': API_VERSION,
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    // Timeouts and dropped connections
+    const reason = err.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : err.message;
+    throw retryableError(`Anthropic API request failed: ${reason}`);
+  }
+
+  if (!resp.ok) {
+    const body = await resp.text();
+    const message = `Anthropic API error ${resp.status}: ${body.slice(0, 200)}`;
+    if (!isRetryableStatus(resp.status)) throw new Error(message);
+    const retryAfter = Number(resp.headers?.get?.('retry-after'));
+    throw retryableError(message, retryAfter > 0 ? retryAfter * 1000 : undefined);
+  }
+
+  const data = await resp.json();
+  return data.content?.[0]?.text || '';
+}
+
+module.exports = { name: 'anthropic', complete };
@@ -0,0 +1,126 @@
+/**
+ * lib/generator/index.js
+ * Question generation — sends a prompt to the configured model provider and
+ * parses the JSON it answers with, retrying transient failures.
+ *
+ * A provider is a module exporting:
+ *   name                                              — e.g. 'anthropic'
+ *   complete({ prompt, round, count, model, maxTokens, timeoutMs }) → text
+ * and throwing errors with `retryable: true` (plus `retryAfterMs` when the
+ * API says how long to wait) for failures worth another try.
+ *
+ * Env vars:
+ *   QUESTION_PROVIDER    — 'anthropic' (default) or 'mock'
+ *                          'mock' answers from local fixtures with no network
+ *                          call (see lib/generator/mockProvider.js)
+ *   QUESTION_MODEL       — model for every round (default: claude-opus-4-5)
+ *   QUESTION_MAX_TOKENS  — max_tokens for every round (default: 4096)
+ *   QUESTION_MODEL_<ROUND>, QUESTION_MAX_TOKENS_<ROUND>
+ *                        — per-round overrides, e.g. QUESTION_MODEL_LIGHTNING,
+ *                          QUESTION_MAX_TOKENS_LASTCALL
+ *   QUESTION_TIMEOUT_MS  — per-attempt timeout (default: 30000)
+ *
+ * Usage:
+ *   const { generateJson } = require('../lib/generator');
+ *   const raw = await generateJson(prompt, { round: 'round3', count: 10 });
+ */
+
+const PROVIDERS = {
+  anthropic: () => require('./anthropicProvider'),
+  mock:      () => require('./mockProvider'),
+};
+
+const DEFAULT_MODEL = 'claude-opus-4-5';
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 1000;
+const MAX_RETRY_WAIT_MS = 10 * 1000;
+// Vercel stops api/trivia.js at 60s (vercel.json) — don't start a retry
+// that can't finish before then
+const DEADLINE_MS = 50 * 1000;
+
+let provider = null;
+
+/** Resolve the provider on first use so env vars can be set before then. */
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.QUESTION_PROVIDER || 'anthropic').trim().toLowerCase();
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown QUESTION_PROVIDER "${name}". Must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+/** Env var value for this round, falling back to the all-rounds value. */
+function envFor(name, round) {
+  const perRound = round && process.env[`${name}_${round.toUpperCase()}`];
+  return (perRound || process.env[name] || '').trim();
+}
+
+/** The model and max_tokens a round is generated with. */
+function roundConfig(round) {
+  const maxTokens = parseInt(envFor('QUESTION_MAX_TOKENS', round), 10);
+  const timeoutMs = parseInt(process.env.QUESTION_TIMEOUT_MS, 10);
+  return {
+    model: envFor('QUESTION_MODEL', round) || DEFAULT_MODEL,
+    maxTokens: maxTokens > 0 ? maxTokens : DEFAULT_MAX_TOKENS,
+    timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_TIMEOUT_MS,
+  };
+}
+
+/** Parse the model's reply, tolerating a ```json fence around it. */
+function parseJson(text) {
+  const cleaned = String(text || '').trim()
+    .replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    const parseErr = new Error(`Model reply was not valid JSON: ${err.message}`);
+    parseErr.retryable = true;
+    throw parseErr;
+  }
+}
+
+function backoffMs(attempt, err) {
+  if (err.retryAfterMs) return Math.min(err.retryAfterMs, MAX_RETRY_WAIT_MS);
+  return BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Generate and parse one round's JSON. Rate limits, server errors, timeouts
+ * and unparseable replies are retried with exponential backoff; anything else
+ * (bad API key, invalid request) fails straight away.
+ *
+ *   round — round key, for per-round model config (and the mock's fixtures)
+ *   count — how many questions the prompt asks for
+ */
+async function generateJson(prompt, { round, count } = {}) {
+  const { model, maxTokens, timeoutMs } = roundConfig(round);
+  const started = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const text = await getProvider().complete({ prompt, round, count, model, maxTokens, timeoutMs });
+      return parseJson(text);
+    } catch (err) {
+      const wait = backoffMs(attempt, err);
+      const outOfTime = Date.now() - started + wait + timeoutMs > DEADLINE_MS;
+      if (!err.retryable || attempt >= MAX_ATTEMPTS || outOfTime) throw err;
+      console.error(`[generator] ${round || 'prompt'} attempt ${attempt} failed, retrying in ${wait}ms:`, err.message);
+      await sleep(wait);
+    }
+  }
+}
+
+/** { provider, model } for a round — returned with generated rounds. */
+function describe(round) {
+  return { provider: getProvider().name, model: roundConfig(round).model };
+}
+
+module.exports = { generateJson, roundConfig, describe };
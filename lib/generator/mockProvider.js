@@ -0,0 +1,117 @@
+/**
+ * lib/generator/mockProvider.js
+ * Offline question generator provider for development and tests — answers
+ * every prompt from a fixture pool, with no network call and no API credit.
+ *
+ * Replies are deterministic: the same prompt always gets the same questions,
+ * and a different prompt (another round, theme or avoid list) starts at a
+ * different place in the pool. Last Call gets a single object, like the real
+ * model returns.
+ *
+ * Env vars:
+ *   QUESTION_FIXTURES_FILE — optional JSON file of fixture questions:
+ *                              { "round1": [{ "question", "answer" }], …,
+ *                                "default": [...] }
+ *                            Rounds without their own list use "default",
+ *                            then the built-in pool.
+ *   QUESTION_MOCK_FAIL     — optional comma-separated failures to serve, one
+ *                            per call, before answering normally — for
+ *                            exercising retries: '429', '500', 'timeout',
+ *                            'badjson', 'error' (not retryable)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_POOL = [
+  { question: 'What grain is the primary ingredient in traditional Japanese sake?', answer: 'Rice' },
+  { question: 'Which planet has the shortest day in the solar system?', answer: 'Jupiter' },
+  { question: 'What is the only letter that does not appear in any US state name?', answer: 'Q' },
+  { question: 'Which composer wrote the opera "The Magic Flute"?', answer: 'Mozart' },
+  { question: 'What is the national sport of Canada?', answer: 'Lacrosse' },
+  { question: 'How many hearts does an octopus have?', answer: 'Three' },
+  { question: 'Which Belgian city gives its name to a style of white beer?', answer: 'Hoegaarden' },
+  { question: 'What metal is liquid at room temperature?', answer: 'Mercury' },
+  { question: 'Which artist painted "The Persistence of Memory"?', answer: 'Salvador Dalí' },
+  { question: 'In which country did the sport of curling originate?', answer: 'Scotland' },
+  { question: 'What is the largest organ of the human body?', answer: 'Skin' },
+  { question: 'Which Delaware town hosts the annual Punkin Chunkin?', answer: 'Bridgeville' },
+  { question: 'What spirit is the base of a classic Negroni?', answer: 'Gin' },
+  { question: 'Which ocean current keeps Western Europe unusually mild?', answer: 'Gulf Stream' },
+  { question: 'What was the first feature-length animated film released by Disney?', answer: 'Snow White and the Seven Dwarfs' },
+  { question: 'Which bird can fly backwards?', answer: 'Hummingbird' },
+  { question: 'What is the hardest mineral on the Mohs scale?', answer: 'Diamond' },
+  { question: 'Which city was the first capital of the United States under the Constitution?', answer: 'New York City' },
+  { question: 'What fruit is used to make the liqueur Limoncello?', answer: 'Lemon' },
+  { question: 'How many keys does a standard piano have?', answer: '88' },
+  { question: 'Which chess piece can only move diagonally?', answer: 'Bishop' },
+  { question: 'What gas do plants absorb from the atmosphere during photosynthesis?', answer: 'Carbon dioxide' },
+  { question: 'Which band recorded the album "Rumours" in 1977?', answer: 'Fleetwood Mac' },
+  { question: 'What is the tallest species of grass?', answer: 'Bamboo' },
+  { question: 'Which Italian city is famous for its leaning bell tower?', answer: 'Pisa' },
+  { question: 'What type of pastry is used to make profiteroles?', answer: 'Choux' },
+  { question: 'Which element gives fireworks a green color?', answer: 'Barium' },
+  { question: 'What is the longest bone in the human body?', answer: 'Femur' },
+  { question: 'Which author created the detective Hercule Poirot?', answer: 'Agatha Christie' },
+  { question: 'What does the beer measurement "IBU" stand for?', answer: 'International Bitterness Units' },
+  { question: 'Which desert is the driest non-polar place on Earth?', answer: 'Atacama' },
+  { question: 'What is a group of crows called?', answer: 'A murder' },
+  { question: 'Which US president appears on the $50 bill?', answer: 'Ulysses S. Grant' },
+  { question: 'What vegetable is the main ingredient in a traditional borscht?', answer: 'Beet' },
+  { question: 'Which video game character first appeared as "Jumpman"?', answer: 'Mario' },
+  { question: 'How many bones are in an adult human hand?', answer: '27' },
+  { question: 'What is the capital of New Zealand?', answer: 'Wellington' },
+  { question: 'Which hop-growing region in Germany is the largest in the world?', answer: 'Hallertau' },
+  { question: 'What is the smallest prime number?', answer: '2' },
+  { question: 'Which Shakespeare play features the character Puck?', answer: "A Midsummer Night's Dream" },
+];
+
+function loadFixtures() {
+  const file = process.env.QUESTION_FIXTURES_FILE;
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function poolFor(round) {
+  const fixtures = loadFixtures();
+  const pool = (round && fixtures[round]) || fixtures.default || BUILT_IN_POOL;
+  if (!Array.isArray(pool) || pool.length === 0) {
+    throw new Error(`No mock fixtures for ${round || 'this prompt'}`);
+  }
+  return pool;
+}
+
+/** Serve the next failure queued in QUESTION_MOCK_FAIL, if any. */
+let failuresServed = 0;
+function nextFailure() {
+  const queue = (process.env.QUESTION_MOCK_FAIL || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (failuresServed >= queue.length) return null;
+  return queue[failuresServed++];
+}
+
+function fail(kind, timeoutMs) {
+  if (kind === 'badjson') return 'Sure! Here are your questions: [{"question":';
+  const messages = {
+    429: 'Mock API error 429: rate limited',
+    500: 'Mock API error 500: server error',
+    timeout: `Mock API request failed: timed out after ${timeoutMs}ms`,
+  };
+  const err = new Error(messages[kind] || `Mock API error 400: ${kind}`);
+  if (messages[kind]) err.retryable = true;
+  throw err;
+}
+
+async function complete({ prompt, round, count, timeoutMs }) {
+  const failure = nextFailure();
+  if (failure) return fail(failure, timeoutMs);
+
+  const pool = poolFor(round);
+  const n = Math.max(1, Math.min(count || 10, pool.length));
+  const start = crypto.createHash('sha256').update(String(prompt)).digest().readUInt32BE(0) % pool.length;
+  const questions = Array.from({ length: n }, (_, i) => pool[(start + i) % pool.length]);
+
+  return JSON.stringify(round === 'lastcall' ? questions[0] : questions);
+}
+
+module.exports = { name: 'mock', complete };
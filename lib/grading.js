@@ -0,0 +1,78 @@
+/**
+ * lib/grading.js
+ * Auto-grading for answers teams submit from their phones.
+ *
+ * Each answer is matched against the question's answer and its accepted
+ * alternates, ignoring case, punctuation and a leading article:
+ *
+ *   match       verdict
+ *   'answer'    correct     — names the answer ('Everest' for 'Mount Everest')
+ *   'alternate' correct     — names an accepted alternate
+ *   'close'     pending     — a typo away from one of them; the host decides
+ *   'none'      incorrect
+ *   'blank'     incorrect   — nothing written
+ *
+ * The host can overrule any verdict; a round with 'pending' answers can't be
+ * posted to Scores until they're all decided.
+ *
+ * Usage:
+ *   const { gradeAnswer, roundPoints } = require('../lib/grading');
+ *   const { match, verdict } = gradeAnswer('Mt Everst', { answer: 'Mount Everest', alternates: [] });
+ */
+
+const { answerKey, answersMatch } = require('./similarity');
+const { ROUND_META } = require('./rounds');
+
+const VERDICTS = ['correct', 'incorrect', 'pending'];
+
+/** Levenshtein distance, for catching misspellings. */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/** One typo per four letters, and none at all for short answers ('Q', '88', 'Gin'). */
+function isClose(given, expected) {
+  const a = answerKey(given);
+  const b = answerKey(expected);
+  if (!a || !b || Math.min(a.length, b.length) < 4) return false;
+  return editDistance(a, b) <= Math.floor(b.length / 4);
+}
+
+/** Grade one submitted answer against a { answer, alternates } question. */
+function gradeAnswer(given, question) {
+  const text = String(given ?? '').trim();
+  if (!answerKey(text)) return { match: 'blank', verdict: 'incorrect' };
+
+  const alternates = question.alternates || [];
+  if (answersMatch(text, question.answer)) return { match: 'answer', verdict: 'correct' };
+  if (alternates.some((alt) => answersMatch(text, alt))) return { match: 'alternate', verdict: 'correct' };
+  if ([question.answer, ...alternates].some((expected) => isClose(text, expected))) {
+    return { match: 'close', verdict: 'pending' };
+  }
+  return { match: 'none', verdict: 'incorrect' };
+}
+
+/**
+ * A graded submission's contribution to the team's score sheet:
+ *   fixed-value rounds — the round's points (correct answers × pointsEach)
+ *   lastcall           — { wager, outcome }
+ * Returns null while any answer is still pending.
+ */
+function roundPoints(submission) {
+  const { answers } = submission;
+  if (answers.some((a) => a.verdict === 'pending')) return null;
+  if (submission.round === 'lastcall') {
+    return { wager: submission.wager, outcome: answers[0]?.verdict === 'correct' ? 'correct' : 'incorrect' };
+  }
+  return answers.filter((a) => a.verdict === 'correct').length * ROUND_META[submission.round].pointsEach;
+}
+
+module.exports = { VERDICTS, gradeAnswer, roundPoints, editDistance };
@@ -0,0 +1,123 @@
+/**
+ * lib/locations.js
+ * The league's locations, read from the Locations table so opening a new
+ * Grain location is a data change (POST /api/locations), not a code change.
+ *
+ * Location: { slug, name, city, gameNight, capacity, active,
+ *             hostKeyHash, hostSecretEnv, createdAt }
+ *   name          — what scores, teams and questions store (e.g. 'H2O')
+ *   capacity      — max teams per game night, or null for no limit
+ *   hostKeyHash   — scrypt hash of the store's host key (set via the API)
+ *   hostSecretEnv — alternatively, the env var holding the host key
+ *
+ * Until the Locations table has rows, the original three locations are used,
+ * with their host keys in MAIN_STREET_SECRET, EXCHANGE_SECRET and H2O_SECRET.
+ * POST /api/setup (or the first admin edit) writes those defaults into the table.
+ *
+ * Usage:
+ *   const { locationNames, findLocation } = require('../lib/locations');
+ *   if (!(await locationNames()).includes(location)) { ... }
+ */
+
+const crypto = require('crypto');
+const { locations: locationsRepo } = require('./storage');
+const { hashSecret, secretMatches } = require('./secretHash');
+
+const DEFAULT_LOCATIONS = [
+  { slug: 'main-street', name: 'Main Street', city: 'Newark', hostSecretEnv: 'MAIN_STREET_SECRET' },
+  { slug: 'exchange',    name: 'Exchange',    city: '',       hostSecretEnv: 'EXCHANGE_SECRET' },
+  { slug: 'h2o',         name: 'H2O',         city: '',       hostSecretEnv: 'H2O_SECRET' },
+].map((l) => ({ gameNight: '', capacity: null, hostKeyHash: '', active: true, createdAt: '', ...l }));
+
+// Cached like signing key versions in lib/auth.js — edits made on another
+// instance show up within this window.
+const CACHE_MS = 30 * 1000;
+let cache = null;
+
+/** Every location, including inactive ones. */
+async function allLocations() {
+  if (cache && Date.now() - cache.fetchedAt < CACHE_MS) return cache.locations;
+  const rows = await locationsRepo.list();
+  const locations = rows.length ? rows : DEFAULT_LOCATIONS;
+  cache = { locations, fetchedAt: Date.now() };
+  return locations;
+}
+
+/** Locations currently running trivia. */
+async function listLocations() {
+  return (await allLocations()).filter((l) => l.active);
+}
+
+/** Names of the active locations, e.g. ['Main Street', 'Exchange', 'H2O']. */
+async function locationNames() {
+  return (await listLocations()).map((l) => l.name);
+}
+
+/** The location with this name or slug (active or not), or null. */
+async function findLocation(nameOrSlug) {
+  const key = String(nameOrSlug || '').trim().toLowerCase();
+  if (!key) return null;
+  return (await allLocations()).find((l) => l.name.toLowerCase() === key || l.slug === key) || null;
+}
+
+/**
+ * Write the built-in locations to the Locations table if it is empty, so
+ * adding or editing one doesn't make the others disappear. Returns how many
+ * rows were written.
+ */
+async function seedDefaultLocations() {
+  if ((await locationsRepo.list()).length > 0) return 0;
+  const createdAt = new Date().toISOString();
+  for (const location of DEFAULT_LOCATIONS) {
+    await locationsRepo.create({ ...location, createdAt });
+  }
+  clearLocationCache();
+  return DEFAULT_LOCATIONS.length;
+}
+
+/** Drop the cache after an edit so this instance sees it immediately. */
+function clearLocationCache() {
+  cache = null;
+}
+
+/** The fields that are safe to send to browsers. */
+function publicLocation(location) {
+  const { slug, name, city, gameNight, capacity, active } = location;
+  return { slug, name, city, gameNight, capacity, active };
+}
+
+/** URL-safe slug from a name: 'Main Street' → 'main-street'. */
+function slugify(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// ─── Host keys ────────────────────────────────────────────────────────────────
+
+/** Hash a host key for the HostKeyHash column: 'scrypt$<salt>$<hash>'. */
+function hashHostKey(key) {
+  return hashSecret(key);
+}
+
+/** True if `secret` is this location's host key. */
+function hostKeyMatches(location, secret) {
+  if (location.hostKeyHash) return secretMatches(location.hostKeyHash, secret);
+  const envSecret = location.hostSecretEnv && process.env[location.hostSecretEnv];
+  if (!envSecret) return false;
+  const a = Buffer.from(String(secret));
+  const b = Buffer.from(envSecret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  DEFAULT_LOCATIONS,
+  allLocations,
+  listLocations,
+  locationNames,
+  findLocation,
+  seedDefaultLocations,
+  clearLocationCache,
+  publicLocation,
+  slugify,
+  hashHostKey,
+  hostKeyMatches,
+};
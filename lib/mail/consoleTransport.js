@@ -0,0 +1,20 @@
+/**
+ * lib/mail/consoleTransport.js
+ * Development mail transport — prints each message to the server log
+ * instead of sending it, so links (e.g. email confirmations) can be copied
+ * from the terminal.
+ */
+
+async function send({ from, to, subject, text }) {
+  console.log([
+    '[mail] ─── message not sent (MAIL_TRANSPORT=console) ───',
+    `From:    ${from}`,
+    `To:      ${to}`,
+    `Subject: ${subject}`,
+    '',
+    text,
+    '[mail] ───────────────────────────────────────────────',
+  ].join('\n'));
+}
+
+module.exports = { name: 'console', send };
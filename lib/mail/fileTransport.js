@@ -0,0 +1,28 @@
+/**
+ * lib/mail/fileTransport.js
+ * Development mail transport — writes each message to its own JSON file
+ * instead of sending it, for tests and for checking what an email says.
+ *
+ * Files are named <timestamp>-<recipient>.json and hold
+ *   { from, to, subject, text, html, sentAt }
+ *
+ * Env vars:
+ *   MAIL_DIR — folder to write to (default: .data/mail)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function mailDir() {
+  return path.resolve(process.env.MAIL_DIR || '.data/mail');
+}
+
+async function send(message) {
+  const dir = mailDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const sentAt = new Date().toISOString();
+  const name = `${sentAt.replace(/[:.]/g, '-')}-${String(message.to).replace(/[^\w@.-]/g, '_')}.json`;
+  fs.writeFileSync(path.join(dir, name), JSON.stringify({ ...message, sentAt }, null, 2));
+}
+
+module.exports = { name: 'file', send };
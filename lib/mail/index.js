@@ -0,0 +1,83 @@
+/**
+ * lib/mail/index.js
+ * Outgoing email — hands messages to the configured transport.
+ *
+ * A transport is a module exporting:
+ *   name                               — e.g. 'console'
+ *   send({ from, to, subject, text, html }) → resolves once handed off
+ * and throwing when the message couldn't be sent.
+ *
+ * Env vars:
+ *   MAIL_TRANSPORT — 'console' (default in development), 'file' or 'webhook'
+ *                    'console' logs each message and 'file' writes it to
+ *                    disk (see lib/mail/fileTransport.js) — both for local
+ *                    development, nothing leaves the machine. 'webhook'
+ *                    posts it to a mail relay (lib/mail/webhookTransport.js).
+ *                    Deployed (NODE_ENV=production, or on Vercel outside
+ *                    `vercel dev`) it must be set, and not to a development
+ *                    transport — sending throws rather than dropping mail.
+ *   MAIL_FROM      — sender address (default: Grain Trivia League <trivia@localhost>)
+ *   PUBLIC_BASE_URL — site address for links in mail, e.g.
+ *                    https://trivia.example.com. Required to send any mail
+ *                    with a link — never taken from the request, whose Host
+ *                    header the sender controls.
+ *
+ * Usage:
+ *   const { sendMail, siteUrl, escHtml } = require('../lib/mail');
+ *   const link = `${siteUrl()}/register.html`;
+ *   await sendMail({ to, subject, text, html: `<p>Hi ${escHtml(name)},</p>` });
+ */
+
+const TRANSPORTS = {
+  console: () => require('./consoleTransport'),
+  file:    () => require('./fileTransport'),
+  webhook: () => require('./webhookTransport'),
+};
+
+// Transports that never deliver anything
+const DEV_TRANSPORTS = ['console', 'file'];
+
+const DEFAULT_FROM = 'Grain Trivia League <trivia@localhost>';
+
+let transport = null;
+
+function isDeployed() {
+  if (process.env.NODE_ENV === 'production') return true;
+  return Boolean(process.env.VERCEL) && process.env.VERCEL_ENV !== 'development';
+}
+
+/** Resolve the transport on first use so env vars can be set before then. */
+function getTransport() {
+  if (!transport) {
+    const configured = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+    if (isDeployed() && (!configured || DEV_TRANSPORTS.includes(configured))) {
+      throw new Error(`MAIL_TRANSPORT is ${configured ? `"${configured}"` : 'not set'} — set it to 'webhook' to send mail from a deployed site`);
+    }
+    const name = configured || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+/** Send one message; `html` is optional. */
+async function sendMail({ to, subject, text, html }) {
+  const from = (process.env.MAIL_FROM || '').trim() || DEFAULT_FROM;
+  await getTransport().send({ from, to, subject, text, html: html || '' });
+}
+
+/** Base URL for links back to the site, without a trailing slash. */
+function siteUrl() {
+  const configured = (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '');
+  if (!configured) throw new Error('PUBLIC_BASE_URL must be set to email links to the site');
+  return configured;
+}
+
+/** Escape text for an HTML email body or attribute. */
+function escHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = { sendMail, siteUrl, escHtml };
@@ -0,0 +1,39 @@
+/**
+ * lib/mail/webhookTransport.js
+ * Mail transport that POSTs each message as JSON to a relay (an email
+ * provider's send endpoint, or an automation hook that sends it):
+ *   { from, to, subject, text, html }
+ *
+ * Env vars:
+ *   MAIL_WEBHOOK_URL   — required
+ *   MAIL_WEBHOOK_TOKEN — optional; sent as `Authorization: Bearer <token>`
+ */
+
+const TIMEOUT_MS = 10 * 1000;
+
+async function send(message) {
+  const url = (process.env.MAIL_WEBHOOK_URL || '').trim();
+  if (!url) throw new Error('MAIL_WEBHOOK_URL must be set to send mail with MAIL_TRANSPORT=webhook');
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.MAIL_WEBHOOK_TOKEN) headers.Authorization = `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}`;
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `timed out after ${TIMEOUT_MS}ms` : err.message;
+    throw new Error(`Mail webhook request failed: ${reason}`);
+  }
+  if (!resp.ok) {
+    const body = await resp.text();
+    throw new Error(`Mail webhook error ${resp.status}: ${body.slice(0, 200)}`);
+  }
+}
+
+module.exports = { name: 'webhook', send };
@@ -0,0 +1,69 @@
+/**
+ * lib/nameFilter.js
+ * Team-name filter for public registration. Rejects names with profanity —
+ * including l33t spellings ("5h1t") and letters spaced out ("f u c k") — and
+ * a few reserved names that would confuse hosts on game night.
+ *
+ * Words are matched at the start of each word of the name, so "Fuckwits"
+ * is caught; short words that start innocent ones ("ass" → "Assassins",
+ * "cock" → "Cocktail Club") only match as a whole word.
+ *
+ * Env vars:
+ *   BLOCKED_NAME_WORDS — extra comma-separated words to block (whole words)
+ *
+ * Usage:
+ *   const { checkTeamName } = require('../lib/nameFilter');
+ *   const problem = checkTeamName(teamName);   // error message, or null
+ */
+
+// Blocked wherever a word starts with them
+const BLOCKED_PREFIXES = [
+  'fuck', 'fuk', 'shit', 'cunt', 'bitch', 'bastard', 'motherf', 'bullshit',
+  'asshole', 'dickhead', 'wank', 'jizz', 'nigg', 'fagg', 'retard',
+];
+
+// Blocked only as a whole word
+const BLOCKED_WORDS = [
+  'ass', 'arse', 'cock', 'dildo', 'piss', 'porn', 'slut', 'tits', 'twat',
+  'whore', 'fag', 'kkk',
+];
+
+// Names that read like something other than a team
+const RESERVED_NAMES = [
+  'admin', 'administrator', 'host', 'test', 'test team', 'null', 'undefined',
+  'none', 'tbd', 'unknown', 'anonymous',
+];
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+function extraWords() {
+  return (process.env.BLOCKED_NAME_WORDS || '')
+    .split(',').map((w) => w.trim().toLowerCase()).filter(Boolean);
+}
+
+/** Lower-case letters only: accents stripped, l33t letters mapped back. */
+function normalise(name) {
+  return String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[0134578@$!]/g, (c) => LEET[c]);
+}
+
+/** Why a team name can't be used, or null when it's fine. */
+function checkTeamName(name) {
+  const plain = normalise(name);
+  if (RESERVED_NAMES.includes(plain.replace(/[^a-z]+/g, ' ').trim())) {
+    return 'That team name is reserved — please choose another';
+  }
+
+  const words = plain.split(/[^a-z]+/).filter(Boolean);
+  // "f u c k" / "f.u.c.k" spells a word one letter at a time
+  const spelled = words.filter((w) => w.length === 1).join('');
+  const candidates = spelled.length > 1 ? [...words, spelled] : words;
+
+  const whole = [...BLOCKED_WORDS, ...extraWords()];
+  const blocked = candidates.some((w) => whole.includes(w) || BLOCKED_PREFIXES.some((p) => w.startsWith(p)));
+  return blocked ? "That team name isn't allowed — please keep it bar-friendly" : null;
+}
+
+module.exports = { checkTeamName };
@@ -0,0 +1,117 @@
+/**
+ * lib/nights.js
+ * Saved nights — the generator's rounds kept as a draft (tied to a location
+ * and week) so a night can be prepared days ahead, reopened and edited, and
+ * survives a browser refresh. Nothing reaches QuestionLog until the night is
+ * marked played; that's the record of which set was actually asked.
+ *
+ * Night round: { round, title, category, location, pointsEach, questionCount,
+ *                questions: [{ number, question, answer, questionId,
+ *                              alternates, note, difficulty }],
+ *                opts }   — opts are the generator's options for the round,
+ *                           kept so a reopened card can still be regenerated
+ *
+ * Usage:
+ *   const { buildNightRounds, logEntries } = require('../lib/nights');
+ */
+
+const { ROUND_META } = require('./rounds');
+const { cleanAlternates, cleanNote, cleanDifficulty } = require('./roundSchema');
+
+const NIGHT_STATUSES = ['draft', 'played', 'discarded'];
+const ROUND_ORDER = ['round1', 'round2', 'round3', 'lightning', 'lastcall'];
+
+function generateNightId() {
+  return `night_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * A night's rounds from the generator's cards. A draft may have only some of
+ * the five rounds, but each round listed needs its questions.
+ * Returns { rounds } in play order, or { error }.
+ */
+function buildNightRounds(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'rounds must be a non-empty array of { round, questions }' };
+  }
+  const rounds = [];
+  for (const r of input) {
+    const meta = ROUND_META[r?.round];
+    if (!meta) return { error: `Unknown round "${r?.round}". Must be one of: ${ROUND_ORDER.join(', ')}` };
+    if (rounds.some((x) => x.round === r.round)) return { error: `${meta.title} is listed twice` };
+    if (!Array.isArray(r.questions) || !r.questions.length || r.questions.length > meta.questionCount) {
+      return { error: `${meta.title} needs 1 to ${meta.questionCount} question${meta.questionCount === 1 ? '' : 's'}` };
+    }
+    const questions = [];
+    for (const [i, q] of r.questions.entries()) {
+      const question = String(q?.question ?? '').trim();
+      const answer = String(q?.answer ?? '').trim();
+      if (!question || !answer) return { error: `${meta.title} question ${i + 1} needs a question and an answer` };
+      questions.push({
+        number: i + 1,
+        question,
+        answer,
+        questionId: q.questionId ? String(q.questionId) : '',
+        alternates: cleanAlternates(q.alternates, answer),
+        note: cleanNote(q.note),
+        difficulty: cleanDifficulty(q.difficulty),
+      });
+    }
+    rounds.push({
+      round: r.round,
+      title: r.title ? String(r.title) : meta.title,
+      category: r.category ? String(r.category) : '',
+      location: r.location ? String(r.location) : '',
+      pointsEach: meta.pointsEach,
+      questionCount: meta.questionCount,
+      questions,
+      opts: r.opts && typeof r.opts === 'object' && !Array.isArray(r.opts) ? r.opts : null,
+    });
+  }
+  rounds.sort((a, b) => ROUND_ORDER.indexOf(a.round) - ROUND_ORDER.indexOf(b.round));
+  return { rounds };
+}
+
+function generateLogId() {
+  return `q_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * QuestionLog rows for a set of rounds — one per question, tagged with the
+ * season, the saved night they came from and the bank questionId when there
+ * is one.
+ */
+function logEntries(rounds, { week, location, seasonId, nightId, savedAt = new Date().toISOString() }) {
+  const rows = [];
+  for (const round of rounds) {
+    if (!Array.isArray(round.questions)) continue;
+    for (const q of round.questions) {
+      rows.push({
+        logId:      generateLogId(),
+        week:       week ?? '',
+        savedAt,
+        location:   location || round.location || '',
+        round:      round.round    ?? '',
+        roundTitle: round.title    ?? '',
+        category:   round.category ?? '',
+        number:     q.number       ?? '',
+        question:   q.question     ?? '',
+        answer:     q.answer       ?? '',
+        seasonId:   seasonId       ?? '',
+        questionId: q.questionId   ?? '',
+        alternates: Array.isArray(q.alternates) ? q.alternates : [],
+        note:       q.note         ?? '',
+        difficulty: q.difficulty   ?? '',
+        nightId:    nightId        ?? '',
+      });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  NIGHT_STATUSES,
+  generateNightId,
+  buildNightRounds,
+  logEntries,
+};
@@ -0,0 +1,118 @@
+/**
+ * lib/players.js
+ * Team rosters and game-night attendance. A score can record which roster
+ * players showed up and how many sat at the table — the headcount also
+ * counts guests who aren't on the roster, and is capped at MAX_TEAM_SIZE
+ * (lib/rounds.js).
+ *
+ * Attendance (as sent with a score): { playerIds?, headcount? }
+ *   playerIds — roster players who played; any of the team's players,
+ *               including removed ones, so old nights can be corrected
+ *   headcount — players at the table; defaults to playerIds.length
+ *
+ * Usage:
+ *   const { buildPlayers, checkAttendance, attendanceStats } = require('../lib/players');
+ */
+
+const { MAX_TEAM_SIZE } = require('./rounds');
+
+const MAX_ROSTER_SIZE = 20;
+const MAX_NAME_LENGTH = 60;
+
+function generatePlayerId() {
+  return `player_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * New Players rows for `names` on a team. Blank names are skipped; a name
+ * already on the roster (or listed twice) is an error, as is a roster that
+ * would grow past MAX_ROSTER_SIZE. `roster` is the team's current players.
+ * Returns { players } or { error }.
+ */
+function buildPlayers(teamId, names, roster = []) {
+  if (!Array.isArray(names)) return { error: 'players must be an array of names' };
+
+  const taken = new Set(roster.map((p) => p.name.toLowerCase()));
+  const players = [];
+  const addedAt = new Date().toISOString();
+  for (const raw of names) {
+    const name = String(raw ?? '').trim().replace(/\s+/g, ' ');
+    if (!name) continue;
+    if (name.length > MAX_NAME_LENGTH) return { error: `Player names must be at most ${MAX_NAME_LENGTH} characters` };
+    if (taken.has(name.toLowerCase())) return { error: `${name} is already on the roster` };
+    taken.add(name.toLowerCase());
+    players.push({ playerId: generatePlayerId(), teamId, name, addedAt, removedAt: '' });
+  }
+  if (roster.length + players.length > MAX_ROSTER_SIZE) {
+    return { error: `A roster can have at most ${MAX_ROSTER_SIZE} players` };
+  }
+  return { players };
+}
+
+/**
+ * Validate a score's attendance against the team's players (removed ones
+ * included). null/undefined means not recorded.
+ * Returns { attendance: { headcount, playerIds } | null } or { error }.
+ */
+function checkAttendance(input, roster) {
+  if (input === undefined || input === null) return { attendance: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'attendance must be an object: { playerIds, headcount }' };
+  }
+
+  const playerIds = input.playerIds ?? [];
+  if (!Array.isArray(playerIds)) return { error: 'attendance.playerIds must be an array' };
+  const onTeam = new Set(roster.map((p) => p.playerId));
+  const unknown = playerIds.filter((id) => !onTeam.has(id));
+  if (unknown.length) return { error: `Not on this team's roster: ${unknown.join(', ')}` };
+  if (new Set(playerIds).size !== playerIds.length) return { error: 'attendance.playerIds lists a player twice' };
+
+  const blank = input.headcount === undefined || input.headcount === null || input.headcount === '';
+  const headcount = blank ? playerIds.length : Number(input.headcount);
+  if (!Number.isInteger(headcount) || headcount < 1) {
+    return { error: 'attendance needs a headcount of at least 1, or the players who played' };
+  }
+  if (headcount < playerIds.length) {
+    return { error: `headcount (${headcount}) is less than the ${playerIds.length} players marked present` };
+  }
+  if (headcount > MAX_TEAM_SIZE) {
+    return { error: `Teams are limited to ${MAX_TEAM_SIZE} players at the table (got ${headcount})` };
+  }
+  return { attendance: { headcount, playerIds: playerIds.map(String) } };
+}
+
+/**
+ * Per-player attendance from score records (from lib/storage):
+ *   [{ playerId, teamId, name, removed, nightsPlayed, nightsRecorded, lastPlayed }]
+ * nightsRecorded counts the team's nights that had attendance taken, so
+ * nightsPlayed / nightsRecorded is a fair attendance rate. Most nights first.
+ */
+function attendanceStats(scores, players) {
+  const recorded = {};
+  const played = {};
+  const last = {};
+  for (const s of scores) {
+    if (s.headcount === null || s.headcount === undefined) continue;
+    recorded[s.teamId] = (recorded[s.teamId] || 0) + 1;
+    for (const id of s.playerIds || []) {
+      played[id] = (played[id] || 0) + 1;
+      if ((s.date || '') > (last[id] || '')) last[id] = s.date;
+    }
+  }
+
+  return players
+    .map((p) => ({
+      playerId: p.playerId,
+      teamId: p.teamId,
+      name: p.name,
+      removed: Boolean(p.removedAt),
+      nightsPlayed: played[p.playerId] || 0,
+      nightsRecorded: recorded[p.teamId] || 0,
+      lastPlayed: last[p.playerId] || '',
+    }))
+    .sort((a, b) => b.nightsPlayed - a.nightsPlayed || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  MAX_ROSTER_SIZE, buildPlayers, checkAttendance, attendanceStats,
+};
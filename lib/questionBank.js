@@ -0,0 +1,261 @@
+/**
+ * lib/questionBank.js
+ * The question bank — every generated question is kept, whether or not it
+ * was ever read out, so unused ones can be pulled into a later night and
+ * bad ones can be flagged or retired.
+ *
+ * Bank question: { questionId, round, category, location, question, answer,
+ *                  alternates: string[], note, difficulty, tags: string[],
+ *                  status, statusNote, source, createdAt, updatedAt,
+ *                  reservedBy, reservedAt }
+ *
+ * Usage (how many times and where a question was asked) isn't stored on the
+ * bank row — it comes from QuestionLog, which gets a row for each question
+ * when a host marks a saved night played (lib/nights.js). Log rows carry
+ * the bank's questionId; older rows are matched by question text.
+ *
+ * Pulled questions are reserved so another pull doesn't hand them out again
+ * before they're asked: first under a 'hold_' id that lapses after a day,
+ * then under the draft night they're saved in (reserveForNight). Discarding
+ * the draft releases them; playing it logs them, so they count as used.
+ *
+ * Usage:
+ *   const { bankRound, pullFromBank } = require('../lib/questionBank');
+ *   await bankRound(round);                       // after generating
+ *   const { questions } = await pullFromBank('round3', { count: 10 });
+ *   await reserveForNight(night.nightId, night.rounds);   // when it's saved
+ */
+
+const { questionBank, questionLog } = require('./storage');
+
+const STATUSES = ['active', 'flagged', 'retired'];
+
+// How long a pull holds its questions before they're saved in a night
+const HOLD_MS = 24 * 60 * 60 * 1000;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/** Comparison key for question text: case, spacing and punctuation ignored. */
+function questionKey(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function generateQuestionId() {
+  return `qb_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function generateHoldId() {
+  return `hold_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/** True while someone other than `holder` has the question set aside. */
+function reservedByOther(q, holder, now = Date.now()) {
+  if (!q.reservedBy || q.reservedBy === holder) return false;
+  return !q.reservedBy.startsWith('hold_') || Date.parse(q.reservedAt) > now - HOLD_MS;
+}
+
+/** Normalize a tag list (array or comma-separated string) to lower-case tags. */
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Add a generated round's questions to the bank and stamp each question with
+ * its questionId. Questions already in the bank keep their existing id.
+ * Returns the same round object.
+ */
+async function bankRound(round) {
+  const bank = await questionBank.list();
+  const byKey = new Map(bank.map((q) => [questionKey(q.question), q.questionId]));
+  const now = new Date().toISOString();
+  const added = [];
+
+  for (const q of round.questions || []) {
+    const key = questionKey(q.question);
+    if (!key) continue;
+    if (!byKey.has(key)) {
+      const entry = {
+        questionId: generateQuestionId(),
+        round: round.round,
+        category: round.category || '',
+        location: round.round === 'round2' ? round.location || '' : '',
+        question: q.question,
+        answer: q.answer,
+        alternates: q.alternates || [],
+        note: q.note || '',
+        difficulty: q.difficulty || '',
+        tags: round.theme ? parseTags([round.theme]) : [],
+        status: 'active',
+        statusNote: '',
+        source: 'generated',
+        createdAt: now,
+        updatedAt: now,
+      };
+      added.push(entry);
+      byKey.set(key, entry.questionId);
+    }
+    q.questionId = byKey.get(key);
+  }
+
+  await questionBank.addMany(added);
+  return round;
+}
+
+/**
+ * Usage per questionId from the QuestionLog:
+ *   Map<questionId, { timesAsked, locations, weeks, lastAskedAt }>
+ */
+async function usageByQuestion(bank) {
+  const idByKey = new Map(bank.map((q) => [questionKey(q.question), q.questionId]));
+  const usage = new Map();
+
+  for (const row of await questionLog.list()) {
+    const id = row.questionId || idByKey.get(questionKey(row.question));
+    if (!id) continue;
+    if (!usage.has(id)) usage.set(id, { timesAsked: 0, locations: [], weeks: [], lastAskedAt: '' });
+    const u = usage.get(id);
+    u.timesAsked += 1;
+    if (row.location && !u.locations.includes(row.location)) u.locations.push(row.location);
+    if (row.week && !u.weeks.includes(String(row.week))) u.weeks.push(String(row.week));
+    if (row.savedAt > u.lastAskedAt) u.lastAskedAt = row.savedAt;
+  }
+  return usage;
+}
+
+const NO_USAGE = Object.freeze({ timesAsked: 0, locations: [], weeks: [], lastAskedAt: '' });
+
+/** Every bank question with its `usage` attached. */
+async function listWithUsage() {
+  const bank = await questionBank.list();
+  const usage = await usageByQuestion(bank);
+  return bank.map((q) => ({ ...q, usage: usage.get(q.questionId) || NO_USAGE }));
+}
+
+/**
+ * Search the bank. Every filter is optional:
+ *   round, category (substring), location, week (asked in that week),
+ *   difficulty, tags (all must match), status ('all' for any; default
+ *   'active'), used (true/false), text (substring of question or answer),
+ *   visibleTo (a location — hides other stores' location-specific questions)
+ */
+async function searchBank(filters = {}) {
+  const { round, category, location, week, difficulty, status = 'active', used, text, visibleTo } = filters;
+  const tags = parseTags(filters.tags);
+  const cat = (category || '').toLowerCase();
+  const needle = (text || '').toLowerCase();
+
+  return (await listWithUsage()).filter((q) => {
+    if (round && q.round !== round) return false;
+    if (cat && !q.category.toLowerCase().includes(cat)) return false;
+    if (location && q.location !== location && !q.usage.locations.includes(location)) return false;
+    if (visibleTo && q.location && q.location !== visibleTo) return false;
+    if (week && !q.usage.weeks.includes(String(week))) return false;
+    if (difficulty && q.difficulty !== difficulty) return false;
+    if (tags.length && !tags.every((t) => q.tags.includes(t))) return false;
+    if (status !== 'all' && q.status !== status) return false;
+    if (used === true && q.usage.timesAsked === 0) return false;
+    if (used === false && q.usage.timesAsked > 0) return false;
+    if (needle && !`${q.question} ${q.answer}`.toLowerCase().includes(needle)) return false;
+    return true;
+  });
+}
+
+/**
+ * Pick `count` active, never-asked questions for a round, oldest first, and
+ * reserve them for `nightId` (a draft being edited) or else a new hold.
+ * Questions another pull or draft has reserved are skipped.
+ * Returns { questions, available, reservedBy } — questions is empty when
+ * fewer than `count` are available, so callers can fall back to generating.
+ */
+async function pullFromBank(round, { count, category, location, difficulty, tags, exclude = [], nightId } = {}) {
+  const skip = new Set(exclude.map(questionKey));
+  const holder = nightId || generateHoldId();
+  const now = Date.now();
+  const candidates = (await searchBank({ round, category, difficulty, tags, used: false, visibleTo: location }))
+    .filter((q) => !skip.has(questionKey(q.question)))
+    .filter((q) => !reservedByOther(q, holder, now))
+    .filter((q) => round !== 'round2' || !location || q.location === location)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  if (candidates.length < count) return { questions: [], available: candidates.length, reservedBy: '' };
+
+  const picked = candidates.slice(0, count);
+  const ids = new Set(picked.map((q) => q.questionId));
+  const reservedAt = new Date(now).toISOString();
+  await questionBank.updateMany((q) => (ids.has(q.questionId) ? { reservedBy: holder, reservedAt } : null));
+
+  const questions = picked.map((q, i) => ({
+    number: i + 1,
+    question: q.question,
+    answer: q.answer,
+    alternates: q.alternates,
+    note: q.note || '',
+    difficulty: q.difficulty || '',
+    questionId: q.questionId,
+  }));
+  return { questions, available: candidates.length, reservedBy: holder };
+}
+
+/**
+ * Move the bank questions in a draft night's rounds onto the night's own
+ * reservation, and release any it held that are no longer in it. Pass no
+ * rounds to release everything the night held, e.g. when it's discarded.
+ */
+async function reserveForNight(nightId, rounds = []) {
+  const ids = new Set(rounds.flatMap((r) => r.questions || []).map((q) => q.questionId).filter(Boolean));
+  const reservedAt = new Date().toISOString();
+  await questionBank.updateMany((q) => {
+    if (ids.has(q.questionId)) return q.reservedBy === nightId ? null : { reservedBy: nightId, reservedAt };
+    return q.reservedBy === nightId ? { reservedBy: '', reservedAt: '' } : null;
+  });
+}
+
+/**
+ * Add every QuestionLog question that isn't in the bank yet (source 'log'),
+ * so questions printed before the bank existed are searchable and count as
+ * used. Returns how many were added.
+ */
+async function importFromLog() {
+  const known = new Set((await questionBank.list()).map((q) => questionKey(q.question)));
+  const now = new Date().toISOString();
+  const entries = [];
+
+  for (const row of await questionLog.list()) {
+    const key = questionKey(row.question);
+    if (!key || known.has(key)) continue;
+    known.add(key);
+    entries.push({
+      questionId: generateQuestionId(),
+      round: row.round || '',
+      category: row.category || '',
+      location: row.round === 'round2' ? row.location || '' : '',
+      question: row.question,
+      answer: row.answer || '',
+      alternates: row.alternates,
+      note: row.note || '',
+      difficulty: row.difficulty || '',
+      tags: [],
+      status: 'active',
+      statusNote: '',
+      source: 'log',
+      createdAt: row.savedAt || now,
+      updatedAt: now,
+    });
+  }
+
+  await questionBank.addMany(entries);
+  return entries.length;
+}
+
+module.exports = {
+  STATUSES,
+  DIFFICULTIES,
+  questionKey,
+  parseTags,
+  bankRound,
+  listWithUsage,
+  searchBank,
+  pullFromBank,
+  reserveForNight,
+  importFromLog,
+};
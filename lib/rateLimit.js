@@ -0,0 +1,63 @@
+/**
+ * lib/rateLimit.js
+ * Per-client limits for public endpoints — at most `limit` requests in a
+ * sliding `windowMs`. Each request is appended to the RateLimits table as
+ * its own row, then the client's rows are counted, so every serverless
+ * instance counts the same requests and two at once can't both slip under
+ * the limit. Client IPs are stored hashed. Expired rows are deleted by the
+ * daily sweep (api/sweep.js), never from a request.
+ *
+ * Usage:
+ *   const { hitLimit } = require('../lib/rateLimit');
+ *   const { allowed, retryAfterSeconds } = await hitLimit('register', req, { limit: 5, windowMs: 3600000 });
+ *   if (!allowed) { res.setHeader('Retry-After', retryAfterSeconds); return res.status(429)... }
+ */
+
+const crypto = require('crypto');
+const { rateLimits } = require('./storage');
+
+/** The caller's IP — Vercel puts the real client first in x-forwarded-for. */
+function clientIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function clientKey(req) {
+  return crypto.createHash('sha256').update(clientIp(req)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Count one request from this client against `bucket`. Refused requests
+ * count too, so a client that keeps trying stays locked out until it backs
+ * off for the window.
+ * Returns { allowed, remaining, retryAfterSeconds }.
+ */
+async function hitLimit(bucket, req, { limit, windowMs }) {
+  const client = clientKey(req);
+  const now = Date.now();
+
+  const hit = {
+    hitId: `hit_${now}_${Math.random().toString(36).slice(2, 6)}`,
+    bucket,
+    client,
+    at: new Date(now).toISOString(),
+    expiresAt: new Date(now + windowMs).toISOString(),
+  };
+  await rateLimits.record(hit);
+
+  // Oldest first, so of several requests at once the earliest get through;
+  // the sort is stable, so hits in the same millisecond stay in append order
+  const hits = (await rateLimits.list())
+    .filter((h) => h.bucket === bucket && h.client === client && Date.parse(h.at) > now - windowMs)
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  const position = hits.findIndex((h) => h.hitId === hit.hitId);
+  if (position >= limit) {
+    // Allowed again once enough of these have aged out to leave room for one more
+    const retryAt = Date.parse(hits[position - limit + 1].at) + windowMs;
+    return { allowed: false, remaining: 0, retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now) / 1000)) };
+  }
+  return { allowed: true, remaining: limit - position - 1, retryAfterSeconds: 0 };
+}
+
+module.exports = { hitLimit };
@@ -0,0 +1,184 @@
+/**
+ * lib/roundSchema.js
+ * What a generated round must look like, and a checker that says exactly
+ * which questions break the rules — so api/trivia.js can re-ask the model for
+ * just those questions instead of throwing the round away.
+ *
+ * Every round: exactly ROUND_META[round].questionCount questions (10, 8 or 1),
+ * each a non-empty { question, answer }, open-answer (no multiple choice).
+ * Per-round limits are in ROUND_RULES.
+ *
+ * Questions also carry answer-key details for the host — they're tidied up
+ * rather than re-asked for, so a reply that leaves them out still passes:
+ *   alternates — other answers to accept (string[], may be empty)
+ *   note       — one-line source or supporting fact ('' when missing)
+ *   difficulty — 'easy' | 'medium' | 'hard' ('' when missing or unrecognized)
+ *
+ * Usage:
+ *   const { checkRound, applyRepairs, toQuestions } = require('../lib/roundSchema');
+ *   let { slots, violations } = checkRound('lightning', raw);
+ *   if (violations.length) ({ slots, violations } = applyRepairs('lightning', slots, repairRaw));
+ *   const questions = toQuestions(slots);
+ */
+
+const { ROUND_META } = require('./rounds');
+
+// Limits stated in the round prompts ("20 words or fewer", "1–3 words")
+const ROUND_RULES = {
+  round1:    {},
+  round2:    {},
+  round3:    { maxQuestionWords: 20 },
+  lightning: { maxQuestionWords: 20, maxAnswerWords: 3 },
+  lastcall:  {},
+};
+
+// "A) … B) …", "Options:", "Which of the following…"
+const CHOICE_LABEL = /(?:^|\s)\(?[A-Da-d][).:]\s+\S/g;
+const CHOICE_WORDS = /\b(?:options|choices)\s*:|\bwhich of the following\b/i;
+const CHOICE_ANSWER = /^\(?[A-Da-d]\)\s|^[A-D][.:]\s/;
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_ALTERNATES = 5;
+
+function wordCount(text) {
+  return String(text).trim().split(/\s+/).filter(Boolean).length;
+}
+
+/** Answer word count, not counting a leading article ('The Beatles' is 1). */
+function answerWordCount(answer) {
+  return wordCount(String(answer).trim().replace(/^(?:the|a|an)\s+/i, ''));
+}
+
+/** Everything wrong with one question from the model; empty when it's fine. */
+function problemsFor(round, item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['not a { question, answer } object'];
+  }
+  const question = typeof item.question === 'string' ? item.question.trim() : '';
+  const answer = typeof item.answer === 'string' || typeof item.answer === 'number'
+    ? String(item.answer).trim() : '';
+  const rules = ROUND_RULES[round] || {};
+  const problems = [];
+
+  if (!question) problems.push('question is missing');
+  if (!answer) problems.push('answer is missing');
+  if (question && rules.maxQuestionWords && wordCount(question) > rules.maxQuestionWords) {
+    problems.push(`question is ${wordCount(question)} words — the limit is ${rules.maxQuestionWords}`);
+  }
+  if (answer && rules.maxAnswerWords && answerWordCount(answer) > rules.maxAnswerWords) {
+    problems.push(`answer is ${answerWordCount(answer)} words — the limit is ${rules.maxAnswerWords}`);
+  }
+  if ((question.match(CHOICE_LABEL) || []).length >= 2 || CHOICE_WORDS.test(question) || CHOICE_ANSWER.test(answer)) {
+    problems.push('reads as multiple choice — questions must be open-answer');
+  }
+  return problems;
+}
+
+/** The model's reply as a list: Last Call sends one object, some replies wrap the list. */
+function toItems(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (raw && Array.isArray(raw.questions)) return raw.questions;
+  return raw === undefined || raw === null ? [] : [raw];
+}
+
+function violationsOf(slots) {
+  return slots
+    .map((slot, i) => ({ number: i + 1, item: slot.item, problems: slot.problems }))
+    .filter((v) => v.problems.length > 0);
+}
+
+/**
+ * Check a model reply against the round's schema.
+ * Returns { slots, violations }:
+ *   slots      — exactly questionCount { item, problems } entries, in order
+ *   violations — [{ number, item, problems }] for the slots that need redoing
+ *                (item is null for a question the reply left out)
+ * Valid questions past the expected count fill invalid or missing slots first.
+ */
+function checkRound(round, raw) {
+  const { questionCount } = ROUND_META[round];
+  const items = toItems(raw);
+  const slots = items.slice(0, questionCount).map((item) => ({ item, problems: problemsFor(round, item) }));
+  const spares = items.slice(questionCount).filter((item) => problemsFor(round, item).length === 0);
+
+  for (const slot of slots) {
+    if (slot.problems.length && spares.length) Object.assign(slot, { item: spares.shift(), problems: [] });
+  }
+  while (slots.length < questionCount) {
+    slots.push(spares.length
+      ? { item: spares.shift(), problems: [] }
+      : { item: null, problems: ['missing — the reply had too few questions'] });
+  }
+  return { slots, violations: violationsOf(slots) };
+}
+
+/**
+ * Put a repair reply's questions into the invalid slots, in order. A
+ * replacement that's still invalid takes the slot with its own problems, so
+ * the next repair prompt describes the latest attempt.
+ */
+function applyRepairs(round, slots, raw) {
+  const replacements = toItems(raw);
+  const next = slots.map((slot) => {
+    if (!slot.problems.length || !replacements.length) return slot;
+    const item = replacements.shift();
+    return { item, problems: problemsFor(round, item) };
+  });
+  return { slots: next, violations: violationsOf(next) };
+}
+
+/**
+ * Accepted alternates as a clean list: a single string is split on ';' or
+ * '|', and blanks and repeats of the answer itself are dropped.
+ */
+function cleanAlternates(alternates, answer) {
+  const list = Array.isArray(alternates) ? alternates
+    : typeof alternates === 'string' ? alternates.split(/[;|]/) : [];
+  const seen = new Set([String(answer).trim().toLowerCase()]);
+  const out = [];
+  for (const alt of list) {
+    if (typeof alt !== 'string' && typeof alt !== 'number') continue;
+    const text = String(alt).trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    out.push(text);
+  }
+  return out.slice(0, MAX_ALTERNATES);
+}
+
+/** The host note on one line. */
+function cleanNote(note) {
+  return typeof note === 'string' ? note.replace(/\s+/g, ' ').trim() : '';
+}
+
+function cleanDifficulty(difficulty) {
+  const d = typeof difficulty === 'string' ? difficulty.trim().toLowerCase() : '';
+  return DIFFICULTIES.includes(d) ? d : '';
+}
+
+/** Numbered, trimmed questions (with their answer-key details) from fully valid slots. */
+function toQuestions(slots) {
+  return slots.map(({ item }, i) => {
+    const answer = String(item.answer).trim();
+    return {
+      number: i + 1,
+      question: String(item.question).trim(),
+      answer,
+      alternates: cleanAlternates(item.alternates, answer),
+      note: cleanNote(item.note),
+      difficulty: cleanDifficulty(item.difficulty),
+    };
+  });
+}
+
+module.exports = {
+  ROUND_RULES,
+  DIFFICULTIES,
+  problemsFor,
+  cleanAlternates,
+  cleanNote,
+  cleanDifficulty,
+  checkRound,
+  applyRepairs,
+  toQuestions,
+};
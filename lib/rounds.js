@@ -0,0 +1,28 @@
+/**
+ * lib/rounds.js
+ * The league's game format — one place for round names, question counts,
+ * points and table size, shared by the question generator and score
+ * validation.
+ *
+ *   round1     Grain's House Round   10 questions × 1pt
+ *   round2     Weekly Theme          10 questions × 1pt
+ *   round3     General Knowledge     10 questions × 1pt
+ *   lightning  Lightning Round        8 questions × 2pts
+ *   lastcall   Last Call              1 question, wagered
+ */
+
+const ROUND_META = {
+  round1:    { title: "Grain's House Round",  pointsEach: 1,         questionCount: 10 },
+  round2:    { title: 'Weekly Theme',          pointsEach: 1,         questionCount: 10 },
+  round3:    { title: 'General Knowledge',     pointsEach: 1,         questionCount: 10 },
+  lightning: { title: 'Lightning Round',       pointsEach: 2,         questionCount: 8 },
+  lastcall:  { title: 'Last Call',             pointsEach: 'wagered', questionCount: 1 },
+};
+
+// Teams that don't hand in a Last Call wager card forfeit this many points
+const LAST_CALL_NO_CARD_PENALTY = 5;
+
+// Most players allowed at one table on a game night (roster players and guests)
+const MAX_TEAM_SIZE = 6;
+
+module.exports = { ROUND_META, LAST_CALL_NO_CARD_PENALTY, MAX_TEAM_SIZE };
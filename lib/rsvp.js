@@ -0,0 +1,107 @@
+/**
+ * lib/rsvp.js
+ * Weekly check-in — which game night an RSVP counts for, how a night's
+ * RSVPs add up for the host, and the captains' RSVP codes.
+ *
+ * A captain always answers for their location's next game night: today if
+ * today is game night, otherwise the next day matching the location's
+ * gameNight (today when it has none). Dates are calendar dates in
+ * LEAGUE_TIMEZONE, so answering late on game night still lands on that night.
+ *
+ * Team IDs are public, so answering without this week's emailed link takes
+ * the team's RSVP code — 8 letters and digits, e.g. 'K7QM-4XPT', handed out
+ * when the captain confirms their email (or by a host, for a new one). Only
+ * a hash is stored, in the team's RsvpCodeHash column.
+ *
+ * Env vars:
+ *   LEAGUE_TIMEZONE — IANA time zone the locations are in, e.g.
+ *                     'America/Chicago' (default 'UTC')
+ *
+ * Usage:
+ *   const { nextGameNight, expectedTeams } = require('../lib/rsvp');
+ *   const date = nextGameNight(await findLocation(team.location));
+ */
+
+const crypto = require('crypto');
+const { teams: teamsRepo } = require('./storage');
+const { hashSecret, secretMatches } = require('./secretHash');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Checked-in teams first, then the ones that haven't said, then the no-shows
+const RESPONSE_ORDER = { yes: 0, '': 1, no: 2 };
+
+// No 0/O or 1/I — codes get read out at the bar
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/** Today's date (YYYY-MM-DD) in the league's time zone. */
+function leagueToday(now = new Date()) {
+  const timeZone = (process.env.LEAGUE_TIMEZONE || '').trim() || 'UTC';
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+/** The date (YYYY-MM-DD) of a location's next game night, counting today. */
+function nextGameNight(location, now = new Date()) {
+  const today = leagueToday(now);
+  const target = WEEKDAYS.indexOf(location?.gameNight);
+  if (target === -1) return today;
+  const start = Date.parse(`${today}T00:00:00Z`);
+  const days = (target - new Date(start).getUTCDay() + 7) % 7;
+  return new Date(start + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * A location's teams with their RSVP for one night, checked-in first.
+ * `teams` should be the location's playing teams; RSVPs from anyone else
+ * are ignored.
+ * Returns { teams: [{ teamId, teamName, response, headcount, respondedAt }],
+ *           summary: { yes, no, noReply, expectedPlayers } }
+ * response is '' for a team that hasn't answered. expectedPlayers adds up the
+ * headcounts the checked-in teams gave.
+ */
+function expectedTeams(teams, rsvps) {
+  const byTeam = Object.fromEntries(rsvps.map((r) => [r.teamId, r]));
+  const rows = teams
+    .map((t) => ({
+      teamId: t.teamId,
+      teamName: t.teamName,
+      response: byTeam[t.teamId]?.response || '',
+      headcount: byTeam[t.teamId]?.headcount ?? null,
+      respondedAt: byTeam[t.teamId]?.respondedAt || '',
+    }))
+    .sort((a, b) => RESPONSE_ORDER[a.response] - RESPONSE_ORDER[b.response] || a.teamName.localeCompare(b.teamName));
+
+  const count = (response) => rows.filter((r) => r.response === response).length;
+  return {
+    teams: rows,
+    summary: {
+      yes: count('yes'),
+      no: count('no'),
+      noReply: count(''),
+      expectedPlayers: rows.filter((r) => r.response === 'yes').reduce((sum, r) => sum + (r.headcount || 0), 0),
+    },
+  };
+}
+
+/** 'k7qm 4xpt' → 'K7QM-4XPT', so however it's typed it hashes the same. */
+function normaliseCode(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/** Give a team a new RSVP code, replacing any earlier one. Returns the code. */
+async function issueRsvpCode(teamId) {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  const code = normaliseCode(chars.join(''));
+  await teamsRepo.update(teamId, { rsvpCodeHash: hashSecret(code) });
+  return code;
+}
+
+/** True if `code` is the team's current RSVP code. */
+async function rsvpCodeMatches(teamId, code) {
+  const stored = await teamsRepo.rsvpCodeHash(teamId);
+  return Boolean(stored) && secretMatches(stored, normaliseCode(code));
+}
+
+module.exports = { nextGameNight, expectedTeams, issueRsvpCode, rsvpCodeMatches };
@@ -0,0 +1,105 @@
+/**
+ * lib/scoring.js
+ * Score-sheet validation for one team's night, following lib/rounds.js.
+ *
+ * Input (all rounds optional — blank means not played):
+ *   {
+ *     round1, round2, round3,        // 0–10, whole points
+ *     lightning,                      // 0–16, steps of 2
+ *     lastCall: { wager, outcome },   // outcome: 'correct' | 'incorrect' | 'nocard'
+ *     bonus,                          // optional host bonus, ≥ 0
+ *   }
+ *
+ * Last Call rules:
+ *   • The wager is checked against the team's pre-Last-Call score
+ *     (rounds 1–3 + lightning): 1 up to that score, or exactly 0 when the
+ *     team has no points yet.
+ *   • correct → +wager, incorrect → −wager, nocard → −5 (no wager).
+ *
+ * Returns { errors: string[], breakdown } where breakdown is
+ *   { round1, round2, round3, lightning, preLastCall,
+ *     lastCall: { wager, outcome, points } | null, bonus, total }
+ */
+
+const { ROUND_META, LAST_CALL_NO_CARD_PENALTY } = require('./rounds');
+
+const SCORED_ROUNDS = ['round1', 'round2', 'round3', 'lightning'];
+const LAST_CALL_OUTCOMES = ['correct', 'incorrect', 'nocard'];
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+/** Max points and step for a fixed-value round, from ROUND_META. */
+function roundLimits(key) {
+  const { pointsEach, questionCount } = ROUND_META[key];
+  return { max: pointsEach * questionCount, step: pointsEach };
+}
+
+function scoreSheet(input = {}) {
+  const errors = [];
+  const breakdown = {};
+
+  for (const key of SCORED_ROUNDS) {
+    const raw = input[key];
+    if (isBlank(raw)) { breakdown[key] = null; continue; }
+
+    const value = Number(raw);
+    const { max, step } = roundLimits(key);
+    const label = ROUND_META[key].title;
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      errors.push(`${key} (${label}) must be a whole number from 0 to ${max}`);
+    } else if (value % step !== 0) {
+      errors.push(`${key} (${label}) must be in steps of ${step}`);
+    }
+    breakdown[key] = value;
+  }
+
+  breakdown.preLastCall = SCORED_ROUNDS.reduce((sum, k) => sum + (breakdown[k] || 0), 0);
+
+  breakdown.lastCall = null;
+  const lc = input.lastCall;
+  if (lc && !isBlank(lc.outcome)) {
+    const outcome = String(lc.outcome).toLowerCase();
+    if (!LAST_CALL_OUTCOMES.includes(outcome)) {
+      errors.push(`lastCall.outcome must be one of: ${LAST_CALL_OUTCOMES.join(', ')}`);
+    } else if (outcome === 'nocard') {
+      breakdown.lastCall = { wager: null, outcome, points: -LAST_CALL_NO_CARD_PENALTY };
+    } else {
+      const wager = Number(lc.wager);
+      const pre = breakdown.preLastCall;
+      if (isBlank(lc.wager) || !Number.isInteger(wager)) {
+        errors.push('lastCall.wager must be a whole number');
+      } else if (pre === 0 && wager !== 0) {
+        errors.push('lastCall.wager must be 0 for a team with no points before Last Call');
+      } else if (pre > 0 && (wager < 1 || wager > pre)) {
+        errors.push(`lastCall.wager must be between 1 and the team's pre-Last-Call score (${pre})`);
+      }
+      breakdown.lastCall = { wager, outcome, points: outcome === 'correct' ? wager : -wager };
+    }
+  } else if (lc && !isBlank(lc.wager)) {
+    errors.push('lastCall.outcome is required when a wager is given');
+  }
+
+  const bonus = isBlank(input.bonus) ? 0 : Number(input.bonus);
+  if (!Number.isInteger(bonus) || bonus < 0) {
+    errors.push('bonus must be a whole number of 0 or more');
+  }
+  breakdown.bonus = bonus;
+
+  breakdown.total = breakdown.preLastCall + (breakdown.lastCall?.points || 0) + (bonus || 0);
+
+  return { errors, breakdown };
+}
+
+/** Error message if `week` is outside the season's weeks, else null. */
+function checkWeek(season, week) {
+  const n = Number(week);
+  if (!Number.isInteger(n) || n < 1) return 'week must be a whole number of 1 or more';
+  if (season?.weeks && n > season.weeks) {
+    return `week must be between 1 and ${season.weeks} for ${season.name}`;
+  }
+  return null;
+}
+
+module.exports = { scoreSheet, checkWeek, SCORED_ROUNDS, LAST_CALL_OUTCOMES };
@@ -0,0 +1,31 @@
+/**
+ * lib/secretHash.js
+ * Salted scrypt hashes for secrets the league has to check but never show
+ * again — location host keys and team RSVP codes. Stored as
+ * 'scrypt$<salt>$<hash>'.
+ *
+ * Usage:
+ *   const { hashSecret, secretMatches } = require('../lib/secretHash');
+ *   const stored = hashSecret(code);
+ *   if (secretMatches(stored, attempt)) { ... }
+ */
+
+const crypto = require('crypto');
+
+/** Hash a secret for storage. */
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = crypto.scryptSync(String(secret), salt, 32).toString('base64url');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/** True if `secret` is the one `stored` was made from. */
+function secretMatches(stored, secret) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(String(secret), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashSecret, secretMatches };
@@ -81,6 +81,20 @@ async function updateRange(range, values) {
   });
 }
 
+/**
+ * Overwrite several ranges in a single API call.
+ * @param {Array<{ range: string, values: Array[][] }>} data
+ */
+async function updateRanges(data) {
+  if (!SPREADSHEET_ID) throw new Error('GOOGLE_SPREADSHEET_ID is not set');
+  if (!data || data.length === 0) return;
+  const sheets = await getSheetsClient();
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { valueInputOption: 'USER_ENTERED', data },
+  });
+}
+
 /**
  * Clear all values in a range without removing formatting.
  * @param {string} range  e.g. 'Standings!A2:I1000'
@@ -113,6 +127,39 @@ async function appendRows(sheetName, rows) {
   });
 }
 
+/**
+ * Delete rows from a sheet tab in a single API call, shifting the rows below
+ * up. Rows outside the ones deleted are never rewritten, so rows appended
+ * meanwhile are kept.
+ * @param {string}   sheetName  Tab name only (e.g. 'RateLimits')
+ * @param {number[]} indexes    0-based sheet row indexes (0 is row 1)
+ */
+async function deleteRows(sheetName, indexes) {
+  if (!SPREADSHEET_ID) throw new Error('GOOGLE_SPREADSHEET_ID is not set');
+  if (!indexes || indexes.length === 0) return;
+  const sheets = await getSheetsClient();
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId: SPREADSHEET_ID,
+    fields: 'sheets.properties(sheetId,title)',
+  });
+  const sheetId = meta.data.sheets?.find((s) => s.properties.title === sheetName)?.properties.sheetId;
+  if (sheetId === undefined) throw new Error(`Sheet tab "${sheetName}" not found`);
+
+  // Contiguous runs, bottom-up so each deletion leaves the rows above it in place
+  const runs = [];
+  for (const index of [...new Set(indexes)].sort((a, b) => b - a)) {
+    const run = runs[runs.length - 1];
+    if (run && run.startIndex === index + 1) run.startIndex = index;
+    else runs.push({ startIndex: index, endIndex: index + 1 });
+  }
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: {
+      requests: runs.map((range) => ({ deleteDimension: { range: { sheetId, dimension: 'ROWS', ...range } } })),
+    },
+  });
+}
+
 /**
  * Create a new sheet tab. Silently ignores the error if the tab already exists.
  * @param {string} title  Tab name to create
@@ -133,4 +180,6 @@ async function createSheetTab(title) {
   }
 }
 
-module.exports = { readRange, appendRow, appendRows, updateRange, clearRange, createSheetTab };
+module.exports = {
+  readRange, appendRow, appendRows, updateRange, updateRanges, clearRange, deleteRows, createSheetTab,
+};
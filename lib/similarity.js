@@ -0,0 +1,224 @@
+/**
+ * lib/similarity.js
+ * Local near-duplicate detection for trivia questions — no model call.
+ *
+ * Exact-string dedupe misses the repeats that actually happen: the model
+ * rewords last month's question ("Which country gifted the Statue of
+ * Liberty?" / "The Statue of Liberty was a gift from which nation?").
+ * Questions are compared by TF-IDF cosine similarity over normalized word
+ * tokens and word pairs, and a matching answer lowers the bar.
+ *
+ *   duplicate — almost certainly the same question; regenerate it
+ *   similar   — probably asks about the same fact; worth a look
+ *
+ * Usage:
+ *   const { buildIndex, findRepeat } = require('../lib/similarity');
+ *   const index = buildIndex(logRows);   // [{ question, answer, ... }]
+ *   const repeat = findRepeat(index, { question, answer });
+ *   if (repeat) console.log(repeat.verdict, repeat.score, repeat.match);
+ */
+
+// Minimum cosine score for each verdict. A matching answer means a reworded
+// question needs far less wording in common; a different answer means the
+// wording has to be nearly identical before it counts.
+const THRESHOLDS = {
+  sameAnswer:      { duplicate: 0.35, similar: 0.2 },
+  unknownAnswer:   { duplicate: 0.75, similar: 0.5 },
+  differentAnswer: { duplicate: 0.85, similar: 0.6 },
+};
+
+const STOPWORDS = new Set(`
+  a an the and or but of to in on at by for with from as into onto about over under
+  is are was were be been being am do does did has have had can could will would
+  shall should may might must this that these those it its it's which what who whom
+  whose when where why how than then there their they them he she his her him we our
+  you your i me my one first name named called known also only just so such very
+  following not no yes if out up down off
+`.trim().split(/\s+/));
+
+/** Lower-case word tokens with punctuation, stopwords and plural -s removed. */
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((t) => t && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/** Crude suffix stripping — enough to match 'gifted'/'gift', 'producer'/'produces'. */
+function stem(t) {
+  if (/^\d+$/.test(t)) return t;
+  if (t.length > 4 && t.endsWith('ies')) return `${t.slice(0, -3)}y`;
+  for (const suffix of ['ing', 'ed', 'er', 'es', 's']) {
+    if (t.endsWith(suffix) && t.length - suffix.length >= 4 && !t.endsWith('ss')) {
+      return t.slice(0, -suffix.length);
+    }
+  }
+  return t;
+}
+
+/** Answer comparison key: no leading article, punctuation or case. */
+function answerKey(answer) {
+  return String(answer || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+/**
+ * Whether two answers name the same thing ('Everest' ~ 'Mount Everest'):
+ * true, false, or null when either answer is missing.
+ */
+function answersMatch(a, b) {
+  const ka = answerKey(a);
+  const kb = answerKey(b);
+  if (!ka || !kb) return null;
+  if (ka === kb) return true;
+  const [short, long] = ka.length <= kb.length ? [ka, kb] : [kb, ka];
+  // Containment only counts for real words, not '1' inside '1999'
+  return short.length >= 4 && ` ${long} `.includes(` ${short} `);
+}
+
+/** Term counts: single tokens plus adjacent pairs (which capture phrasing). */
+function terms(text) {
+  const toks = tokens(text);
+  const counts = new Map();
+  const add = (t) => counts.set(t, (counts.get(t) || 0) + 1);
+  toks.forEach(add);
+  for (let i = 1; i < toks.length; i++) add(`${toks[i - 1]} ${toks[i]}`);
+  return counts;
+}
+
+/**
+ * Build a searchable index over past questions. Each doc is any object with
+ * a `question` (and optionally `answer`); it is returned as-is in matches.
+ */
+function buildIndex(docs) {
+  const entries = [];
+  const df = new Map();
+  for (const doc of docs || []) {
+    const counts = terms(doc.question);
+    if (counts.size === 0) continue;
+    entries.push({ doc, counts });
+    for (const t of counts.keys()) df.set(t, (df.get(t) || 0) + 1);
+  }
+
+  const index = { size: entries.length, df, docs: [], postings: new Map() };
+  for (const { doc, counts } of entries) addVector(index, doc, counts);
+  return index;
+}
+
+/**
+ * An empty index that weighs words like `base` does — for comparing a handful
+ * of new questions with each other, where their own IDF would be meaningless.
+ */
+function scratchIndex(base) {
+  return { size: base.size, df: base.df, docs: [], postings: new Map() };
+}
+
+/** Add one more question to an existing index (weights use its existing IDF). */
+function addToIndex(index, doc) {
+  const counts = terms(doc.question);
+  if (counts.size > 0) addVector(index, doc, counts);
+}
+
+function idf(index, term) {
+  return Math.log((index.size + 1) / ((index.df.get(term) || 0) + 1)) + 1;
+}
+
+/** TF-IDF weights, scaled to unit length so a dot product is the cosine. */
+function vectorFor(index, counts) {
+  const vec = new Map();
+  let norm = 0;
+  for (const [t, n] of counts) {
+    const w = (1 + Math.log(n)) * idf(index, t);
+    vec.set(t, w);
+    norm += w * w;
+  }
+  norm = Math.sqrt(norm) || 1;
+  for (const [t, w] of vec) vec.set(t, w / norm);
+  return vec;
+}
+
+function addVector(index, doc, counts) {
+  const id = index.docs.length;
+  const vec = vectorFor(index, counts);
+  index.docs.push({ doc, vec });
+  for (const t of vec.keys()) {
+    if (!index.postings.has(t)) index.postings.set(t, []);
+    index.postings.get(t).push(id);
+  }
+}
+
+function verdictFor(score, sameAnswer) {
+  const t = sameAnswer === true ? THRESHOLDS.sameAnswer
+    : sameAnswer === false ? THRESHOLDS.differentAnswer
+    : THRESHOLDS.unknownAnswer;
+  if (score >= t.duplicate) return 'duplicate';
+  if (score >= t.similar) return 'similar';
+  return null;
+}
+
+/**
+ * The closest past question to `question`, if it's close enough to count as
+ * a repeat: { verdict, score, sameAnswer, match } — or null.
+ */
+function findRepeat(index, { question, answer }) {
+  const counts = terms(question);
+  if (counts.size === 0 || index.docs.length === 0) return null;
+  const vec = vectorFor(index, counts);
+
+  // Only docs sharing at least one term can score above zero
+  const dots = new Map();
+  for (const [t, w] of vec) {
+    for (const id of index.postings.get(t) || []) {
+      dots.set(id, (dots.get(id) || 0) + w * index.docs[id].vec.get(t));
+    }
+  }
+
+  let best = null;
+  const rank = { duplicate: 2, similar: 1 };
+  for (const [id, dot] of dots) {
+    const { doc } = index.docs[id];
+    const score = Math.min(1, dot);
+    const sameAnswer = answersMatch(answer, doc.answer);
+    const verdict = verdictFor(score, sameAnswer);
+    if (!verdict) continue;
+    if (!best || rank[verdict] > rank[best.verdict] || (verdict === best.verdict && score > best.score)) {
+      best = { verdict, score: Math.round(score * 100) / 100, sameAnswer: sameAnswer === true, match: doc };
+    }
+  }
+  return best;
+}
+
+/**
+ * Drop near-duplicates from a list of question strings, keeping the first of
+ * each group. Used to make avoid lists and history say more in less space.
+ */
+function distinctQuestions(questions) {
+  const kept = scratchIndex(buildIndex(questions.map((question) => ({ question }))));
+
+  const out = [];
+  for (const question of questions) {
+    const repeat = findRepeat(kept, { question });
+    if (repeat && repeat.verdict === 'duplicate') continue;
+    addToIndex(kept, { question });
+    out.push(question);
+  }
+  return out;
+}
+
+module.exports = {
+  THRESHOLDS,
+  tokens,
+  answerKey,
+  answersMatch,
+  buildIndex,
+  scratchIndex,
+  addToIndex,
+  findRepeat,
+  distinctQuestions,
+};
@@ -0,0 +1,119 @@
+/**
+ * lib/standings.js
+ * Season standings computed from score records — shared by api/standings.js
+ * and anything that changes scores after the fact (e.g. resolved disputes)
+ * and needs the cached Standings snapshot to follow.
+ *
+ * Usage:
+ *   const { computeStandings, refreshStandings } = require('../lib/standings');
+ *   const rows = computeStandings(scores, 'Main Street');
+ *   await refreshStandings(seasonId);
+ *   await refreshStandingsFor(changedScores);   // every season they touch
+ */
+
+const { scores: scoresRepo, standings: standingsRepo, seasons } = require('./storage');
+
+// [field, label, compare] — compare(a, b) < 0 when a ranks higher
+const TIEBREAKERS = [
+  ['totalPoints', 'Most season points',        (a, b) => b.totalPoints - a.totalPoints],
+  ['gamesPlayed', 'Most weeks played',         (a, b) => b.gamesPlayed - a.gamesPlayed],
+  ['bestScore',   'Highest single-week score', (a, b) => b.bestScore - a.bestScore],
+  ['teamName',    'Team name (A–Z)',           (a, b) => a.teamName.toLowerCase().localeCompare(b.teamName.toLowerCase())],
+  ['teamId',      'Team ID (A–Z)',             (a, b) => (a.teamId < b.teamId ? -1 : a.teamId > b.teamId ? 1 : 0)],
+];
+
+/**
+ * Aggregate score records (from lib/storage) into per-team stats.
+ */
+function computeStandings(scores, locationFilter) {
+  const data = scores
+    .filter((s) => s.teamId) // must have a TeamID
+    .map((s) => ({
+      date: s.date || '',
+      location: s.location || '',
+      teamId: s.teamId,
+      teamName: s.teamName || 'Unknown',
+      total: s.total,
+    }));
+
+  const filtered = locationFilter
+    ? data.filter((s) => s.location === locationFilter)
+    : data;
+
+  // Aggregate
+  const teamMap = {};
+  for (const score of filtered) {
+    if (!teamMap[score.teamId]) {
+      teamMap[score.teamId] = {
+        teamId: score.teamId,
+        teamName: score.teamName,
+        location: score.location,
+        gamesPlayed: 0,
+        totalPoints: 0,
+        bestScore: 0,
+        lastPlayed: '',
+      };
+    }
+    const t = teamMap[score.teamId];
+    t.gamesPlayed += 1;
+    t.totalPoints += score.total;
+    if (score.total > t.bestScore) t.bestScore = score.total;
+    if (!t.lastPlayed || score.date > t.lastPlayed) t.lastPlayed = score.date;
+  }
+
+  const standings = Object.values(teamMap)
+    .sort(compareTeams)
+    .map((team, i) => ({
+      rank: i + 1,
+      teamId: team.teamId,
+      teamName: team.teamName,
+      location: team.location,
+      gamesPlayed: team.gamesPlayed,
+      totalPoints: team.totalPoints,
+      bestScore: team.bestScore,
+      averageScore:
+        team.gamesPlayed > 0
+          ? Math.round((team.totalPoints / team.gamesPlayed) * 10) / 10
+          : 0,
+      lastPlayed: team.lastPlayed,
+    }));
+
+  return standings;
+}
+
+function compareTeams(a, b) {
+  for (const [, , compare] of TIEBREAKERS) {
+    const diff = compare(a, b);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Recompute one season's standings and replace its cached snapshot in the
+ * Standings table. A blank seasonId means scores from before seasons existed
+ * (every score, as /api/standings does with no season). Returns the rows.
+ */
+async function refreshStandings(seasonId = '') {
+  const season = seasonId ? await seasons.get(seasonId) : null;
+  let all = await scoresRepo.list();
+  if (season) all = all.filter((s) => seasons.contains(season, s));
+  const rows = computeStandings(all, null);
+  await standingsRepo.replace(rows, season?.seasonId || '');
+  return rows;
+}
+
+/** Refresh cached standings for every season one of `scores` belongs to. */
+async function refreshStandingsFor(scores) {
+  if (!scores.length) return;
+  const allSeasons = await seasons.list();
+  const seasonIds = new Set(scores.map((score) => {
+    const season = allSeasons.find((s) => seasons.contains(s, score));
+    return season?.seasonId || '';
+  }));
+  for (const seasonId of seasonIds) await refreshStandings(seasonId);
+}
+
+module.exports = {
+  TIEBREAKERS, computeStandings, compareTeams, refreshStandings, refreshStandingsFor,
+};
@@ -0,0 +1,106 @@
+/**
+ * lib/storage/fileAdapter.js
+ * Local JSON-file storage backend for offline development and tests.
+ *
+ * The whole league lives in one JSON file shaped like the spreadsheet:
+ *   { "<TableName>": { "headers": [...], "rows": [[...], ...] } }
+ *
+ * Cells are stored as strings, the same way the Sheets API hands them
+ * back, so code above the adapter behaves identically on either backend.
+ *
+ * Env vars:
+ *   LOCAL_DATA_FILE  — path to the JSON file (default: .data/league.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function dataFile() {
+  return path.resolve(process.env.LOCAL_DATA_FILE || '.data/league.json');
+}
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(dataFile(), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+function save(db) {
+  const file = dataFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated file
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function toCells(row) {
+  return row.map((v) => (v === undefined || v === null ? '' : String(v)));
+}
+
+function tableOf(db, name) {
+  if (!db[name]) db[name] = { headers: [], rows: [] };
+  return db[name];
+}
+
+async function ensureTable(name, headers) {
+  const db = load();
+  tableOf(db, name).headers = [...headers];
+  save(db);
+}
+
+async function readRows(name, width) {
+  const table = load()[name];
+  if (!table) return [];
+  return table.rows.map((row) => row.slice(0, width));
+}
+
+async function appendRows(name, rows) {
+  if (!rows || rows.length === 0) return;
+  const db = load();
+  tableOf(db, name).rows.push(...rows.map(toCells));
+  save(db);
+}
+
+async function updateRow(name, index, row) {
+  const db = load();
+  const table = tableOf(db, name);
+  if (index < 0 || index >= table.rows.length) {
+    throw new Error(`${name}: row ${index} does not exist`);
+  }
+  table.rows[index] = toCells(row);
+  save(db);
+}
+
+async function updateRows(name, updates) {
+  const db = load();
+  const table = tableOf(db, name);
+  for (const { index } of updates) {
+    if (index < 0 || index >= table.rows.length) {
+      throw new Error(`${name}: row ${index} does not exist`);
+    }
+  }
+  for (const { index, row } of updates) table.rows[index] = toCells(row);
+  save(db);
+}
+
+async function deleteRows(name, indexes) {
+  const db = load();
+  const table = tableOf(db, name);
+  const doomed = new Set(indexes);
+  table.rows = table.rows.filter((row, index) => !doomed.has(index));
+  save(db);
+}
+
+async function replaceRows(name, width, rows) {
+  const db = load();
+  tableOf(db, name).rows = rows.map(toCells);
+  save(db);
+}
+
+module.exports = {
+  ensureTable, readRows, appendRows, updateRow, updateRows, deleteRows, replaceRows,
+};
@@ -0,0 +1,919 @@
+/**
+ * lib/storage/index.js
+ * League storage — repositories for locations, teams and their rosters,
+ * weekly RSVPs, seasons, scores (plus their audit trail), standings, the
+ * question log and bank, answer disputes, phone-played games, saved nights,
+ * settings and rate-limit hits, backed by a pluggable adapter.
+ *
+ * Env vars:
+ *   STORAGE_BACKEND  — 'sheets' (default) or 'file'
+ *                      'file' keeps everything in a local JSON file (see
+ *                      lib/storage/fileAdapter.js) so the league can run
+ *                      offline for development and tests.
+ *
+ * Usage:
+ *   const { teams, scores } = require('../lib/storage');
+ *   const all = await teams.list();
+ */
+
+const { TABLES } = require('./schema');
+const { createTable } = require('./table');
+
+const BACKENDS = {
+  sheets: () => require('./sheetsAdapter'),
+  file:   () => require('./fileAdapter'),
+};
+
+let adapter = null;
+
+/** Resolve the adapter on first use so env vars can be set before then. */
+function getAdapter() {
+  if (!adapter) {
+    const backend = (process.env.STORAGE_BACKEND || 'sheets').trim().toLowerCase();
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    adapter = BACKENDS[backend]();
+  }
+  return adapter;
+}
+
+const tables = Object.fromEntries(
+  Object.entries(TABLES).map(([name, columns]) => [name, createTable(getAdapter, name, columns)])
+);
+
+/** Parse a numeric cell; blank cells become null. */
+function toNumber(v) {
+  return v !== undefined && v !== null && v !== '' ? Number(v) : null;
+}
+
+/**
+ * Parse a flag cell. Sheets turns a written 'true' into a boolean and reads
+ * it back as 'TRUE', so compare case-insensitively.
+ */
+function toBoolean(v) {
+  return String(v ?? '').trim().toUpperCase() === 'TRUE';
+}
+
+// ─── Locations ────────────────────────────────────────────────────────────────
+// Most code should go through lib/locations.js, which caches these and falls
+// back to the built-in locations while the table is empty.
+
+function toLocation(record) {
+  return {
+    slug: record.slug,
+    name: record.name,
+    city: record.city || '',
+    gameNight: record.gameNight || '',
+    capacity: toNumber(record.capacity),
+    hostKeyHash: record.hostKeyHash || '',
+    hostSecretEnv: record.hostSecretEnv || '',
+    active: toBoolean(record.active),
+    createdAt: record.createdAt || '',
+  };
+}
+
+function fromLocation(location) {
+  return {
+    ...location,
+    capacity: location.capacity ?? '',
+    active: location.active ? 'true' : '',
+  };
+}
+
+const locations = {
+  /** Every location row (active or not). Creates the table on first use. */
+  async list() {
+    await tables.Locations.ready();
+    const records = await tables.Locations.list();
+    return records.map(toLocation);
+  },
+  async create(location) {
+    await tables.Locations.ready();
+    await tables.Locations.insert(fromLocation(location));
+    return location;
+  },
+  /** Merge `patch` into a location. Returns the updated location or null. */
+  async update(slug, patch) {
+    await tables.Locations.ready();
+    const current = await tables.Locations.get(slug);
+    if (!current) return null;
+    const merged = { ...toLocation(current), ...patch, slug };
+    await tables.Locations.update(slug, fromLocation(merged));
+    return merged;
+  },
+};
+
+// ─── Teams ────────────────────────────────────────────────────────────────────
+
+// The RSVP code hash stays in here — API responses pass teams straight
+// through, so it's only readable with teams.rsvpCodeHash().
+function toTeam(record) {
+  if (!record) return null;
+  const { rsvpCodeHash, ...team } = record;
+  return team;
+}
+
+const teams = {
+  list: async () => (await tables.Teams.list()).map(toTeam),
+  get: async (teamId) => toTeam(await tables.Teams.get(teamId)),
+  create: (team) => tables.Teams.insert(team),
+  /** Merge `patch` into a team. Returns the updated team or null. */
+  update: async (teamId, patch) => toTeam(await tables.Teams.update(teamId, patch)),
+  /** The team's hashed RSVP code, or '' when none has been issued. */
+  async rsvpCodeHash(teamId) {
+    return (await tables.Teams.get(teamId))?.rsvpCodeHash || '';
+  },
+  /** True for a team that's playing — confirmed, off the waitlist and not deactivated. */
+  isActive: (team) => !team.deactivatedAt && !team.status,
+};
+
+// ─── Players (team rosters) ───────────────────────────────────────────────────
+
+const players = {
+  /** Every player row, removed ones included. Creates the table on first use. */
+  async list() {
+    await tables.Players.ready();
+    return tables.Players.list();
+  },
+  /** A team's players in the order they were added; pass { includeRemoved: true } for past ones too. */
+  async forTeam(teamId, { includeRemoved = false } = {}) {
+    return (await players.list()).filter((p) => p.teamId === teamId && (includeRemoved || !p.removedAt));
+  },
+  async get(playerId) {
+    await tables.Players.ready();
+    return tables.Players.get(playerId);
+  },
+  async createMany(rows) {
+    await tables.Players.ready();
+    await tables.Players.insertMany(rows);
+    return rows;
+  },
+  /** Merge `patch` into a player. Returns the updated player or null. */
+  update: (playerId, patch) => tables.Players.update(playerId, patch),
+  /**
+   * Patch players with one read and one write. `patchFor(player)` returns
+   * the fields to change, or null to leave the player alone.
+   */
+  async updateMany(patchFor) {
+    await tables.Players.ready();
+    return tables.Players.updateMany(patchFor);
+  },
+};
+
+// ─── RSVPs (weekly check-in) ──────────────────────────────────────────────────
+
+function toRsvp(record) {
+  return { ...record, headcount: toNumber(record.headcount) };
+}
+
+const rsvps = {
+  /** Every RSVP, for every night. Creates the table on first use. */
+  async list() {
+    await tables.Rsvps.ready();
+    return (await tables.Rsvps.list()).map(toRsvp);
+  },
+  /** Every RSVP for one location's game night. */
+  async forNight(location, date) {
+    return (await rsvps.list()).filter((r) => r.location === location && r.date === date);
+  },
+  async get(date, teamId) {
+    await tables.Rsvps.ready();
+    const record = await tables.Rsvps.get(`${date}:${teamId}`);
+    return record ? toRsvp(record) : null;
+  },
+  /** Save a team's answer for a night, replacing any earlier one. */
+  async set(rsvp) {
+    await tables.Rsvps.ready();
+    const record = { ...rsvp, rsvpId: `${rsvp.date}:${rsvp.teamId}`, headcount: rsvp.headcount ?? '' };
+    const updated = await tables.Rsvps.update(record.rsvpId, record);
+    if (!updated) await tables.Rsvps.insert(record);
+    return toRsvp(record);
+  },
+  /**
+   * Patch RSVPs with one read and one write. `patchFor(rsvp)` returns the
+   * fields to change, or null to leave the RSVP alone; the RsvpID follows a
+   * changed date or teamId.
+   */
+  async updateMany(patchFor) {
+    await tables.Rsvps.ready();
+    const records = await tables.Rsvps.updateMany((record) => {
+      const patch = patchFor(toRsvp(record));
+      if (!patch) return null;
+      const rsvp = { ...record, ...patch };
+      return { ...patch, rsvpId: `${rsvp.date}:${rsvp.teamId}` };
+    });
+    return records.map(toRsvp);
+  },
+};
+
+// ─── Seasons ──────────────────────────────────────────────────────────────────
+
+function toSeason(record) {
+  return {
+    seasonId: record.seasonId,
+    name: record.name,
+    startDate: record.startDate,
+    endDate: record.endDate || '',
+    weeks: toNumber(record.weeks),
+    active: toBoolean(record.active),
+    createdAt: record.createdAt || '',
+    closedAt: record.closedAt || '',
+  };
+}
+
+function generateSeasonId() {
+  return `season_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const seasons = {
+  /** Every season, oldest first. Creates the table on first use. */
+  async list() {
+    await tables.Seasons.ready();
+    const records = await tables.Seasons.list();
+    return records.map(toSeason).sort((a, b) => a.startDate.localeCompare(b.startDate));
+  },
+  async get(seasonId) {
+    await tables.Seasons.ready();
+    const record = await tables.Seasons.get(seasonId);
+    return record ? toSeason(record) : null;
+  },
+  /** The season currently being played, or null. */
+  async active() {
+    return (await seasons.list()).find((s) => s.active) || null;
+  },
+  /**
+   * Season picked by a `?seasonId=` query param:
+   *   blank  → the active season (null when there isn't one)
+   *   'all'  → null, meaning don't scope by season
+   *   an id  → that season, or undefined if no season has that id
+   */
+  async resolve(seasonId) {
+    if (!seasonId) return seasons.active();
+    if (seasonId === 'all') return null;
+    return (await seasons.get(seasonId)) || undefined;
+  },
+  /**
+   * Close the active season (if any) and start a new active one.
+   * Returns { season, closed } where closed is the season that ended.
+   */
+  async start({ name, startDate, endDate, weeks }) {
+    // The outgoing season ends the day before the new one starts
+    const dayBefore = new Date(Date.parse(`${startDate}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+    const closed = await seasons.close({ endDate: dayBefore });
+    const season = {
+      seasonId: generateSeasonId(),
+      name,
+      startDate,
+      endDate: endDate || '',
+      weeks,
+      active: 'true',
+      createdAt: new Date().toISOString(),
+      closedAt: '',
+    };
+    await tables.Seasons.insert(season);
+    return { season: toSeason(season), closed };
+  },
+  /**
+   * Close the active season. A season without an end date gets `endDate`
+   * (default today). Returns the closed season, or null if none was active.
+   */
+  async close({ endDate } = {}) {
+    const current = await seasons.active();
+    if (!current) return null;
+    const now = new Date().toISOString();
+    const record = await tables.Seasons.update(current.seasonId, {
+      active: '',
+      endDate: current.endDate || endDate || now.slice(0, 10),
+      closedAt: now,
+    });
+    return toSeason(record);
+  },
+  /**
+   * True if a row belongs to `season`. Rows saved before seasons existed
+   * have no seasonId and are placed by date instead.
+   */
+  contains(season, { seasonId, date }) {
+    if (seasonId) return seasonId === season.seasonId;
+    if (!date || date < season.startDate) return false;
+    return !season.endDate || date <= season.endDate;
+  },
+};
+
+// ─── Scores ───────────────────────────────────────────────────────────────────
+
+const ROUND_KEYS = ['r1', 'r2', 'r3', 'r4', 'r5', 'r6'];
+
+/** Per-round breakdown as stored; see lib/scoring.js for the shape. */
+function toBreakdown(record) {
+  const breakdown = {
+    round1: toNumber(record.r1),
+    round2: toNumber(record.r2),
+    round3: toNumber(record.r3),
+    lightning: toNumber(record.r4),
+  };
+  breakdown.preLastCall = ['round1', 'round2', 'round3', 'lightning']
+    .reduce((sum, k) => sum + (breakdown[k] || 0), 0);
+
+  const lastCallPoints = toNumber(record.r5);
+  breakdown.lastCall = record.lastCallOutcome || lastCallPoints !== null
+    ? { wager: toNumber(record.lastCallWager), outcome: record.lastCallOutcome || null, points: lastCallPoints ?? 0 }
+    : null;
+
+  // Older rows entered the bonus in R6
+  breakdown.bonus = (toNumber(record.bonusRound) ?? 0) + (toNumber(record.r6) ?? 0);
+  breakdown.total = toNumber(record.total) ?? 0;
+  return breakdown;
+}
+
+function toScore(record) {
+  const breakdown = toBreakdown(record);
+  return {
+    scoreId: record.scoreId,
+    date: record.date,
+    week: record.week,
+    location: record.location,
+    teamId: record.teamId,
+    teamName: record.teamName,
+    rounds: ROUND_KEYS.map((k) => toNumber(record[k])).filter((v) => v !== null),
+    bonusRound: breakdown.bonus,
+    total: breakdown.total,
+    breakdown,
+    submittedBy: record.submittedBy || '',
+    submittedAt: record.submittedAt || '',
+    deletedAt: record.deletedAt || '',
+    deletedBy: record.deletedBy || '',
+    seasonId: record.seasonId || '',
+    headcount: toNumber(record.headcount),
+    playerIds: record.playerIds ? JSON.parse(record.playerIds) : [],
+  };
+}
+
+function fromScore(score) {
+  const b = score.breakdown;
+  const cell = (v) => (v === null || v === undefined ? '' : v);
+  return {
+    scoreId: score.scoreId,
+    date: score.date,
+    week: score.week,
+    location: score.location,
+    teamId: score.teamId,
+    teamName: score.teamName,
+    r1: cell(b.round1),
+    r2: cell(b.round2),
+    r3: cell(b.round3),
+    r4: cell(b.lightning),
+    r5: cell(b.lastCall?.points),
+    r6: '',
+    bonusRound: b.bonus || '',
+    total: b.total,
+    submittedBy: score.submittedBy,
+    submittedAt: score.submittedAt,
+    deletedAt: score.deletedAt || '',
+    deletedBy: score.deletedBy || '',
+    lastCallWager: cell(b.lastCall?.wager),
+    lastCallOutcome: b.lastCall?.outcome || '',
+    seasonId: score.seasonId || '',
+    headcount: cell(score.headcount),
+    playerIds: score.playerIds?.length ? JSON.stringify(score.playerIds) : '',
+  };
+}
+
+// Fields compared when recording what an edit changed
+const AUDITED_FIELDS = ['date', 'week', 'location', 'teamId', 'teamName', 'breakdown', 'total', 'headcount', 'playerIds'];
+
+function diffScores(before, after) {
+  const changes = {};
+  for (const field of AUDITED_FIELDS) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = [before[field], after[field]];
+    }
+  }
+  return changes;
+}
+
+function generateAuditId() {
+  return `audit_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function auditRow(scoreId, action, changes, { changedBy, reason } = {}) {
+  return {
+    auditId: generateAuditId(),
+    scoreId,
+    action,
+    changedBy: changedBy || '',
+    changedAt: new Date().toISOString(),
+    changes: JSON.stringify(changes),
+    reason: reason || '',
+  };
+}
+
+/** Append a ScoreAudit row, creating the table on first use. */
+async function recordAudit(scoreId, action, changes, meta) {
+  await tables.ScoreAudit.ready();
+  await tables.ScoreAudit.insert(auditRow(scoreId, action, changes, meta));
+}
+
+const scores = {
+  /** Live scores; pass { includeDeleted: true } to include soft-deleted rows. */
+  async list({ includeDeleted = false } = {}) {
+    const records = await tables.Scores.list();
+    const all = records.map(toScore);
+    return includeDeleted ? all : all.filter((s) => !s.deletedAt);
+  },
+  async get(scoreId) {
+    const record = await tables.Scores.get(scoreId);
+    return record ? toScore(record) : null;
+  },
+  /** Store a new score; `score.breakdown` comes from lib/scoring.js. */
+  async create(score) {
+    await tables.Scores.insert(fromScore(score));
+    return toScore(fromScore(score));
+  },
+  /**
+   * Apply `patch` to a score and log the change to ScoreAudit.
+   * `meta` is { changedBy, reason }. Returns { score, changes }, or null if
+   * the score doesn't exist. Nothing is written when nothing changed.
+   */
+  async update(scoreId, patch, meta = {}) {
+    const before = await scores.get(scoreId);
+    if (!before) return null;
+    const after = { ...before, ...patch, scoreId };
+    const changes = diffScores(before, after);
+    if (Object.keys(changes).length === 0) return { score: before, changes };
+    await tables.Scores.update(scoreId, fromScore(after));
+    await recordAudit(scoreId, 'update', changes, meta);
+    return { score: toScore(fromScore(after)), changes };
+  },
+  /**
+   * Apply the same `patch` to several scores with one read and one write,
+   * logging each change to ScoreAudit. Returns [{ score, changes }] for the
+   * scores that changed.
+   */
+  async updateMany(scoreIds, patch, meta = {}) {
+    const wanted = new Set(scoreIds);
+    const results = [];
+    await tables.Scores.updateMany((record) => {
+      if (!wanted.has(record.scoreId)) return null;
+      const before = toScore(record);
+      const after = { ...before, ...patch, scoreId: before.scoreId };
+      const changes = diffScores(before, after);
+      if (!Object.keys(changes).length) return null;
+      results.push({ after, changes });
+      return fromScore(after);
+    });
+    if (!results.length) return [];
+
+    await tables.ScoreAudit.ready();
+    await tables.ScoreAudit.insertMany(results.map(({ after, changes }) => auditRow(after.scoreId, 'update', changes, meta)));
+    return results.map(({ after, changes }) => ({ score: toScore(fromScore(after)), changes }));
+  },
+  /** Soft-delete a score (the row is kept, marked DeletedAt/DeletedBy) and log it. */
+  async remove(scoreId, meta = {}) {
+    const before = await scores.get(scoreId);
+    if (!before) return null;
+    const after = { ...before, deletedAt: new Date().toISOString(), deletedBy: meta.changedBy || '' };
+    await tables.Scores.update(scoreId, fromScore(after));
+    await recordAudit(scoreId, 'delete', { total: [before.total, null] }, meta);
+    return after;
+  },
+};
+
+// ─── Score audit trail ────────────────────────────────────────────────────────
+
+const scoreAudit = {
+  /** Every audit entry, oldest first; changes parsed from JSON. Creates the table on first use. */
+  async list() {
+    await tables.ScoreAudit.ready();
+    const records = await tables.ScoreAudit.list();
+    return records.map((r) => ({ ...r, changes: r.changes ? JSON.parse(r.changes) : {} }));
+  },
+  /** Audit entries for one score, oldest first. */
+  async forScore(scoreId) {
+    return (await scoreAudit.list()).filter((r) => r.scoreId === scoreId);
+  },
+};
+
+// ─── Standings (cached snapshot) ──────────────────────────────────────────────
+
+const STANDINGS_NUMBERS = ['rank', 'gamesPlayed', 'totalPoints', 'bestScore', 'averageScore'];
+
+const standings = {
+  /** Cached rows; pass a seasonId to get just that season's snapshot. */
+  async list(seasonId) {
+    const records = await tables.Standings.list();
+    return records
+      .filter((r) => seasonId === undefined || r.seasonId === seasonId)
+      .map((r) => ({
+        ...r,
+        ...Object.fromEntries(STANDINGS_NUMBERS.map((k) => [k, toNumber(r[k]) ?? 0])),
+      }));
+  },
+  /** Replace one season's snapshot, keeping every other season's rows. */
+  async replace(rows, seasonId = '') {
+    const others = (await tables.Standings.list()).filter((r) => r.seasonId !== seasonId);
+    await tables.Standings.replaceAll([...others, ...rows.map((r) => ({ ...r, seasonId }))]);
+  },
+};
+
+// ─── Question log ─────────────────────────────────────────────────────────────
+
+// Accepted alternates are kept in one cell; answers can contain commas
+// ("Washington, D.C."), so they're separated with ' | ' instead
+function parseAlternates(cell) {
+  return cell ? cell.split('|').map((a) => a.trim()).filter(Boolean) : [];
+}
+
+function joinAlternates(alternates) {
+  return Array.isArray(alternates) ? alternates.join(' | ') : alternates || '';
+}
+
+function toLogEntry(record) {
+  return { ...record, alternates: parseAlternates(record.alternates) };
+}
+
+// A saved night's rows are keyed by night, round and question number. Two
+// racing appends of one night can both land, so reads keep the first of each.
+function nightKey(row) {
+  return row.nightId ? `${row.nightId}:${row.round}:${row.number}` : null;
+}
+
+function dedupeNightRows(records) {
+  const seen = new Set();
+  return records.filter((r) => {
+    const key = nightKey(r);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const questionLog = {
+  /** Every logged question, each night's questions once; alternates parsed into an array. */
+  async list() {
+    const records = await tables.QuestionLog.list();
+    return dedupeNightRows(records).map(toLogEntry);
+  },
+  async get(logId) {
+    const record = await tables.QuestionLog.get(logId);
+    return record ? toLogEntry(record) : null;
+  },
+  /** Merge `patch` into a logged question. Returns the updated entry or null. */
+  async update(logId, patch) {
+    const record = await tables.QuestionLog.update(logId, {
+      ...patch,
+      ...(patch.alternates !== undefined ? { alternates: joinAlternates(patch.alternates) } : {}),
+    });
+    return record ? toLogEntry(record) : null;
+  },
+  /**
+   * Append entries, creating the QuestionLog table on first use. Night rows
+   * already in the log (same nightId, round and number) are skipped.
+   * Returns the entries appended.
+   */
+  async append(entries) {
+    if (!entries.length) return [];
+    await tables.QuestionLog.ready();
+    let fresh = entries;
+    if (entries.some(nightKey)) {
+      const logged = new Set((await tables.QuestionLog.list()).map(nightKey).filter(Boolean));
+      fresh = entries.filter((e) => !logged.has(nightKey(e)));
+    }
+    await tables.QuestionLog.insertMany(fresh.map((e) => ({ ...e, alternates: joinAlternates(e.alternates) })));
+    return fresh;
+  },
+};
+
+// ─── Question bank ────────────────────────────────────────────────────────────
+
+function toBankQuestion(record) {
+  return {
+    ...record,
+    tags: record.tags ? record.tags.split(',').map((t) => t.trim()).filter(Boolean) : [],
+    alternates: parseAlternates(record.alternates),
+    status: record.status || 'active',
+  };
+}
+
+function fromBankQuestion(question) {
+  return {
+    ...question,
+    tags: (question.tags || []).join(','),
+    alternates: joinAlternates(question.alternates),
+  };
+}
+
+const questionBank = {
+  /** Every bank question; tags and alternates parsed into arrays. Creates the table on first use. */
+  async list() {
+    await tables.QuestionBank.ready();
+    const records = await tables.QuestionBank.list();
+    return records.map(toBankQuestion);
+  },
+  async get(questionId) {
+    await tables.QuestionBank.ready();
+    const record = await tables.QuestionBank.get(questionId);
+    return record ? toBankQuestion(record) : null;
+  },
+  async addMany(questions) {
+    if (!questions.length) return questions;
+    await tables.QuestionBank.ready();
+    await tables.QuestionBank.insertMany(questions.map(fromBankQuestion));
+    return questions;
+  },
+  /**
+   * Patch bank questions with one read and one write. `patchFor(question)`
+   * returns plain-cell fields to change, or null to leave the question alone.
+   * updatedAt isn't touched — this is for bookkeeping, not edits.
+   */
+  async updateMany(patchFor) {
+    await tables.QuestionBank.ready();
+    const records = await tables.QuestionBank.updateMany((record) => patchFor(toBankQuestion(record)));
+    return records.map(toBankQuestion);
+  },
+  /** Merge `patch` into a bank question. Returns the updated question or null. */
+  async update(questionId, patch) {
+    const current = await questionBank.get(questionId);
+    if (!current) return null;
+    const merged = { ...current, ...patch, questionId, updatedAt: new Date().toISOString() };
+    await tables.QuestionBank.update(questionId, fromBankQuestion(merged));
+    return merged;
+  },
+};
+
+// ─── Disputes ─────────────────────────────────────────────────────────────────
+
+function toDispute(record) {
+  return {
+    ...record,
+    number: toNumber(record.number),
+    status: record.status || 'open',
+    credited: record.credited ? JSON.parse(record.credited) : [],
+  };
+}
+
+function fromDispute(dispute) {
+  return {
+    ...dispute,
+    number: dispute.number ?? '',
+    credited: dispute.credited?.length ? JSON.stringify(dispute.credited) : '',
+  };
+}
+
+const disputes = {
+  /** Every dispute, oldest first. Creates the table on first use. */
+  async list() {
+    await tables.Disputes.ready();
+    const records = await tables.Disputes.list();
+    return records.map(toDispute);
+  },
+  async get(disputeId) {
+    await tables.Disputes.ready();
+    const record = await tables.Disputes.get(disputeId);
+    return record ? toDispute(record) : null;
+  },
+  async create(dispute) {
+    await tables.Disputes.ready();
+    await tables.Disputes.insert(fromDispute(dispute));
+    return dispute;
+  },
+  /** Merge `patch` into a dispute. Returns the updated dispute or null. */
+  async update(disputeId, patch) {
+    const current = await disputes.get(disputeId);
+    if (!current) return null;
+    const merged = { ...current, ...patch, disputeId };
+    await tables.Disputes.update(disputeId, fromDispute(merged));
+    return merged;
+  },
+  /**
+   * Patch disputes with one read and one write. `patchFor(dispute)` returns
+   * the fields to change (credited as an array), or null to leave it alone.
+   */
+  async updateMany(patchFor) {
+    await tables.Disputes.ready();
+    const records = await tables.Disputes.updateMany((record) => {
+      const dispute = toDispute(record);
+      const patch = patchFor(dispute);
+      return patch && fromDispute({ ...dispute, ...patch });
+    });
+    return records.map(toDispute);
+  },
+};
+
+// ─── Games (game nights, live board, team play) ───────────────────────────────
+
+function toGame(record) {
+  return {
+    ...record,
+    status: record.status || 'open',
+    rounds: record.rounds ? JSON.parse(record.rounds) : [],
+    currentRound: record.currentRound || '',
+    showing: record.showing || '',
+    tally: record.tally ? JSON.parse(record.tally) : {},
+    updatedAt: record.updatedAt || record.createdAt || '',
+  };
+}
+
+function fromGame(game) {
+  return { ...game, rounds: JSON.stringify(game.rounds || []), tally: JSON.stringify(game.tally || {}) };
+}
+
+const games = {
+  /** Every game, oldest first. Creates the table on first use. */
+  async list() {
+    await tables.Games.ready();
+    const records = await tables.Games.list();
+    return records.map(toGame);
+  },
+  async get(gameId) {
+    await tables.Games.ready();
+    const record = await tables.Games.get(gameId);
+    return record ? toGame(record) : null;
+  },
+  /** The open game with this join code (case-insensitive), or null. */
+  async byJoinCode(joinCode) {
+    const code = String(joinCode || '').trim().toUpperCase();
+    if (!code) return null;
+    return (await games.list()).find((g) => g.status === 'open' && g.joinCode === code) || null;
+  },
+  async create(game) {
+    await tables.Games.ready();
+    await tables.Games.insert(fromGame(game));
+    return game;
+  },
+  /** Merge `patch` into a game. Returns the updated game or null. */
+  async update(gameId, patch) {
+    const current = await games.get(gameId);
+    if (!current) return null;
+    const merged = { ...current, ...patch, gameId };
+    await tables.Games.update(gameId, fromGame(merged));
+    return merged;
+  },
+};
+
+const gameTeams = {
+  /** Every team that joined any game. Creates the table on first use. */
+  async list() {
+    await tables.GameTeams.ready();
+    return tables.GameTeams.list();
+  },
+  /** Teams that joined a game, in join order. */
+  async forGame(gameId) {
+    return (await gameTeams.list()).filter((t) => t.gameId === gameId);
+  },
+  async add(entry) {
+    await tables.GameTeams.ready();
+    return tables.GameTeams.insert(entry);
+  },
+  update: (entryId, patch) => tables.GameTeams.update(entryId, patch),
+  /**
+   * Patch game entries with one read and one write. `patchFor(entry)`
+   * returns the fields to change, or null to leave the entry alone.
+   */
+  async updateMany(patchFor) {
+    await tables.GameTeams.ready();
+    return tables.GameTeams.updateMany(patchFor);
+  },
+};
+
+function toSubmission(record) {
+  return {
+    ...record,
+    answers: record.answers ? JSON.parse(record.answers) : [],
+    wager: toNumber(record.wager),
+  };
+}
+
+function fromSubmission(submission) {
+  return { ...submission, answers: JSON.stringify(submission.answers || []), wager: submission.wager ?? '' };
+}
+
+const submissions = {
+  /** Every submission for a game; answers parsed from JSON. */
+  async forGame(gameId) {
+    await tables.Submissions.ready();
+    return (await tables.Submissions.list()).filter((s) => s.gameId === gameId).map(toSubmission);
+  },
+  async get(submissionId) {
+    await tables.Submissions.ready();
+    const record = await tables.Submissions.get(submissionId);
+    return record ? toSubmission(record) : null;
+  },
+  async create(submission) {
+    await tables.Submissions.ready();
+    await tables.Submissions.insert(fromSubmission(submission));
+    return submission;
+  },
+  /** Merge `patch` into a submission. Returns the updated submission or null. */
+  async update(submissionId, patch) {
+    const current = await submissions.get(submissionId);
+    if (!current) return null;
+    const merged = { ...current, ...patch, submissionId };
+    await tables.Submissions.update(submissionId, fromSubmission(merged));
+    return merged;
+  },
+  /**
+   * Patch submissions with one read and one write. `patchFor(submission)`
+   * returns plain-cell fields to change (not answers), or null to leave it.
+   */
+  async updateMany(patchFor) {
+    await tables.Submissions.ready();
+    const records = await tables.Submissions.updateMany((record) => patchFor(toSubmission(record)));
+    return records.map(toSubmission);
+  },
+};
+
+// ─── Nights (generated question sets) ─────────────────────────────────────────
+
+function toNight(record) {
+  return {
+    ...record,
+    status: record.status || 'draft',
+    rounds: record.rounds ? JSON.parse(record.rounds) : [],
+  };
+}
+
+function fromNight(night) {
+  return { ...night, rounds: JSON.stringify(night.rounds || []) };
+}
+
+const nights = {
+  /** Every saved night, oldest first. Creates the table on first use. */
+  async list() {
+    await tables.Nights.ready();
+    const records = await tables.Nights.list();
+    return records.map(toNight);
+  },
+  async get(nightId) {
+    await tables.Nights.ready();
+    const record = await tables.Nights.get(nightId);
+    return record ? toNight(record) : null;
+  },
+  async create(night) {
+    await tables.Nights.ready();
+    await tables.Nights.insert(fromNight(night));
+    return night;
+  },
+  /** Merge `patch` into a night. Returns the updated night or null. */
+  async update(nightId, patch) {
+    const current = await nights.get(nightId);
+    if (!current) return null;
+    const merged = { ...current, ...patch, nightId };
+    await tables.Nights.update(nightId, fromNight(merged));
+    return merged;
+  },
+};
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+const settings = {
+  /** Value for `key`, or null when unset. Creates the table on first use. */
+  async get(key) {
+    await tables.Settings.ready();
+    const record = await tables.Settings.get(key);
+    return record ? record.value : null;
+  },
+  async set(key, value) {
+    await tables.Settings.ready();
+    const updatedAt = new Date().toISOString();
+    const updated = await tables.Settings.update(key, { value: String(value), updatedAt });
+    if (!updated) await tables.Settings.insert({ key, value: String(value), updatedAt });
+  },
+};
+
+// ─── Rate limits ──────────────────────────────────────────────────────────────
+
+const rateLimits = {
+  /** Every hit still in the table, expired or not. Creates the table on first use. */
+  async list() {
+    await tables.RateLimits.ready();
+    return tables.RateLimits.list();
+  },
+  /** Append one hit — never a read-modify-write, so concurrent hits all count. */
+  async record(hit) {
+    await tables.RateLimits.ready();
+    return tables.RateLimits.insert(hit);
+  },
+  /**
+   * Delete hits that expired by `now` (ms), leaving every other row where it
+   * is. Returns how many were deleted.
+   */
+  async sweep(now) {
+    await tables.RateLimits.ready();
+    return (await tables.RateLimits.deleteWhere((h) => Date.parse(h.expiresAt) <= now)).length;
+  },
+};
+
+/** Create every table and write its header row. Safe to re-run. */
+async function ensureTables() {
+  for (const table of Object.values(tables)) {
+    await table.ensure();
+  }
+}
+
+module.exports = {
+  locations, teams, players, rsvps, seasons, scores, scoreAudit, standings, questionLog, questionBank, disputes,
+  games, gameTeams, submissions, nights, settings, rateLimits,
+  ensureTables, tables,
+};
@@ -0,0 +1,296 @@
+/**
+ * lib/storage/schema.js
+ * Column definitions for every table the league stores.
+ *
+ * Each column is [key, header]: `key` is the property name used in code,
+ * `header` is what appears in row 1 of the sheet tab. Column order matters —
+ * it is the on-disk order in both the Sheets and the local file backend.
+ * The first column is the table's id.
+ */
+
+const TEAMS = [
+  ['teamId',      'TeamID'],
+  ['teamName',    'TeamName'],
+  ['captainName', 'CaptainName'],
+  ['email',       'Email'],
+  ['location',    'Location'],
+  ['registeredAt', 'RegisteredAt'],
+  ['deactivatedAt', 'DeactivatedAt'], // blank while the team is active
+  ['mergedInto',  'MergedInto'],    // teamId this duplicate was merged into
+  ['updatedAt',   'UpdatedAt'],
+  ['status',      'Status'],       // 'pending' until the captain confirms their email, 'waitlisted'
+                                   // while their location is full; blank once playing
+  ['waitlistedAt', 'WaitlistedAt'], // when the team joined the waitlist — sets its place in line
+  ['rsvpCodeHash', 'RsvpCodeHash'], // scrypt hash of the captain's RSVP code (see lib/rsvp.js)
+];
+
+// A team's roster. Removed players keep their row so past attendance still
+// has a name.
+const PLAYERS = [
+  ['playerId',  'PlayerID'],
+  ['teamId',    'TeamID'],
+  ['name',      'Name'],
+  ['addedAt',   'AddedAt'],
+  ['removedAt', 'RemovedAt'],     // blank while the player is on the roster
+];
+
+// A team's answer to "are you coming?" for one game night. One row per team
+// per night; answering again overwrites it.
+const RSVPS = [
+  ['rsvpId',      'RsvpID'],       // '<date>:<teamId>'
+  ['teamId',      'TeamID'],
+  ['location',    'Location'],
+  ['date',        'Date'],         // game night, YYYY-MM-DD
+  ['response',    'Response'],     // 'yes' | 'no'
+  ['headcount',   'Headcount'],    // players expected; blank if not given
+  ['via',         'Via'],          // 'link' | 'code'
+  ['respondedAt', 'RespondedAt'],
+];
+
+const SCORES = [
+  ['scoreId',     'ScoreID'],
+  ['date',        'Date'],
+  ['week',        'Week'],
+  ['location',    'Location'],
+  ['teamId',      'TeamID'],
+  ['teamName',    'TeamName'],
+  ['r1',          'R1'],           // round1
+  ['r2',          'R2'],           // round2
+  ['r3',          'R3'],           // round3
+  ['r4',          'R4'],           // lightning
+  ['r5',          'R5'],           // Last Call points (+wager, −wager or −5)
+  ['r6',          'R6'],           // unused — older rows kept the bonus here
+  ['bonusRound',  'BonusRound'],
+  ['total',       'Total'],
+  ['submittedBy', 'SubmittedBy'],
+  ['submittedAt', 'SubmittedAt'],
+  ['deletedAt',   'DeletedAt'],   // soft delete — row stays for the audit trail
+  ['deletedBy',   'DeletedBy'],
+  ['lastCallWager',   'LastCallWager'],
+  ['lastCallOutcome', 'LastCallOutcome'], // 'correct' | 'incorrect' | 'nocard'
+  ['seasonId',    'SeasonID'],    // blank on rows from before seasons existed
+  ['headcount',   'Headcount'],   // players at the table; blank when not recorded
+  ['playerIds',   'PlayerIDs'],   // JSON: [playerId] — roster players who showed up
+];
+
+const SCORE_AUDIT = [
+  ['auditId',   'AuditID'],
+  ['scoreId',   'ScoreID'],
+  ['action',    'Action'],      // 'update' | 'delete'
+  ['changedBy', 'ChangedBy'],
+  ['changedAt', 'ChangedAt'],
+  ['changes',   'Changes'],     // JSON: { field: [before, after] }
+  ['reason',    'Reason'],
+];
+
+const STANDINGS = [
+  ['rank',         'Rank'],
+  ['teamId',       'TeamID'],
+  ['teamName',     'TeamName'],
+  ['location',     'Location'],
+  ['gamesPlayed',  'GamesPlayed'],
+  ['totalPoints',  'TotalPoints'],
+  ['bestScore',    'BestScore'],
+  ['averageScore', 'AverageScore'],
+  ['lastPlayed',   'LastPlayed'],
+  ['seasonId',     'SeasonID'],
+];
+
+const QUESTION_LOG = [
+  ['logId',      'LogID'],
+  ['week',       'Week'],
+  ['savedAt',    'SavedAt'],
+  ['location',   'Location'],
+  ['round',      'Round'],
+  ['roundTitle', 'RoundTitle'],
+  ['category',   'Category'],
+  ['number',     'Q#'],
+  ['question',   'Question'],
+  ['answer',     'Answer'],
+  ['seasonId',   'SeasonID'],
+  ['questionId', 'QuestionID'],   // QuestionBank row this was asked from, if known
+  ['alternates', 'Alternates'],   // other accepted answers, ' | '-separated
+  ['note',       'Note'],         // one-line source/fact for settling disputes
+  ['difficulty', 'Difficulty'],   // 'easy' | 'medium' | 'hard' | blank
+  ['nightId',    'NightID'],      // saved night it was played from, if any
+];
+
+// Every question ever generated (or added by hand), whether or not it was used.
+// How often and where a question was asked comes from QuestionLog.
+const QUESTION_BANK = [
+  ['questionId', 'QuestionID'],
+  ['round',      'Round'],         // 'round1' | 'round2' | 'round3' | 'lightning' | 'lastcall'
+  ['category',   'Category'],
+  ['location',   'Location'],      // only for location-specific rounds (round2)
+  ['question',   'Question'],
+  ['answer',     'Answer'],
+  ['difficulty', 'Difficulty'],    // 'easy' | 'medium' | 'hard' | blank
+  ['tags',       'Tags'],          // comma-separated, lower case
+  ['status',     'Status'],        // 'active' | 'flagged' | 'retired'
+  ['statusNote', 'StatusNote'],    // why it was flagged or retired
+  ['source',     'Source'],        // 'generated' | 'log'
+  ['createdAt',  'CreatedAt'],
+  ['updatedAt',  'UpdatedAt'],
+  ['alternates', 'Alternates'],    // other accepted answers, ' | '-separated
+  ['note',       'Note'],          // one-line source/fact for settling disputes
+  ['reservedBy', 'ReservedBy'],    // draft nightId it was pulled into, or a 'hold_' id until saved
+  ['reservedAt', 'ReservedAt'],
+];
+
+// A team's challenge to one logged question, and how the host settled it
+const DISPUTES = [
+  ['disputeId',     'DisputeID'],
+  ['logId',         'LogID'],          // QuestionLog row being challenged
+  ['location',      'Location'],
+  ['week',          'Week'],
+  ['round',         'Round'],
+  ['number',        'Q#'],
+  ['question',      'Question'],
+  ['answer',        'Answer'],         // the answer key at the time
+  ['teamId',        'TeamID'],         // team that raised it
+  ['teamName',      'TeamName'],
+  ['claimedAnswer', 'ClaimedAnswer'],  // what the team wrote
+  ['reason',        'Reason'],
+  ['status',        'Status'],         // 'open' | 'accepted' | 'rejected'
+  ['resolution',    'Resolution'],     // 'team' | 'everyone' | blank
+  ['alternate',     'Alternate'],      // answer accepted for everyone
+  ['credited',      'Credited'],       // JSON: [{ scoreId, teamId, teamName, points }]
+  ['raisedBy',      'RaisedBy'],
+  ['raisedAt',      'RaisedAt'],
+  ['resolvedBy',    'ResolvedBy'],
+  ['resolvedAt',    'ResolvedAt'],
+  ['resolutionNote', 'ResolutionNote'],
+  ['seasonId',      'SeasonID'],
+];
+
+// One game night: the rounds being asked, where the night is up to, and the
+// code teams join with to answer from their phones
+const GAMES = [
+  ['gameId',     'GameID'],
+  ['location',   'Location'],
+  ['date',       'Date'],          // YYYY-MM-DD
+  ['week',       'Week'],
+  ['joinCode',   'JoinCode'],      // short code teams type in; unique among open games
+  ['status',     'Status'],        // 'open' | 'finished'
+  ['rounds',     'Rounds'],        // JSON: [{ round, title, category, pointsEach, status, questions }]
+  ['createdBy',  'CreatedBy'],
+  ['createdAt',  'CreatedAt'],
+  ['finishedAt', 'FinishedAt'],
+  ['seasonId',   'SeasonID'],
+  ['currentRound', 'CurrentRound'],  // round being played; blank before the first
+  ['showing',    'Showing'],       // live board: '' | 'round' | 'beforeLastCall' | 'final'
+  ['tally',      'Tally'],         // JSON: { [teamId]: { teamName, round1, …, lastCall } } for paper teams
+  ['updatedAt',  'UpdatedAt'],     // bumped on anything the live board shows
+];
+
+// Teams that joined a game, and the Scores row their totals were posted to
+const GAME_TEAMS = [
+  ['entryId',  'EntryID'],
+  ['gameId',   'GameID'],
+  ['teamId',   'TeamID'],
+  ['teamName', 'TeamName'],
+  ['joinedAt', 'JoinedAt'],
+  ['scoreId',  'ScoreID'],         // blank until scores are posted
+  ['postedAt', 'PostedAt'],
+  ['deviceKey', 'DeviceKey'],      // the phone holding the team's token; blank lets the next join take over
+];
+
+// One team's answers to one round
+const SUBMISSIONS = [
+  ['submissionId', 'SubmissionID'],
+  ['gameId',       'GameID'],
+  ['teamId',       'TeamID'],
+  ['teamName',     'TeamName'],
+  ['round',        'Round'],
+  ['answers',      'Answers'],     // JSON: [{ number, answer, match, verdict }]
+  ['wager',        'Wager'],       // Last Call only
+  ['submittedAt',  'SubmittedAt'],
+  ['gradedBy',     'GradedBy'],    // last host to change a verdict
+  ['gradedAt',     'GradedAt'],
+];
+
+// A generated night saved from the question generator. Drafts can be reopened
+// and edited; marking one played writes its questions to QuestionLog.
+const NIGHTS = [
+  ['nightId',   'NightID'],
+  ['location',  'Location'],
+  ['week',      'Week'],
+  ['title',     'Title'],          // e.g. 'Theme: The Beatles'; blank for a standard night
+  ['status',    'Status'],         // 'draft' | 'played' | 'discarded'
+  ['rounds',    'Rounds'],         // JSON: [{ round, title, category, location, pointsEach, questionCount, questions, opts }]
+  ['createdBy', 'CreatedBy'],
+  ['createdAt', 'CreatedAt'],
+  ['updatedBy', 'UpdatedBy'],
+  ['updatedAt', 'UpdatedAt'],
+  ['playedBy',  'PlayedBy'],
+  ['playedAt',  'PlayedAt'],
+  ['seasonId',  'SeasonID'],       // season it was played in
+];
+
+const SEASONS = [
+  ['seasonId',  'SeasonID'],
+  ['name',      'Name'],
+  ['startDate', 'StartDate'],   // YYYY-MM-DD
+  ['endDate',   'EndDate'],     // YYYY-MM-DD; blank until known or closed
+  ['weeks',     'Weeks'],       // number of game weeks in the season
+  ['active',    'Active'],      // 'true' for the current season, else blank
+  ['createdAt', 'CreatedAt'],
+  ['closedAt',  'ClosedAt'],
+];
+
+// Small key/value store for league-wide settings (e.g. signing key versions)
+const SETTINGS = [
+  ['key',       'Key'],
+  ['value',     'Value'],
+  ['updatedAt', 'UpdatedAt'],
+];
+
+// One row per request counted by lib/rateLimit.js; expired rows are deleted by api/sweep.js
+const RATE_LIMITS = [
+  ['hitId',     'HitID'],
+  ['bucket',    'Bucket'],      // e.g. 'register'
+  ['client',    'Client'],      // hashed client IP
+  ['at',        'At'],
+  ['expiresAt', 'ExpiresAt'],   // when the hit stops counting
+];
+
+// One row per Grain location. Host keys are stored hashed (see lib/locations.js);
+// HostSecretEnv instead names an env var holding the key.
+const LOCATIONS = [
+  ['slug',          'Slug'],          // e.g. 'main-street' — never changes
+  ['name',          'Name'],          // e.g. 'Main Street' — stored on scores, teams, etc.
+  ['city',          'City'],
+  ['gameNight',     'GameNight'],     // weekday, e.g. 'Tuesday'
+  ['capacity',      'Capacity'],      // max teams per game night; blank = no limit
+  ['hostKeyHash',   'HostKeyHash'],
+  ['hostSecretEnv', 'HostSecretEnv'],
+  ['active',        'Active'],        // 'true' while the location runs trivia
+  ['createdAt',     'CreatedAt'],
+];
+
+const TABLES = {
+  Teams:       TEAMS,
+  Players:     PLAYERS,
+  Rsvps:       RSVPS,
+  Scores:      SCORES,
+  ScoreAudit:  SCORE_AUDIT,
+  Standings:   STANDINGS,
+  QuestionLog: QUESTION_LOG,
+  QuestionBank: QUESTION_BANK,
+  Disputes:    DISPUTES,
+  Games:       GAMES,
+  GameTeams:   GAME_TEAMS,
+  Submissions: SUBMISSIONS,
+  Nights:      NIGHTS,
+  Settings:    SETTINGS,
+  RateLimits:  RATE_LIMITS,
+  Seasons:     SEASONS,
+  Locations:   LOCATIONS,
+};
+
+/** Header row for a table, e.g. headersFor('Teams') → ['TeamID', ...]. */
+function headersFor(tableName) {
+  return TABLES[tableName].map(([, header]) => header);
+}
+
+module.exports = { TABLES, headersFor };
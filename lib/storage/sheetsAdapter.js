@@ -0,0 +1,82 @@
+/**
+ * lib/storage/sheetsAdapter.js
+ * Google Sheets storage backend. Each table is a tab; row 1 holds headers
+ * and data starts at row 2.
+ *
+ * Required env vars: see lib/sheets.js
+ */
+
+const {
+  readRange, appendRows, updateRange, updateRanges, clearRange, deleteRows, createSheetTab,
+} = require('../sheets');
+
+/** 1-based column number → A1 column letter (1 → A, 27 → AA). */
+function columnLetter(n) {
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Create the tab if needed and make sure row 1 matches the headers.
+ * Rewrites the header row when columns have been added to the schema.
+ */
+async function ensureTable(name, headers) {
+  await createSheetTab(name);
+  const last = columnLetter(headers.length);
+  const existing = await readRange(`${name}!A1:${last}1`);
+  const current = existing[0] || [];
+  if (headers.some((h, i) => current[i] !== h)) {
+    await updateRange(`${name}!A1:${last}1`, [headers]);
+  }
+}
+
+/** All data rows (header excluded). Blank rows are kept so indexes line up. */
+async function readRows(name, width) {
+  return readRange(`${name}!A2:${columnLetter(width)}`);
+}
+
+async function appendTableRows(name, rows) {
+  await appendRows(name, rows);
+}
+
+/** Overwrite one data row; `index` is 0-based from the first data row. */
+async function updateRow(name, index, row) {
+  const sheetRow = index + 2;
+  await updateRange(`${name}!A${sheetRow}:${columnLetter(row.length)}${sheetRow}`, [row]);
+}
+
+/** Overwrite several data rows in one call; `updates` is [{ index, row }]. */
+async function updateRows(name, updates) {
+  await updateRanges(updates.map(({ index, row }) => ({
+    range: `${name}!A${index + 2}:${columnLetter(row.length)}${index + 2}`,
+    values: [row],
+  })));
+}
+
+/** Delete data rows; `indexes` are 0-based from the first data row. */
+async function deleteTableRows(name, indexes) {
+  await deleteRows(name, indexes.map((index) => index + 1));
+}
+
+/** Replace every data row, keeping the header row. */
+async function replaceRows(name, width, rows) {
+  const last = columnLetter(width);
+  await clearRange(`${name}!A2:${last}`);
+  if (rows.length === 0) return;
+  await updateRange(`${name}!A2:${last}${rows.length + 1}`, rows);
+}
+
+module.exports = {
+  ensureTable,
+  readRows,
+  appendRows: appendTableRows,
+  updateRow,
+  updateRows,
+  deleteRows: deleteTableRows,
+  replaceRows,
+};
@@ -0,0 +1,128 @@
+/**
+ * lib/storage/table.js
+ * Generic record access on top of a storage adapter.
+ *
+ * A table turns the adapter's raw rows into plain objects keyed by the
+ * column keys from lib/storage/schema.js, and back again. Values are left
+ * as the strings the backend returns; repositories do any type conversion.
+ *
+ * Rows whose id cell (first column) is empty are treated as blank and skipped.
+ */
+
+function createTable(getAdapter, name, columns) {
+  const keys = columns.map(([key]) => key);
+  const headers = columns.map(([, header]) => header);
+  const idKey = keys[0];
+
+  const toRecord = (row) => Object.fromEntries(keys.map((k, i) => [k, row[i] ?? '']));
+  const toRow = (record) => keys.map((k) => record[k] ?? '');
+
+  async function readAll() {
+    return getAdapter().readRows(name, keys.length);
+  }
+
+  let readyPromise = null;
+
+  return {
+    name,
+    headers,
+
+    /** Create the table (tab) and header row if missing. */
+    ensure() {
+      return getAdapter().ensureTable(name, headers);
+    },
+
+    /** Like ensure(), but only once per process (retried if it failed). */
+    ready() {
+      if (!readyPromise) {
+        readyPromise = getAdapter().ensureTable(name, headers).catch((err) => {
+          readyPromise = null;
+          throw err;
+        });
+      }
+      return readyPromise;
+    },
+
+    /** Every non-blank record in storage order. */
+    async list() {
+      const rows = await readAll();
+      return rows.filter((row) => row[0]).map(toRecord);
+    },
+
+    /** The record with this id, or null. */
+    async get(id) {
+      const rows = await readAll();
+      const row = rows.find((r) => r[0] === id);
+      return row ? toRecord(row) : null;
+    },
+
+    async insert(record) {
+      await getAdapter().appendRows(name, [toRow(record)]);
+      return record;
+    },
+
+    async insertMany(records) {
+      if (!records.length) return records;
+      await getAdapter().appendRows(name, records.map(toRow));
+      return records;
+    },
+
+    /**
+     * Merge `patch` into the record with this id and write it back.
+     * Returns the updated record, or null if no record has that id.
+     */
+    async update(id, patch) {
+      const rows = await readAll();
+      const index = rows.findIndex((r) => r[0] === id);
+      if (index === -1) return null;
+      const record = { ...toRecord(rows[index]), ...patch, [idKey]: id };
+      await getAdapter().updateRow(name, index, toRow(record));
+      return record;
+    },
+
+    /**
+     * Patch any number of records with one read and one write.
+     * `patchFor(record)` returns the patch for a record, or null to leave it.
+     * Unlike update(), a patch may give a record a new id (for tables whose
+     * id is built from other columns). Returns the updated records.
+     */
+    async updateMany(patchFor) {
+      const rows = await readAll();
+      const updated = [];
+      const writes = [];
+      rows.forEach((row, index) => {
+        const patch = row[0] && patchFor(toRecord(row));
+        if (!patch) return;
+        const record = { ...toRecord(row), ...patch, [idKey]: patch[idKey] || row[0] };
+        updated.push(record);
+        writes.push({ index, row: toRow(record) });
+      });
+      if (writes.length) await getAdapter().updateRows(name, writes);
+      return updated;
+    },
+
+    /**
+     * Delete every record `matches(record)` accepts, with one read and one
+     * delete; other rows are left untouched. Returns the deleted records.
+     */
+    async deleteWhere(matches) {
+      const rows = await readAll();
+      const deleted = [];
+      const indexes = [];
+      rows.forEach((row, index) => {
+        if (!row[0] || !matches(toRecord(row))) return;
+        deleted.push(toRecord(row));
+        indexes.push(index);
+      });
+      if (indexes.length) await getAdapter().deleteRows(name, indexes);
+      return deleted;
+    },
+
+    /** Replace every record in the table. */
+    async replaceAll(records) {
+      await getAdapter().replaceRows(name, keys.length, records.map(toRow));
+    },
+  };
+}
+
+module.exports = { createTable };
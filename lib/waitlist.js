@@ -0,0 +1,47 @@
+/**
+ * lib/waitlist.js
+ * Location capacity — each location's Capacity (lib/locations.js) caps how
+ * many teams play there. A team confirmed while its location is full joins
+ * that location's waitlist, in the order teams joined it, until an admin
+ * promotes it (POST /api/teams { action: 'promote' }).
+ *
+ * A team's status, as the API reports it:
+ *   'pending'    — registered, captain hasn't confirmed their email yet
+ *   'waitlisted' — confirmed, waiting for a spot (with waitlistPosition, 1 = next)
+ *   'confirmed'  — playing
+ *   'inactive'   — deactivated or merged
+ *
+ * Usage:
+ *   const { locationFull, teamStatus } = require('../lib/waitlist');
+ *   const { status, waitlistPosition } = teamStatus(team, await teams.list());
+ */
+
+const { teams: teamsRepo } = require('./storage');
+const { findLocation } = require('./locations');
+
+/** True when `location` has a capacity and that many teams are playing there. */
+async function locationFull(location, teams) {
+  const capacity = (await findLocation(location))?.capacity;
+  if (!capacity) return false;
+  return teams.filter((t) => t.location === location && teamsRepo.isActive(t)).length >= capacity;
+}
+
+/** A location's waitlist, first in line first. */
+function waitlistFor(location, teams) {
+  return teams
+    .filter((t) => t.location === location && t.status === 'waitlisted' && !t.deactivatedAt)
+    .sort((a, b) => (a.waitlistedAt || '').localeCompare(b.waitlistedAt || ''));
+}
+
+/** { status, waitlistPosition } for a team; position is null off the waitlist. */
+function teamStatus(team, teams) {
+  if (team.deactivatedAt) return { status: 'inactive', waitlistPosition: null };
+  if (team.status === 'pending') return { status: 'pending', waitlistPosition: null };
+  if (team.status === 'waitlisted') {
+    const position = waitlistFor(team.location, teams).findIndex((t) => t.teamId === team.teamId) + 1;
+    return { status: 'waitlisted', waitlistPosition: position };
+  }
+  return { status: 'confirmed', waitlistPosition: null };
+}
+
+module.exports = { locationFull, waitlistFor, teamStatus };
@@ -0,0 +1,112 @@
+const { backend } = require('./support/storage');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ensureTables } = require('../lib/storage');
+const {
+  issueToken, verifyToken, rotateSigningKey, getPrincipal, isCronRequest,
+  issueTeamToken, getTeam, issueEmailToken, verifyEmailToken, issueRsvpToken, verifyRsvpToken,
+} = require('../lib/auth');
+const { call, bearer } = require('./support/http');
+const locationsApi = require('../api/locations');
+
+const admin = { role: 'admin', location: null };
+const host = { role: 'host', location: 'Exchange' };
+
+test.before(() => ensureTables());
+
+test(`a session token verifies as the principal it was issued to (${backend})`, async () => {
+  const { token, expiresAt } = await issueToken(host);
+  const principal = await verifyToken(token);
+  assert.equal(principal.role, 'host');
+  assert.equal(principal.location, 'Exchange');
+  assert.equal(new Date(principal.exp * 1000).toISOString(), expiresAt);
+  assert.deepEqual(await getPrincipal({ headers: bearer(token) }), principal);
+});
+
+test('a tampered token is rejected', async () => {
+  const { token } = await issueToken(host);
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, role: 'admin', location: null })).toString('base64url');
+
+  assert.equal(await verifyToken(`${forged}.${signature}`), null);
+  assert.equal(await verifyToken(`${payload}.${signature.slice(1)}A`), null);
+  assert.equal(await verifyToken(`${payload}.${signature}.extra`), null);
+  assert.equal(await verifyToken('not-a-token'), null);
+});
+
+test('an expired token is rejected', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const { token } = await issueToken(admin);
+  t.mock.timers.tick(61 * 60 * 1000);
+  assert.equal(await verifyToken(token), null);
+});
+
+test('rotating a scope\'s key signs out only that scope', async () => {
+  const exchange = (await issueToken(host)).token;
+  const other = (await issueToken({ role: 'host', location: 'H2O' })).token;
+
+  await rotateSigningKey('Exchange');
+  assert.equal(await verifyToken(exchange), null);
+  assert.equal((await verifyToken(other)).location, 'H2O');
+
+  const fresh = (await issueToken(host)).token;
+  assert.equal((await verifyToken(fresh)).location, 'Exchange');
+});
+
+test('scoped tokens only work for their own kind and subject', async () => {
+  const team = issueTeamToken('G1', 'T1', 'device-1');
+  assert.deepEqual(
+    (({ gameId, teamId, deviceKey }) => ({ gameId, teamId, deviceKey }))(getTeam({ headers: bearer(team.token) })),
+    { gameId: 'G1', teamId: 'T1', deviceKey: 'device-1' },
+  );
+
+  const email = issueEmailToken('T1', 'captain@example.com').token;
+  const rsvp = issueRsvpToken('T1').token;
+  assert.equal(verifyEmailToken(email).email, 'captain@example.com');
+  assert.equal(verifyRsvpToken(rsvp).teamId, 'T1');
+
+  assert.equal(verifyRsvpToken(email), null);
+  assert.equal(verifyEmailToken(rsvp), null);
+  assert.equal(getTeam({ headers: bearer(rsvp) }), null);
+  assert.equal(await verifyToken(team.token), null);
+  assert.equal(verifyRsvpToken((await issueToken(admin)).token), null);
+});
+
+test('a team token can\'t be moved to another game', () => {
+  const { token } = issueTeamToken('G1', 'T1', 'device-1');
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const moved = Buffer.from(JSON.stringify({ ...claims, gameId: 'G2' })).toString('base64url');
+  assert.equal(getTeam({ headers: bearer(`${moved}.${signature}`) }), null);
+});
+
+test('deactivating a location signs out its hosts', async () => {
+  const adminToken = (await issueToken(admin)).token;
+  const hostToken = (await issueToken({ role: 'host', location: 'H2O' })).token;
+  assert.ok(await verifyToken(hostToken));
+
+  const { status } = await call(locationsApi, {
+    method: 'PATCH', query: { slug: 'h2o' }, body: { active: false }, headers: bearer(adminToken),
+  });
+  assert.equal(status, 200);
+  assert.equal(await verifyToken(hostToken), null);
+  assert.ok(await verifyToken(adminToken));
+});
+
+test('cron requests need CRON_SECRET', () => {
+  const saved = process.env.CRON_SECRET;
+  try {
+    delete process.env.CRON_SECRET;
+    assert.equal(isCronRequest({ headers: bearer('anything') }), false);
+    process.env.CRON_SECRET = 'cron-secret';
+    assert.equal(isCronRequest({ headers: bearer('cron-secret') }), true);
+    assert.equal(isCronRequest({ headers: bearer('cron-secreT') }), false);
+    assert.equal(isCronRequest({ headers: {} }), false);
+  } finally {
+    if (saved === undefined) delete process.env.CRON_SECRET;
+    else process.env.CRON_SECRET = saved;
+  }
+});
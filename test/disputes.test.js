@@ -0,0 +1,86 @@
+const { backend } = require('./support/storage');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scores, scoreAudit, disputes, ensureTables } = require('../lib/storage');
+const { creditTeams, creditedBreakdown } = require('../lib/disputes');
+const { scoreSheet } = require('../lib/scoring');
+
+const entry = { logId: 'L1', week: 3, location: 'Exchange', round: 'round2', number: 4, seasonId: '' };
+
+async function storeScore(scoreId, teamId, sheet) {
+  const { breakdown } = scoreSheet(sheet);
+  return scores.create({
+    scoreId, date: '2026-03-03', week: 3, location: 'Exchange', teamId, teamName: `Team ${teamId}`,
+    total: breakdown.total, breakdown, submittedBy: 'test', submittedAt: '2026-03-03T21:00:00.000Z',
+  });
+}
+
+test.before(async () => {
+  await ensureTables();
+  await storeScore('S1', 'T1', { round1: 6, round2: 5, round3: 7 });
+  await storeScore('S3', 'T3', { round1: 6, round2: 10, round3: 7 });
+  await storeScore('S4', 'T4', { round1: 6, round2: 5, lastCall: { wager: 5, outcome: 'incorrect' } });
+  await storeScore('S5', 'T5', { round1: 6, round2: 5 });
+});
+
+test(`an accepted dispute adds the question's points to the team's round (${backend})`, async () => {
+  const { credited, skipped } = await creditTeams(entry, ['T1', 'T2', 'T3', 'T1'], {
+    disputeId: 'D1', changedBy: 'admin', reason: 'Alternate accepted',
+  });
+
+  assert.deepEqual(credited.map((c) => [c.teamId, c.points]), [['T1', 1]]);
+  assert.deepEqual(skipped, [
+    { teamId: 'T2', reason: 'No score for week 3 at Exchange' },
+    { teamId: 'T3', reason: 'Weekly Theme is already at full marks' },
+  ]);
+
+  const score = await scores.get('S1');
+  assert.equal(score.breakdown.round2, 6);
+  assert.equal(score.total, 19);
+
+  const audit = await scoreAudit.forScore('S1');
+  assert.equal(audit.length, 1);
+  assert.equal(audit[0].reason, 'Dispute D1 accepted — Alternate accepted');
+});
+
+test('the same dispute never credits a score twice', async () => {
+  const { credited, skipped } = await creditTeams(entry, ['T1'], { disputeId: 'D1', changedBy: 'admin', reason: 'Again' });
+  assert.deepEqual(credited, []);
+  assert.deepEqual(skipped, [{ teamId: 'T1', reason: 'Already credited by dispute D1' }]);
+  assert.equal((await scores.get('S1')).total, 19);
+});
+
+test('a team credited by another accepted dispute for the question is skipped', async () => {
+  await disputes.create({
+    disputeId: 'D0', logId: 'L1', status: 'accepted', credited: [{ teamId: 'T5', scoreId: 'S5', points: 1 }],
+  });
+  const { credited, skipped } = await creditTeams(entry, ['T5'], { disputeId: 'D2', changedBy: 'admin', reason: 'Same answer' });
+  assert.deepEqual(credited, []);
+  assert.deepEqual(skipped, [{ teamId: 'T5', reason: 'Already credited by dispute D0' }]);
+});
+
+test('a Last Call credit turns an incorrect wager into a correct one', async () => {
+  const { credited } = await creditTeams({ ...entry, round: 'lastcall', number: 1 }, ['T4'], {
+    disputeId: 'D3', changedBy: 'admin', reason: 'Spelling',
+  });
+  assert.equal(credited[0].points, 10);
+  const score = await scores.get('S4');
+  assert.deepEqual(score.breakdown.lastCall, { wager: 5, outcome: 'correct', points: 5 });
+  assert.equal(score.total, 16);
+});
+
+test('a question with no week can\'t be credited', async () => {
+  const { credited, skipped } = await creditTeams({ ...entry, week: '' }, ['T1'], { disputeId: 'D4' });
+  assert.deepEqual(credited, []);
+  assert.match(skipped[0].reason, /no week/);
+});
+
+test('creditedBreakdown refuses rounds that weren\'t played or can\'t be credited', () => {
+  const { breakdown } = scoreSheet({ round1: 4, lastCall: { wager: 2, outcome: 'correct' } });
+  assert.equal(creditedBreakdown(breakdown, 'round2').error, 'No Weekly Theme score recorded');
+  assert.equal(creditedBreakdown(breakdown, 'lastcall').error, 'Last Call already scored correct');
+  assert.equal(creditedBreakdown(breakdown, 'round9').error, 'Unknown round "round9"');
+  assert.equal(creditedBreakdown(breakdown, 'round1').breakdown.total, 7);
+});
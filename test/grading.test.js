@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { gradeAnswer, roundPoints, editDistance } = require('../lib/grading');
+
+const everest = { answer: 'Mount Everest', alternates: ['Chomolungma'] };
+
+test('the answer matches ignoring case, punctuation and a leading article', () => {
+  assert.deepEqual(gradeAnswer('everest', everest), { match: 'answer', verdict: 'correct' });
+  assert.deepEqual(gradeAnswer('The Mount Everest!', everest), { match: 'answer', verdict: 'correct' });
+});
+
+test('an accepted alternate is correct', () => {
+  assert.deepEqual(gradeAnswer('chomolungma', everest), { match: 'alternate', verdict: 'correct' });
+});
+
+test('a typo is left for the host to decide', () => {
+  assert.deepEqual(gradeAnswer('Mount Everst', everest), { match: 'close', verdict: 'pending' });
+});
+
+test('short answers need to be exact', () => {
+  assert.deepEqual(gradeAnswer('Rum', { answer: 'Gin' }), { match: 'none', verdict: 'incorrect' });
+  assert.deepEqual(gradeAnswer('1', { answer: '1999' }), { match: 'none', verdict: 'incorrect' });
+});
+
+test('a blank answer is incorrect', () => {
+  assert.deepEqual(gradeAnswer('  ', everest), { match: 'blank', verdict: 'incorrect' });
+  assert.deepEqual(gradeAnswer(undefined, everest), { match: 'blank', verdict: 'incorrect' });
+});
+
+test('roundPoints counts correct answers at the round\'s points each', () => {
+  const answers = [{ verdict: 'correct' }, { verdict: 'incorrect' }, { verdict: 'correct' }];
+  assert.equal(roundPoints({ round: 'round1', answers }), 2);
+  assert.equal(roundPoints({ round: 'lightning', answers }), 4);
+});
+
+test('roundPoints waits for pending answers', () => {
+  assert.equal(roundPoints({ round: 'round1', answers: [{ verdict: 'correct' }, { verdict: 'pending' }] }), null);
+});
+
+test('Last Call becomes a wager and outcome', () => {
+  assert.deepEqual(roundPoints({ round: 'lastcall', wager: 12, answers: [{ verdict: 'correct' }] }), { wager: 12, outcome: 'correct' });
+  assert.deepEqual(roundPoints({ round: 'lastcall', wager: 12, answers: [{ verdict: 'incorrect' }] }), { wager: 12, outcome: 'incorrect' });
+});
+
+test('editDistance counts single-letter edits', () => {
+  assert.equal(editDistance('everest', 'everst'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+});
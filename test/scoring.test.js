@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scoreSheet, checkWeek } = require('../lib/scoring');
+
+test('a full sheet adds up, Last Call included', () => {
+  const { errors, breakdown } = scoreSheet({
+    round1: 8, round2: '7', round3: 10, lightning: 12, lastCall: { wager: 20, outcome: 'correct' }, bonus: 2,
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(breakdown.preLastCall, 37);
+  assert.deepEqual(breakdown.lastCall, { wager: 20, outcome: 'correct', points: 20 });
+  assert.equal(breakdown.total, 59);
+});
+
+test('blank rounds count as not played', () => {
+  const { errors, breakdown } = scoreSheet({ round1: 5, round2: '' });
+  assert.deepEqual(errors, []);
+  assert.equal(breakdown.round2, null);
+  assert.equal(breakdown.lastCall, null);
+  assert.equal(breakdown.total, 5);
+});
+
+test('rounds must be whole points within range, lightning in steps of 2', () => {
+  assert.match(scoreSheet({ round1: 11 }).errors[0], /round1 .* 0 to 10/);
+  assert.match(scoreSheet({ round3: 2.5 }).errors[0], /whole number/);
+  assert.match(scoreSheet({ lightning: 7 }).errors[0], /steps of 2/);
+  assert.match(scoreSheet({ lightning: 18 }).errors[0], /0 to 16/);
+});
+
+test('an incorrect Last Call loses the wager and no card costs 5', () => {
+  assert.equal(scoreSheet({ round1: 10, lastCall: { wager: 4, outcome: 'incorrect' } }).breakdown.total, 6);
+  const { errors, breakdown } = scoreSheet({ round1: 10, lastCall: { outcome: 'nocard', wager: 99 } });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(breakdown.lastCall, { wager: null, outcome: 'nocard', points: -5 });
+  assert.equal(breakdown.total, 5);
+});
+
+test('the wager is checked against the pre-Last-Call score', () => {
+  assert.match(scoreSheet({ round1: 10, lastCall: { wager: 11, outcome: 'correct' } }).errors[0], /between 1 and .* \(10\)/);
+  assert.match(scoreSheet({ round1: 10, lastCall: { wager: 0, outcome: 'correct' } }).errors[0], /between 1/);
+  assert.match(scoreSheet({ round1: 10, lastCall: { wager: '', outcome: 'correct' } }).errors[0], /whole number/);
+});
+
+test('a team with no points can only wager 0', () => {
+  assert.deepEqual(scoreSheet({ round1: 0, lastCall: { wager: 0, outcome: 'correct' } }).errors, []);
+  assert.match(scoreSheet({ round1: 0, lastCall: { wager: 3, outcome: 'correct' } }).errors[0], /must be 0/);
+});
+
+test('a wager needs an outcome, and the outcome must be known', () => {
+  assert.match(scoreSheet({ round1: 5, lastCall: { wager: 3 } }).errors[0], /outcome is required/);
+  assert.match(scoreSheet({ round1: 5, lastCall: { wager: 3, outcome: 'maybe' } }).errors[0], /must be one of/);
+});
+
+test('the bonus must be a whole number of 0 or more', () => {
+  assert.match(scoreSheet({ round1: 5, bonus: -1 }).errors[0], /bonus/);
+  assert.equal(scoreSheet({ round1: 5, bonus: '' }).breakdown.bonus, 0);
+});
+
+test('checkWeek keeps weeks inside the season', () => {
+  const season = { name: 'Fall', weeks: 12 };
+  assert.equal(checkWeek(season, 12), null);
+  assert.match(checkWeek(season, 13), /between 1 and 12 for Fall/);
+  assert.match(checkWeek(null, 0), /1 or more/);
+  assert.equal(checkWeek(null, 40), null);
+});
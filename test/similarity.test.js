@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  answerKey, answersMatch, buildIndex, findRepeat, distinctQuestions,
+} = require('../lib/similarity');
+
+const log = [
+  { question: 'Which country gifted the Statue of Liberty to the United States?', answer: 'France' },
+  { question: 'What is the largest planet in our solar system?', answer: 'Jupiter' },
+  { question: 'Which element has the chemical symbol Fe?', answer: 'Iron' },
+];
+
+test('answerKey drops case, punctuation and a leading article', () => {
+  assert.equal(answerKey('The Beatles!'), 'beatles');
+  assert.equal(answerKey('  Ol\' Dirty-Bastard '), 'ol dirty bastard');
+});
+
+test('answersMatch accepts a whole-word part of the answer', () => {
+  assert.equal(answersMatch('Everest', 'Mount Everest'), true);
+  assert.equal(answersMatch('1', '1999'), false);
+  assert.equal(answersMatch('Paris', 'Rome'), false);
+  assert.equal(answersMatch('', 'Rome'), null);
+});
+
+test('a reworded question with the same answer is a duplicate', () => {
+  const repeat = findRepeat(buildIndex(log), {
+    question: 'The Statue of Liberty was a gift from which nation?', answer: 'France',
+  });
+  assert.equal(repeat.verdict, 'duplicate');
+  assert.equal(repeat.sameAnswer, true);
+  assert.equal(repeat.match, log[0]);
+});
+
+test('an unrelated question is not a repeat', () => {
+  assert.equal(findRepeat(buildIndex(log), { question: 'Who wrote Pride and Prejudice?', answer: 'Jane Austen' }), null);
+});
+
+test('shared wording with a different answer needs to be nearly identical', () => {
+  const repeat = findRepeat(buildIndex(log), { question: 'What is the smallest planet in our solar system?', answer: 'Mercury' });
+  assert.notEqual(repeat?.verdict, 'duplicate');
+});
+
+test('an empty index or question finds nothing', () => {
+  assert.equal(findRepeat(buildIndex([]), { question: 'Anything?' }), null);
+  assert.equal(findRepeat(buildIndex(log), { question: 'the of a' }), null);
+});
+
+test('distinctQuestions keeps the first of each duplicate group', () => {
+  assert.deepEqual(distinctQuestions([
+    'Which country gifted the Statue of Liberty to the United States?',
+    'Which country gifted the Statue of Liberty to the United States in 1886?',
+    'What is the largest planet in our solar system?',
+  ]), [
+    'Which country gifted the Statue of Liberty to the United States?',
+    'What is the largest planet in our solar system?',
+  ]);
+});
@@ -0,0 +1,92 @@
+const { backend } = require('./support/storage');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scores, ensureTables } = require('../lib/storage');
+const { computeStandings } = require('../lib/standings');
+const { scoreSheet } = require('../lib/scoring');
+const { call } = require('./support/http');
+const standingsApi = require('../api/standings');
+
+let nextId = 1;
+function score(teamId, location, date, round1, extra = {}) {
+  const { breakdown } = scoreSheet({ round1, ...extra });
+  return {
+    scoreId: `S${nextId++}`, date, week: 1, location, teamId, teamName: `Team ${teamId}`,
+    total: breakdown.total, breakdown, submittedBy: 'test', submittedAt: `${date}T21:00:00.000Z`,
+  };
+}
+
+test('computeStandings ranks by points, then weeks played, best week, name and id', () => {
+  const rows = computeStandings([
+    score('T1', 'Main Street', '2026-01-06', 10),
+    score('T2', 'Main Street', '2026-01-06', 6),
+    score('T2', 'Main Street', '2026-01-13', 4),
+    score('T3', 'Exchange', '2026-01-06', 10),
+    score('T4', 'Exchange', '2026-01-06', 8),
+    score('T4', 'Exchange', '2026-01-13', 2),
+    { teamId: '', total: 99 },
+  ], null);
+
+  assert.deepEqual(rows.map((r) => r.teamId), ['T4', 'T2', 'T1', 'T3']);
+  assert.deepEqual(rows.map((r) => r.rank), [1, 2, 3, 4]);
+  assert.equal(rows[0].bestScore, 8);
+  assert.equal(rows[0].averageScore, 5);
+  assert.equal(rows[0].lastPlayed, '2026-01-13');
+});
+
+test('computeStandings filters by location', () => {
+  const rows = computeStandings([
+    score('T1', 'Main Street', '2026-01-06', 10),
+    score('T3', 'Exchange', '2026-01-06', 10),
+  ], 'Exchange');
+  assert.deepEqual(rows.map((r) => r.teamId), ['T3']);
+});
+
+test(`qualifiers pick a champion per location and six wild cards (${backend})`, async () => {
+  await ensureTables();
+  const date = '2026-02-03';
+  const rows = [
+    score('M1', 'Main Street', date, 10, { round2: 10, round3: 10 }),
+    score('E1', 'Exchange', date, 10, { round2: 10, round3: 9 }),
+    score('H1', 'H2O', date, 3),
+    // The field for wild cards, best first
+    score('M2', 'Main Street', date, 10, { round2: 10, round3: 8 }),
+    score('M3', 'Main Street', date, 10, { round2: 10, round3: 7 }),
+    score('E2', 'Exchange', date, 10, { round2: 10, round3: 6 }),
+    score('E3', 'Exchange', date, 10, { round2: 10, round3: 5 }),
+    score('M4', 'Main Street', date, 10, { round2: 10 }),
+    // Last wild card and first team out tie on points; weeks played decides
+    score('E4', 'Exchange', '2026-01-27', 5),
+    score('E4', 'Exchange', date, 5),
+    score('M5', 'Main Street', date, 10),
+  ];
+  for (const row of rows) await scores.create(row);
+
+  const { status, body } = await call(standingsApi, { query: { qualifiers: 'true', seasonId: 'all' } });
+  assert.equal(status, 200);
+
+  const { qualifiers } = body;
+  assert.deepEqual(qualifiers.champions.map((t) => [t.location, t.teamId]), [
+    ['Main Street', 'M1'], ['Exchange', 'E1'], ['H2O', 'H1'],
+  ]);
+  assert.deepEqual(qualifiers.wildcards.map((t) => t.teamId), ['M2', 'M3', 'E2', 'E3', 'M4', 'E4']);
+  assert.equal(qualifiers.wildcardSpots, 6);
+  assert.deepEqual(qualifiers.cutoff, {
+    lastIn: { teamId: 'E4', teamName: 'Team E4' },
+    firstOut: { teamId: 'M5', teamName: 'Team M5' },
+    decidedBy: 'Most weeks played',
+  });
+
+  const byId = new Map(body.standings.map((t) => [t.teamId, t.qualifier]));
+  assert.equal(byId.get('H1'), 'champion');
+  assert.equal(byId.get('E4'), 'wildcard');
+  assert.equal(byId.get('M5'), null);
+});
+
+test('a location filter limits rows but not who qualifies', async () => {
+  const { body } = await call(standingsApi, { query: { qualifiers: 'true', seasonId: 'all', location: 'H2O' } });
+  assert.deepEqual(body.standings.map((t) => [t.teamId, t.qualifier]), [['H1', 'champion']]);
+  assert.equal(body.qualifiers.wildcards.length, 6);
+});
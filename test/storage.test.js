@@ -0,0 +1,83 @@
+const { backend } = require('./support/storage');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  seasons, locations, rsvps, rateLimits, questionLog, ensureTables,
+} = require('../lib/storage');
+const { generateJoinCode } = require('../lib/games');
+const { entered } = require('./support/fakeSheets');
+
+test.before(() => ensureTables());
+
+test(`a started season reads back as active (${backend})`, async () => {
+  const { season } = await seasons.start({ name: 'Spring', startDate: '2026-03-01', weeks: 10 });
+  assert.equal(season.active, true);
+  assert.equal((await seasons.active()).seasonId, season.seasonId);
+
+  const { season: next, closed } = await seasons.start({ name: 'Summer', startDate: '2026-06-01', weeks: 8 });
+  assert.equal(closed.seasonId, season.seasonId);
+  assert.equal(closed.active, false);
+  assert.equal((await seasons.active()).seasonId, next.seasonId);
+});
+
+test('a location\'s active flag survives a round trip', async () => {
+  await locations.create({ slug: 'dock', name: 'Dock', active: true, capacity: 12 });
+  await locations.create({ slug: 'mill', name: 'Mill', active: false });
+  const bySlug = new Map((await locations.list()).map((l) => [l.slug, l]));
+  assert.equal(bySlug.get('dock').active, true);
+  assert.equal(bySlug.get('dock').capacity, 12);
+  assert.equal(bySlug.get('mill').active, false);
+  assert.equal((await locations.update('dock', { active: false })).active, false);
+  assert.equal((await locations.list()).find((l) => l.slug === 'dock').active, false);
+});
+
+test('join codes never look like numbers to Sheets', () => {
+  assert.equal(entered('2E34'), '2.00E+34');
+  const taken = new Set();
+  for (let i = 0; i < 500; i++) {
+    const code = generateJoinCode(taken);
+    assert.match(code, /^[A-Z2-9]{4}$/);
+    assert.equal(entered(code), code);
+    taken.add(code);
+  }
+});
+
+test('an RSVP moved to another team is re-keyed', async () => {
+  await rsvps.set({ teamId: 'T1', location: 'Exchange', date: '2026-03-03', response: 'yes', headcount: 4, via: 'link' });
+  await rsvps.set({ teamId: 'T1', location: 'Exchange', date: '2026-03-10', response: 'no', via: 'link' });
+  await rsvps.updateMany((r) => (r.teamId === 'T1' && r.date === '2026-03-03' ? { teamId: 'T2' } : null));
+
+  assert.equal(await rsvps.get('2026-03-03', 'T1'), null);
+  const moved = await rsvps.get('2026-03-03', 'T2');
+  assert.equal(moved.response, 'yes');
+  assert.equal(moved.headcount, 4);
+  assert.equal((await rsvps.get('2026-03-10', 'T1')).response, 'no');
+});
+
+test('a rate-limit sweep deletes only expired hits', async () => {
+  const now = Date.parse('2026-03-03T12:00:00.000Z');
+  const at = (ms) => new Date(now + ms).toISOString();
+  await rateLimits.record({ hitId: 'h1', key: 'auth:1.2.3.4', at: now - 120000, expiresAt: at(-60000) });
+  await rateLimits.record({ hitId: 'h2', key: 'auth:1.2.3.4', at: now - 1000, expiresAt: at(59000) });
+  await rateLimits.record({ hitId: 'h3', key: 'auth:5.6.7.8', at: now - 90000, expiresAt: at(-30000) });
+  await rateLimits.record({ hitId: 'h4', key: 'auth:5.6.7.8', at: now, expiresAt: at(60000) });
+
+  assert.equal(await rateLimits.sweep(now), 2);
+  assert.deepEqual((await rateLimits.list()).map((h) => h.hitId), ['h2', 'h4']);
+  assert.equal(await rateLimits.sweep(now), 0);
+});
+
+test('a night\'s questions are logged once', async () => {
+  const rows = [1, 2].map((number) => ({
+    logId: `N1-${number}`, week: 3, location: 'Exchange', round: 'round1', number,
+    question: `Question ${number}?`, answer: `Answer ${number}`, nightId: 'N1',
+  }));
+  assert.equal((await questionLog.append(rows)).length, 2);
+  const again = rows.map((r) => ({ ...r, logId: `${r.logId}-again` }));
+  assert.deepEqual(await questionLog.append(again), []);
+
+  const logged = (await questionLog.list()).filter((e) => e.nightId === 'N1');
+  assert.deepEqual(logged.map((e) => e.logId), ['N1-1', 'N1-2']);
+});
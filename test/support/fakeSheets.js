@@ -0,0 +1,118 @@
+/**
+ * test/support/fakeSheets.js
+ * In-memory stand-in for lib/sheets.js, so the real Sheets adapter can run
+ * without Google.
+ *
+ * Values are stored the way Sheets stores USER_ENTERED input and read back
+ * the way values.get formats them: 'true' → 'TRUE', '007' → '7',
+ * '2E34' → '2.00E+34', numbers and booleans as strings. Trailing empty cells
+ * and rows aren't returned. Dates and formulas aren't modelled.
+ */
+
+// Tab name → rows (row 0 is the header row); every cell is a string
+const tabs = new Map();
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/** What Sheets shows for a value typed into a cell. */
+function entered(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  const text = String(value);
+  if (/^(true|false)$/i.test(text)) return text.toUpperCase();
+  if (NUMBER.test(text)) {
+    const n = Number(text);
+    return /e/i.test(text) ? n.toExponential(2).toUpperCase() : String(n);
+  }
+  return text;
+}
+
+function columnNumber(letters) {
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0);
+}
+
+/** 'Teams!A2:L' → { name, row, col, endRow, endCol }, all 0-based. */
+function parseRange(range) {
+  const m = /^(.+)!([A-Z]+)(\d+)(?::([A-Z]+)(\d+)?)?$/.exec(range);
+  if (!m) throw new Error(`fakeSheets: can't parse range ${range}`);
+  const [, name, startCol, startRow, endCol, endRow] = m;
+  return {
+    name,
+    row: Number(startRow) - 1,
+    col: columnNumber(startCol) - 1,
+    endRow: endRow ? Number(endRow) - 1 : Infinity,
+    endCol: endCol ? columnNumber(endCol) - 1 : columnNumber(startCol) - 1,
+  };
+}
+
+function tab(name) {
+  if (!tabs.has(name)) throw new Error(`Unable to parse range: ${name}`);
+  return tabs.get(name);
+}
+
+function trimEnd(cells) {
+  const out = [...cells];
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out;
+}
+
+function writeCells(rows, row, col, values) {
+  values.forEach((cells, i) => {
+    const target = rows[row + i] || (rows[row + i] = []);
+    cells.forEach((v, j) => { target[col + j] = entered(v); });
+    for (let k = 0; k < target.length; k++) if (target[k] === undefined) target[k] = '';
+  });
+  for (let i = 0; i < rows.length; i++) if (!rows[i]) rows[i] = [];
+}
+
+async function readRange(range) {
+  const { name, row, col, endRow, endCol } = parseRange(range);
+  const rows = tab(name)
+    .slice(row, endRow === Infinity ? undefined : endRow + 1)
+    .map((cells) => trimEnd(cells.slice(col, endCol + 1).map((v) => v ?? '')));
+  while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+  return rows;
+}
+
+async function appendRows(sheetName, rows) {
+  if (!rows || rows.length === 0) return;
+  const existing = tab(sheetName);
+  let last = existing.length;
+  while (last > 0 && trimEnd(existing[last - 1]).length === 0) last--;
+  writeCells(existing, last, 0, rows);
+}
+
+async function appendRow(sheetName, row) {
+  await appendRows(sheetName, [row]);
+}
+
+async function updateRange(range, values) {
+  const { name, row, col } = parseRange(range);
+  writeCells(tab(name), row, col, values);
+}
+
+async function updateRanges(data) {
+  for (const { range, values } of data || []) await updateRange(range, values);
+}
+
+async function clearRange(range) {
+  const { name, row, col, endRow, endCol } = parseRange(range);
+  const rows = tab(name);
+  for (let i = row; i < Math.min(rows.length, endRow + 1); i++) {
+    for (let j = col; j <= endCol && j < rows[i].length; j++) rows[i][j] = '';
+  }
+}
+
+async function deleteRows(sheetName, indexes) {
+  const doomed = new Set(indexes);
+  tabs.set(sheetName, tab(sheetName).filter((row, i) => !doomed.has(i)));
+}
+
+async function createSheetTab(title) {
+  if (!tabs.has(title)) tabs.set(title, []);
+}
+
+module.exports = {
+  readRange, appendRow, appendRows, updateRange, updateRanges, clearRange, deleteRows, createSheetTab,
+  entered,
+};
@@ -0,0 +1,27 @@
+/**
+ * test/support/http.js
+ * Call a Vercel handler from api/ without a server.
+ *
+ * Usage:
+ *   const { call } = require('./support/http');
+ *   const { status, body } = await call(require('../api/standings'), { query: { qualifiers: 'true' } });
+ */
+
+async function call(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+  const out = { status: 200, body: undefined, headers: {} };
+  const res = {
+    setHeader(name, value) { out.headers[name] = value; },
+    status(code) { out.status = code; return res; },
+    json(value) { out.body = value; return res; },
+    end() { return res; },
+  };
+  await handler({ method, query, body, headers, socket: { remoteAddress: '127.0.0.1' } }, res);
+  return out;
+}
+
+/** Headers carrying a bearer token. */
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+module.exports = { call, bearer };
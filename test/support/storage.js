@@ -0,0 +1,37 @@
+/**
+ * test/support/storage.js
+ * Points lib/storage at a throwaway backend. Require it before anything
+ * that loads lib/storage.
+ *
+ * TEST_BACKEND picks the backend (`npm test` runs every file with both):
+ *   'file'   (default) — lib/storage/fileAdapter.js on a temp file
+ *   'sheets' — lib/storage/sheetsAdapter.js over test/support/fakeSheets.js,
+ *              which hands values back the way Google Sheets does
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const backend = (process.env.TEST_BACKEND || 'file').trim().toLowerCase();
+
+process.env.STORAGE_BACKEND = backend;
+process.env.HOST_SECRET = process.env.HOST_SECRET || 'test-admin-secret';
+
+if (backend === 'file') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'league-test-'));
+  process.env.LOCAL_DATA_FILE = path.join(dir, 'league.json');
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+} else if (backend === 'sheets') {
+  const filename = require.resolve('../../lib/sheets');
+  const fake = new Module(filename, module);
+  fake.filename = filename;
+  fake.exports = require('./fakeSheets');
+  fake.loaded = true;
+  require.cache[filename] = fake;
+} else {
+  throw new Error(`Unknown TEST_BACKEND "${backend}". Must be one of: file, sheets`);
+}
+
+module.exports = { backend };
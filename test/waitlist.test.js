@@ -0,0 +1,76 @@
+const { backend } = require('./support/storage');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { teams, locations, ensureTables } = require('../lib/storage');
+const { seedDefaultLocations, clearLocationCache, findLocation } = require('../lib/locations');
+const { locationFull, waitlistFor, teamStatus } = require('../lib/waitlist');
+const { issueToken } = require('../lib/auth');
+const { call, bearer } = require('./support/http');
+const teamsApi = require('../api/teams');
+
+function team(teamId, location, fields = {}) {
+  return {
+    teamId, teamName: `Team ${teamId}`, location, registeredAt: '2026-01-01T00:00:00.000Z', status: '', ...fields,
+  };
+}
+
+test.before(async () => {
+  await ensureTables();
+  await seedDefaultLocations();
+  await locations.update('exchange', { capacity: 2 });
+  clearLocationCache();
+
+  await teams.create(team('E1', 'Exchange'));
+  await teams.create(team('E2', 'Exchange'));
+  await teams.create(team('W2', 'Exchange', { status: 'waitlisted', waitlistedAt: '2026-01-03T00:00:00.000Z' }));
+  await teams.create(team('W1', 'Exchange', { status: 'waitlisted', waitlistedAt: '2026-01-02T00:00:00.000Z' }));
+  await teams.create(team('P1', 'Exchange', { status: 'pending' }));
+  await teams.create(team('M1', 'Main Street'));
+});
+
+test(`capacity is read back from the Locations table (${backend})`, async () => {
+  const exchange = await findLocation('exchange');
+  assert.equal(exchange.capacity, 2);
+  assert.equal(exchange.active, true);
+  assert.equal((await findLocation('Main Street')).capacity, null);
+});
+
+test('a location is full once its capacity of teams are playing', async () => {
+  const all = await teams.list();
+  assert.equal(await locationFull('Exchange', all), true);
+  assert.equal(await locationFull('Exchange', all.filter((t) => t.teamId !== 'E2')), false);
+  assert.equal(await locationFull('Main Street', all), false);
+});
+
+test('the waitlist is in the order teams joined it', async () => {
+  const all = await teams.list();
+  assert.deepEqual(waitlistFor('Exchange', all).map((t) => t.teamId), ['W1', 'W2']);
+
+  const byId = new Map(all.map((t) => [t.teamId, t]));
+  assert.deepEqual(teamStatus(byId.get('W2'), all), { status: 'waitlisted', waitlistPosition: 2 });
+  assert.deepEqual(teamStatus(byId.get('E1'), all), { status: 'confirmed', waitlistPosition: null });
+  assert.deepEqual(teamStatus(byId.get('P1'), all), { status: 'pending', waitlistPosition: null });
+  assert.deepEqual(teamStatus({ ...byId.get('W1'), deactivatedAt: '2026-01-04' }, all), { status: 'inactive', waitlistPosition: null });
+});
+
+test('a team moved into a full location goes to the back of its waitlist', async () => {
+  const { token } = await issueToken({ role: 'admin', location: null });
+  const { status, body } = await call(teamsApi, {
+    method: 'POST', body: { action: 'move', teamId: 'M1', location: 'Exchange' }, headers: bearer(token),
+  });
+  assert.equal(status, 200);
+  assert.equal(body.status, 'waitlisted');
+  assert.equal(body.waitlistPosition, 3);
+});
+
+test('promoting a team takes it off the waitlist', async () => {
+  const { token } = await issueToken({ role: 'admin', location: null });
+  const { status, body } = await call(teamsApi, {
+    method: 'POST', body: { action: 'promote', teamId: 'W1' }, headers: bearer(token),
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.waitlist.map((t) => [t.teamId, t.waitlistPosition]), [['W2', 1], ['M1', 2]]);
+  assert.equal(teams.isActive(await teams.get('W1')), true);
+});